@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * geometric-interior command-line entry.
+ *
+ *   geometric-interior render <config.json | profile name> [--width N] [--height N] [--out file.png]
+ *                             [--mappings mappings.json]
+ */
+
+import { runRender, RENDER_USAGE } from '../src/cli/render.js';
+
+const COMMANDS = {
+    render: runRender,
+};
+
+const [command, ...rest] = process.argv.slice(2);
+const run = COMMANDS[command];
+
+if (!run) {
+    console.error(command ? `Unknown command "${command}".\n${RENDER_USAGE}` : RENDER_USAGE);
+    process.exit(1);
+}
+
+try {
+    await run(rest);
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
@@ -0,0 +1,93 @@
+/**
+ * Node-side headless renderer.
+ *
+ * Renders in-process through the software renderer (engine/software/):
+ * three r163+ requires WebGL2, which no native Node GL binding provides,
+ * so the demo scene is rasterised on the CPU instead — no browser, GPU or
+ * bundling step, and the same job renders the same pixels on any machine.
+ *
+ * createHeadlessRenderer() → { render(job), thumbnail(), close() }
+ */
+
+import { renderFrame } from '../engine/software/index.js';
+import { updatePalette, resetPalette } from '../core/palettes.js';
+import { setMappingSet } from '../core/mappings.js';
+import { encodePng } from './png.js';
+
+/**
+ * Downsampled RGB thumbnail of an RGBA image, as hex (two digits per
+ * channel, rows top first). Each cell box-averages its share of the image,
+ * so it keeps the composition's colour and layout while small
+ * rasterization differences average out.
+ * @param {Uint8ClampedArray} data - RGBA, top row first
+ * @param {number} W
+ * @param {number} H
+ * @param {number} [TW=32] - thumbnail size in cells
+ * @param {number} [TH=18]
+ * @returns {string}
+ */
+export function rgbThumbnail(data, W, H, TW = 32, TH = 18) {
+    const sums = new Float64Array(TW * TH * 3);
+    const counts = new Float64Array(TW * TH);
+    for (let y = 0; y < H; y++) {
+        const row = Math.floor(y * TH / H) * TW;
+        for (let x = 0; x < W; x++) {
+            const i = (y * W + x) * 4;
+            const cell = row + Math.floor(x * TW / W);
+            sums[cell * 3] += data[i];
+            sums[cell * 3 + 1] += data[i + 1];
+            sums[cell * 3 + 2] += data[i + 2];
+            counts[cell]++;
+        }
+    }
+
+    let hex = '';
+    for (let k = 0; k < sums.length; k++) {
+        hex += Math.round(sums[k] / counts[Math.floor(k / 3)]).toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+/**
+ * Create a headless renderer. Async like the renderers it replaces, so
+ * batch callers can stay backend-agnostic.
+ * @returns {Promise<{ render: Function, thumbnail: Function, close: Function }>}
+ */
+export async function createHeadlessRenderer() {
+    let last = null;
+
+    /**
+     * Render one still.
+     * @param {{ seed: string, controls: object, paletteTweaks?: object, mappings?: object, width: number, height: number }} job
+     *   paletteTweaks is the flat profile form ({ baseHue, hueRange, saturation, gradient?, harmony? })
+     *   applied to controls.palette (its defaults when omitted); mappings is a
+     *   validated mapping set (core/mappings.js), default when omitted.
+     * @returns {Promise<{ png: Buffer, title: string, altText: string, nodeCount: number }>}
+     */
+    async function render({ seed, controls, paletteTweaks, mappings, width, height }) {
+        // Palettes and mappings are shared module state: set both for every
+        // job, so one never inherits another's colours or mapping set
+        if (paletteTweaks) updatePalette(controls.palette, paletteTweaks);
+        else resetPalette(controls.palette);
+        setMappingSet(mappings || null);
+
+        const { pixels, ...meta } = renderFrame(seed, controls, width, height);
+        last = { pixels, width, height };
+        return { png: encodePng(pixels, width, height), ...meta };
+    }
+
+    /**
+     * 32×18 RGB thumbnail of the last rendered still (see rgbThumbnail()).
+     * @returns {Promise<string>}
+     */
+    async function thumbnail() {
+        if (!last) throw new Error('thumbnail: nothing rendered yet');
+        return rgbThumbnail(last.pixels, last.width, last.height);
+    }
+
+    async function close() {
+        last = null;
+    }
+
+    return { render, thumbnail, close };
+}
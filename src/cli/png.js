@@ -0,0 +1,44 @@
+/**
+ * Minimal PNG encoder for the CLI: 8-bit RGBA, one IDAT, no filtering
+ * beyond "none" per row. Metadata chunks are added afterwards with
+ * injectPngTextChunks() (export/export.js).
+ */
+
+import { deflateSync } from 'node:zlib';
+import { crc32 } from '../export/export.js';
+
+function chunk(type, data) {
+    const out = Buffer.alloc(12 + data.length);
+    out.writeUInt32BE(data.length, 0);
+    out.write(type, 4, 'latin1');
+    data.copy(out, 8);
+    out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+    return out;
+}
+
+/**
+ * @param {Uint8Array|Uint8ClampedArray} rgba - width × height × 4, top row first
+ * @param {number} width
+ * @param {number} height
+ * @returns {Buffer}
+ */
+export function encodePng(rgba, width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // colour type: RGBA
+
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', header),
+        chunk('IDAT', deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
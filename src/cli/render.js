@@ -0,0 +1,124 @@
+/**
+ * `geometric-interior render` — render a still to PNG from the command line.
+ *
+ *   geometric-interior render <config.json | profile name> [--width N] [--height N] [--out file.png]
+ *                             [--mappings mappings.json]
+ *
+ * The input is either a still config file (see core/config-schema.js) or
+ * the name of a starter profile. --mappings renders with an alternative
+ * control → parameter mapping set (see core/mappings.js), e.g. to A/B it
+ * against the default on the same seeds. The PNG carries the same Title/Description
+ * tEXt, embedded config iTXt and XMP chunks as the studio's export.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { validateStillConfig, configToProfile } from '../core/config-schema.js';
+import { validateMappingSet } from '../core/mappings.js';
+import { injectPngTextChunks, safeName, stillConfigForExport, stillPngTextEntries } from '../export/export.js';
+import { createHeadlessRenderer } from './headless-renderer.js';
+
+const STARTER_PROFILES_URL = new URL('../core/starter-profiles.json', import.meta.url);
+
+const DEFAULT_WIDTH = 1920;
+const DEFAULT_HEIGHT = 1080;
+const MAX_DIMENSION = 4096;
+
+export const RENDER_USAGE =
+    'Usage: geometric-interior render <config.json | profile name> [--width N] [--height N] [--out file.png] [--mappings file.json]';
+
+export function loadStarterProfiles() {
+    return JSON.parse(readFileSync(STARTER_PROFILES_URL, 'utf8'));
+}
+
+/**
+ * Resolve a CLI input (config path or profile name) to { name, profile }.
+ */
+export function resolveRenderInput(input) {
+    if (existsSync(input)) {
+        let data;
+        try {
+            data = JSON.parse(readFileSync(input, 'utf8'));
+        } catch (err) {
+            throw new Error(`${input}: invalid JSON (${err.message})`);
+        }
+        const { ok, errors } = validateStillConfig(data);
+        if (!ok) throw new Error(`${input}: invalid still config\n  ${errors.join('\n  ')}`);
+        return configToProfile(data);
+    }
+
+    const profiles = loadStarterProfiles();
+    const name = Object.keys(profiles).find(n => n.toLowerCase() === input.toLowerCase());
+    if (!name) {
+        throw new Error(`"${input}" is neither a config file nor a profile name. `
+            + `Known profiles: ${Object.keys(profiles).join(', ')}`);
+    }
+    return { name, profile: profiles[name] };
+}
+
+/**
+ * Read and validate a mapping-set file.
+ */
+export function loadMappingSet(path) {
+    let data;
+    try {
+        data = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (err) {
+        throw new Error(`${path}: ${err.code === 'ENOENT' ? 'file not found' : `invalid JSON (${err.message})`}`);
+    }
+    const { ok, errors } = validateMappingSet(data);
+    if (!ok) throw new Error(`${path}: invalid mapping set\n  ${errors.join('\n  ')}`);
+    return data;
+}
+
+function parseDimension(value, flag, fallback) {
+    if (value === undefined) return fallback;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 16 || n > MAX_DIMENSION) {
+        throw new Error(`${flag}: must be an integer between 16 and ${MAX_DIMENSION}`);
+    }
+    return n;
+}
+
+/**
+ * Run the render command.
+ * @param {string[]} argv - arguments after the subcommand
+ */
+export async function runRender(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            width: { type: 'string' },
+            height: { type: 'string' },
+            out: { type: 'string', short: 'o' },
+            mappings: { type: 'string' },
+        },
+    });
+    if (positionals.length !== 1) throw new Error(RENDER_USAGE);
+
+    const { name, profile } = resolveRenderInput(positionals[0]);
+    const width = parseDimension(values.width, '--width', DEFAULT_WIDTH);
+    const height = parseDimension(values.height, '--height', DEFAULT_HEIGHT);
+    const out = values.out || `${safeName(name)}.png`;
+    const mappings = values.mappings ? loadMappingSet(values.mappings) : null;
+
+    const headless = await createHeadlessRenderer();
+    try {
+        const result = await headless.render({
+            seed: profile.seed,
+            controls: profile.controls,
+            paletteTweaks: profile.paletteTweaks,
+            mappings,
+            width,
+            height,
+        });
+        const pngBlob = await injectPngTextChunks(new Blob([result.png], { type: 'image/png' }),
+            stillPngTextEntries(result, stillConfigForExport(name, profile)),
+            { title: result.title, description: result.altText });
+        writeFileSync(out, Buffer.from(await pngBlob.arrayBuffer()));
+        console.log(`${out}  ${width}×${height}  "${result.title}"`);
+    } finally {
+        await headless.close();
+    }
+}
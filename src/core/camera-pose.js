@@ -0,0 +1,85 @@
+/**
+ * Camera pose: an orbit around the scene origin.
+ *
+ *   azimuth   — degrees around the vertical axis (0 = camera on +Z)
+ *   elevation — degrees above the horizontal plane
+ *   distance  — multiple of the depth-derived camera distance (1 = default)
+ *   roll      — degrees around the view axis
+ *
+ * The default pose reproduces the fixed framing (camera on +Z looking at
+ * the origin), so profiles without a pose render exactly as before.
+ */
+
+export const DEFAULT_CAMERA_POSE = Object.freeze({ azimuth: 0, elevation: 0, distance: 1, roll: 0 });
+
+export const CAMERA_LIMITS = Object.freeze({
+    elevation: [-85, 85],
+    distance: [0.35, 3],
+    roll: [-180, 180],
+});
+
+const clamp = (v, [lo, hi]) => Math.max(lo, Math.min(hi, v));
+const wrap180 = (deg) => ((((deg + 180) % 360) + 360) % 360) - 180;
+const num = (v, fallback) => (typeof v === 'number' && Number.isFinite(v) ? v : fallback);
+
+/**
+ * Clamp and wrap a (possibly partial) pose into range.
+ * @param {object|null|undefined} pose
+ * @returns {{ azimuth: number, elevation: number, distance: number, roll: number }}
+ */
+export function normalizeCameraPose(pose) {
+    const p = pose || {};
+    const d = DEFAULT_CAMERA_POSE;
+    return {
+        azimuth: wrap180(num(p.azimuth, d.azimuth)),
+        elevation: clamp(num(p.elevation, d.elevation), CAMERA_LIMITS.elevation),
+        distance: clamp(num(p.distance, d.distance), CAMERA_LIMITS.distance),
+        roll: clamp(wrap180(num(p.roll, d.roll)), CAMERA_LIMITS.roll),
+    };
+}
+
+/** True when the pose frames the scene exactly like the default camera. */
+export function isDefaultCameraPose(pose) {
+    if (!pose) return true;
+    const p = normalizeCameraPose(pose);
+    return p.azimuth === 0 && p.elevation === 0 && p.distance === 1 && p.roll === 0;
+}
+
+/**
+ * Pose between two poses at t ∈ [0, 1]: azimuth and roll turn the shorter
+ * way round, elevation moves linearly and distance geometrically (so a
+ * zoom keeps an even pace). Missing poses read as the default.
+ * @param {object|null|undefined} a
+ * @param {object|null|undefined} b
+ * @param {number} t
+ * @returns {{ azimuth: number, elevation: number, distance: number, roll: number }}
+ */
+export function lerpCameraPose(a, b, t) {
+    const p = normalizeCameraPose(a);
+    const q = normalizeCameraPose(b);
+    return normalizeCameraPose({
+        azimuth: p.azimuth + wrap180(q.azimuth - p.azimuth) * t,
+        elevation: p.elevation + (q.elevation - p.elevation) * t,
+        distance: p.distance * Math.pow(q.distance / p.distance, t),
+        roll: p.roll + wrap180(q.roll - p.roll) * t,
+    });
+}
+
+/**
+ * Camera position and roll for a pose.
+ * @param {{ cameraZ: number, cameraOffsetX: number, cameraOffsetY: number }} params - from deriveParams()
+ * @param {object|null} pose
+ * @returns {{ x: number, y: number, z: number, roll: number }} roll in radians
+ */
+export function cameraPlacement(params, pose) {
+    const p = normalizeCameraPose(pose);
+    const r = params.cameraZ * p.distance;
+    const az = p.azimuth * Math.PI / 180;
+    const el = p.elevation * Math.PI / 180;
+    return {
+        x: params.cameraOffsetX + r * Math.cos(el) * Math.sin(az),
+        y: params.cameraOffsetY + r * Math.sin(el),
+        z: r * Math.cos(el) * Math.cos(az),
+        roll: p.roll * Math.PI / 180,
+    };
+}
@@ -1,55 +1,200 @@
 /**
- * Canonical configuration schema for still images.
- * Defines validation, and conversion to/from internal profile format.
+ * Canonical configuration schemas for still images and animations.
+ * Defines validation, migration of older configs/profiles, and conversion
+ * to/from internal profile format.
+ *
+ * Config versions (`schemaVersion`; configs without one are version 1):
+ *   1 — palette as bare tweaks (applied to the custom palette), optional
+ *       topology and camera
+ *   2 — palette.key names the palette the tweaks apply to; topology is
+ *       always present; `extras` carries profile controls the schema does
+ *       not model yet, so they survive an export/import round-trip;
+ *       optional `overrides` pin derived engine parameters by path
+ *       (see core/params.js)
+ *   3 — structure.tension (older configs read as neutral tension);
+ *       optional palette.gradient: colour stops
+ *       [{ color: '#rrggbb', pos, weight }] (see core/palettes.js);
+ *       optional palette.id / palette.name: the custom palette library
+ *       entry the colours were copied from (see ui/palette-library.js);
+ *       optional palette.harmony: colour harmony scheme (absent = analogous)
+ *
+ * Animation configs (`kind: "animation"`, ANIM_SCHEMA_VERSION) inline the
+ * full still config of every landmark, so a loop travels without the
+ * profiles it was built from.
  */
 
-const STRUCTURE_KEYS = ['density', 'luminosity', 'fracture', 'depth', 'coherence'];
+import { CAMERA_LIMITS, normalizeCameraPose } from './camera-pose.js';
+import { PALETTE_KEYS, GRADIENT_MAX_STOPS, GRADIENT_WEIGHT_RANGE, GRADIENT_COLOR_RE, HARMONY_KEYS, DEFAULT_HARMONY } from './palettes.js';
+import { EASING_NAMES, DEFAULT_EASING, DEFAULT_HOLD_MS, DEFAULT_TRANSITION_MS, parseCubicBezier } from './interpolation.js';
+import { NEUTRAL_TENSION } from './mappings.js';
+
+const STRUCTURE_KEYS = ['density', 'luminosity', 'fracture', 'depth', 'coherence', 'tension'];
+
+/** Engine version recorded in exported configs (keep in step with package.json). */
+export const ENGINE_VERSION = '2.0.0';
+
+/** Current still-config schema version. */
+export const SCHEMA_VERSION = 3;
+
+/** Current animation-config schema version. */
+export const ANIM_SCHEMA_VERSION = 1;
+
+/** Current stored-profile version (see migrateProfile()). */
+export const PROFILE_SCHEMA_VERSION = 2;
+
+// Config keys the schema maps; anything else is carried through verbatim
+const KNOWN_CONFIG_KEYS = new Set([
+    'kind', 'schemaVersion', 'engineVersion', 'name', 'intent',
+    'topology', 'palette', 'structure', 'camera', 'overrides', 'extras',
+]);
+// Profile controls the schema maps; anything else travels in `extras`
+const MAPPED_CONTROL_KEYS = new Set(['topology', 'palette', 'camera', 'overrides', ...STRUCTURE_KEYS]);
+// Derived-parameter path, e.g. 'chains.primary.spread' or 'envelopeRadii.0'
+const PARAM_PATH_RE = /^[A-Za-z]\w*(\.\w+)*$/;
+// Custom palette library id, e.g. 'pal-lq2x8k1c-3fz0'
+const PALETTE_ID_RE = /^[\w-]{1,40}$/;
+// Longest still/animation name the schema accepts
+const NAME_MAX_LENGTH = 40;
+// Animation loop duration range the schema accepts (ms)
+const ANIM_DURATION_RANGE = [100, 600000];
 
 function isObj(v) { return v !== null && typeof v === 'object' && !Array.isArray(v); }
 
-function checkStr(errors, key, obj, maxLen) {
+function checkStr(errors, key, obj, maxLen, path = '') {
     const v = obj[key];
     if (typeof v !== 'string' || !v.trim()) {
-        errors.push(`${key}: required, must be a non-empty string`);
+        errors.push(`${path}${key}: required, must be a non-empty string`);
     } else if (v.length > maxLen) {
-        errors.push(`${key}: must be at most ${maxLen} characters`);
+        errors.push(`${path}${key}: must be at most ${maxLen} characters`);
     }
 }
 
 function checkNum(errors, path, obj, key, min, max) {
     const v = obj[key];
+    const label = path ? `${path}.${key}` : key;
     if (typeof v !== 'number' || Number.isNaN(v)) {
-        errors.push(`${path}.${key}: required, must be a number`);
+        errors.push(`${label}: required, must be a number`);
     } else if (v < min || v > max) {
-        errors.push(`${path}.${key}: must be between ${min} and ${max}`);
+        errors.push(`${label}: must be between ${min} and ${max}`);
+    }
+}
+
+/* ---------------------------
+ * Migrations
+ * ---------------------------
+ */
+
+// CONFIG_MIGRATIONS[n] upgrades a version-n config to version n + 1.
+const CONFIG_MIGRATIONS = {
+    // 1 → 2: name the palette and always state the topology
+    1: (c) => ({
+        ...c,
+        topology: c.topology || 'flow-field',
+        palette: isObj(c.palette) ? { key: 'custom', ...c.palette } : c.palette,
+    }),
+    // 2 → 3: the tension control; configs from before it read as neutral
+    2: (c) => (isObj(c.structure) && c.structure.tension === undefined
+        ? { ...c, structure: { ...c.structure, tension: NEUTRAL_TENSION } }
+        : c),
+};
+
+// PROFILE_MIGRATIONS[n] upgrades a version-n stored profile to n + 1.
+const PROFILE_MIGRATIONS = {
+    // 0 → 1: the intent moved from `note` to `seed`
+    0: ({ note, ...p }) => ({ ...p, seed: p.seed || note }),
+    // 1 → 2: image profiles gain the tension control, at neutral
+    1: (p) => (isObj(p.controls) && p.controls.tension === undefined
+        ? { ...p, controls: { ...p.controls, tension: NEUTRAL_TENSION } }
+        : p),
+};
+
+/**
+ * Bring a still config up to SCHEMA_VERSION. Configs from a newer version
+ * are returned unchanged (validation rejects them).
+ * @param {object} data
+ * @returns {object} a migrated copy (or `data` itself if already current)
+ */
+export function migrateStillConfig(data) {
+    if (!isObj(data)) return data;
+    let version = data.schemaVersion ?? 1;
+    if (!Number.isInteger(version) || version >= SCHEMA_VERSION) return data;
+    let config = data;
+    for (; version < SCHEMA_VERSION; version++) {
+        config = CONFIG_MIGRATIONS[version](config);
     }
+    return { ...config, schemaVersion: SCHEMA_VERSION };
 }
 
 /**
- * Validate a single still-config object.
+ * Bring a stored (image or animation) profile up to PROFILE_SCHEMA_VERSION.
+ * Profiles written before versioning carry no schemaVersion and count as
+ * version 1, or version 0 when they still have a legacy `note`.
+ * @param {object} profile
+ * @returns {{ profile: object, migrated: boolean }}
+ */
+export function migrateProfile(profile) {
+    if (!isObj(profile)) return { profile, migrated: false };
+    let version = profile.schemaVersion ?? ('note' in profile ? 0 : 1);
+    if (version >= PROFILE_SCHEMA_VERSION) return { profile, migrated: false };
+    let p = profile;
+    for (; version < PROFILE_SCHEMA_VERSION; version++) {
+        p = PROFILE_MIGRATIONS[version](p);
+    }
+    return { profile: { ...p, schemaVersion: PROFILE_SCHEMA_VERSION }, migrated: true };
+}
+
+/* ---------------------------
+ * Validation
+ * ---------------------------
+ */
+
+/**
+ * Validate a single still-config object (any supported schemaVersion;
+ * older configs are validated as migrated).
  * Returns { ok: boolean, errors: string[] }.
  */
-export function validateStillConfig(data) {
+export function validateStillConfig(input) {
     const errors = [];
 
-    if (!isObj(data)) {
+    if (!isObj(input)) {
         return { ok: false, errors: ['Expected a JSON object'] };
     }
 
+    const version = input.schemaVersion ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+        return { ok: false, errors: ['schemaVersion: must be a positive integer'] };
+    }
+    if (version > SCHEMA_VERSION) {
+        return { ok: false, errors: [`schemaVersion: ${version} is newer than this studio supports (${SCHEMA_VERSION})`] };
+    }
+    const data = migrateStillConfig(input);
+
     if (data.kind !== 'still') {
         errors.push(`kind: must be "still"${data.kind != null ? `, got "${data.kind}"` : ' (missing)'}`);
     }
 
-    checkStr(errors, 'name', data, 40);
+    checkStr(errors, 'name', data, NAME_MAX_LENGTH);
     checkStr(errors, 'intent', data, 120);
+    checkStr(errors, 'topology', data, 40);
 
     // palette
     if (!isObj(data.palette)) {
         errors.push('palette: required, must be an object');
     } else {
+        checkStr(errors, 'key', data.palette, 40, 'palette.');
         checkNum(errors, 'palette', data.palette, 'hue', 0, 359);
         checkNum(errors, 'palette', data.palette, 'range', 0, 360);
         checkNum(errors, 'palette', data.palette, 'saturation', 0, 1);
+        if (data.palette.gradient !== undefined) checkGradient(errors, data.palette.gradient);
+        if (data.palette.harmony !== undefined && !HARMONY_KEYS.includes(data.palette.harmony)) {
+            errors.push(`palette.harmony: must be one of ${HARMONY_KEYS.join(', ')}`);
+        }
+        if (data.palette.id !== undefined) {
+            if (typeof data.palette.id !== 'string' || !PALETTE_ID_RE.test(data.palette.id)) {
+                errors.push('palette.id: must be 1–40 letters, digits, "-" or "_"');
+            }
+            checkStr(errors, 'name', data.palette, 40, 'palette.');
+        }
     }
 
     // structure
@@ -61,55 +206,314 @@ export function validateStillConfig(data) {
         }
     }
 
+    // camera (optional)
+    if (data.camera !== undefined) {
+        if (!isObj(data.camera)) {
+            errors.push('camera: must be an object');
+        } else {
+            checkNum(errors, 'camera', data.camera, 'azimuth', -180, 180);
+            checkNum(errors, 'camera', data.camera, 'elevation', ...CAMERA_LIMITS.elevation);
+            checkNum(errors, 'camera', data.camera, 'distance', ...CAMERA_LIMITS.distance);
+            checkNum(errors, 'camera', data.camera, 'roll', ...CAMERA_LIMITS.roll);
+        }
+    }
+
+    // overrides (optional)
+    if (data.overrides !== undefined) {
+        if (!isObj(data.overrides)) {
+            errors.push('overrides: must be an object');
+        } else {
+            for (const [path, v] of Object.entries(data.overrides)) {
+                if (!PARAM_PATH_RE.test(path) || path.length > 80) {
+                    errors.push(`overrides: "${path}" is not a parameter path`);
+                } else if (typeof v !== 'number' || !Number.isFinite(v)) {
+                    errors.push(`overrides.${path}: must be a number`);
+                }
+            }
+        }
+    }
+
+    // extras (optional)
+    if (data.extras !== undefined && !isObj(data.extras)) {
+        errors.push('extras: must be an object');
+    }
+
     return { ok: errors.length === 0, errors };
 }
 
+function checkGradient(errors, gradient) {
+    if (!Array.isArray(gradient) || gradient.length < 2 || gradient.length > GRADIENT_MAX_STOPS) {
+        errors.push(`palette.gradient: must be an array of 2–${GRADIENT_MAX_STOPS} colour stops`);
+        return;
+    }
+    gradient.forEach((stop, i) => {
+        const path = `palette.gradient[${i}]`;
+        if (!isObj(stop)) {
+            errors.push(`${path}: must be an object`);
+            return;
+        }
+        if (typeof stop.color !== 'string' || !GRADIENT_COLOR_RE.test(stop.color)) {
+            errors.push(`${path}.color: required, must be a #rrggbb colour`);
+        }
+        checkNum(errors, path, stop, 'pos', 0, 1);
+        if (stop.weight !== undefined) checkNum(errors, path, stop, 'weight', ...GRADIENT_WEIGHT_RANGE);
+    });
+}
+
+function isEasing(v) {
+    return typeof v === 'string' && (EASING_NAMES.includes(v) || parseCubicBezier(v) !== null);
+}
+
 /**
- * Convert canonical config → internal profile format for storage.
+ * Validate an animation-config object. Each landmark's `still` is checked
+ * with validateStillConfig(); its errors are prefixed with the landmark path.
+ * Returns { ok: boolean, errors: string[] }.
+ */
+export function validateAnimationConfig(data) {
+    const errors = [];
+
+    if (!isObj(data)) {
+        return { ok: false, errors: ['Expected a JSON object'] };
+    }
+
+    const version = data.schemaVersion ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+        return { ok: false, errors: ['schemaVersion: must be a positive integer'] };
+    }
+    if (version > ANIM_SCHEMA_VERSION) {
+        return { ok: false, errors: [`schemaVersion: ${version} is newer than this studio supports (${ANIM_SCHEMA_VERSION})`] };
+    }
+
+    if (data.kind !== 'animation') {
+        errors.push(`kind: must be "animation"${data.kind != null ? `, got "${data.kind}"` : ' (missing)'}`);
+    }
+
+    checkStr(errors, 'name', data, NAME_MAX_LENGTH);
+    checkStr(errors, 'intent', data, 120);
+    checkNum(errors, '', data, 'fps', 1, 120);
+    checkNum(errors, '', data, 'durationMs', ...ANIM_DURATION_RANGE);
+
+    if (data.morphSeeds !== undefined && typeof data.morphSeeds !== 'boolean') {
+        errors.push('morphSeeds: must be a boolean');
+    }
+
+    // time warp (untimed loops only, recorded for completeness)
+    if (!isObj(data.timeWarp)) {
+        errors.push('timeWarp: required, must be an object');
+    } else {
+        checkNum(errors, 'timeWarp', data.timeWarp, 'strength', 0, 1);
+    }
+
+    // motion blur
+    if (!isObj(data.motionBlur)) {
+        errors.push('motionBlur: required, must be an object');
+    } else {
+        if (typeof data.motionBlur.enabled !== 'boolean') {
+            errors.push('motionBlur.enabled: required, must be a boolean');
+        }
+        checkNum(errors, 'motionBlur', data.motionBlur, 'decay', 0, 1);
+        checkNum(errors, 'motionBlur', data.motionBlur, 'add', 0, 1);
+    }
+
+    // landmarks
+    if (!Array.isArray(data.landmarks) || data.landmarks.length < 2) {
+        errors.push('landmarks: required, must be an array of at least 2 landmarks');
+    } else {
+        data.landmarks.forEach((lm, i) => {
+            const path = `landmarks[${i}]`;
+            if (!isObj(lm)) {
+                errors.push(`${path}: must be an object`);
+                return;
+            }
+            checkNum(errors, path, lm, 'holdMs', 0, 600000);
+            checkNum(errors, path, lm, 'transitionMs', 0, 600000);
+            if (!isEasing(lm.easing)) {
+                errors.push(`${path}.easing: must be one of ${EASING_NAMES.filter(n => n !== 'cubic-bezier').join(', ')} or cubic-bezier(x1, y1, x2, y2)`);
+            }
+            const still = validateStillConfig(lm.still);
+            for (const err of still.errors) errors.push(`${path}.still.${err}`);
+        });
+    }
+
+    return { ok: errors.length === 0, errors };
+}
+
+/* ---------------------------
+ * Conversion
+ * ---------------------------
+ */
+
+/**
+ * Convert canonical config (any supported version) → internal profile
+ * format for storage. Unknown config fields are kept on the profile
+ * (`configExtras`) so exporting it again reproduces them.
  * Returns { name, profile }.
  */
-export function configToProfile(config) {
-    return {
-        name: config.name,
-        profile: {
-            seed: config.intent,
-            controls: {
-                topology: 'flow-field',
-                palette: 'custom',
-                density: config.structure.density,
-                luminosity: config.structure.luminosity,
-                fracture: config.structure.fracture,
-                depth: config.structure.depth,
-                coherence: config.structure.coherence,
-            },
-            paletteTweaks: {
-                baseHue: config.palette.hue,
-                hueRange: config.palette.range,
-                saturation: config.palette.saturation,
-            },
+export function configToProfile(input) {
+    const config = migrateStillConfig(input);
+    // A palette this studio doesn't know keeps its tweaks on custom
+    const palette = PALETTE_KEYS.includes(config.palette.key) ? config.palette.key : 'custom';
+    const controls = {
+        ...config.extras,
+        topology: config.topology,
+        palette,
+        density: config.structure.density,
+        luminosity: config.structure.luminosity,
+        fracture: config.structure.fracture,
+        depth: config.structure.depth,
+        coherence: config.structure.coherence,
+        tension: config.structure.tension,
+    };
+    if (config.camera) controls.camera = normalizeCameraPose(config.camera);
+    if (config.overrides && Object.keys(config.overrides).length > 0) {
+        controls.overrides = { ...config.overrides };
+    }
+
+    const profile = {
+        seed: config.intent,
+        controls,
+        paletteTweaks: {
+            baseHue: config.palette.hue,
+            hueRange: config.palette.range,
+            saturation: config.palette.saturation,
         },
     };
+    if (config.palette.gradient) {
+        profile.paletteTweaks.gradient = config.palette.gradient.map(s => ({ weight: 1, ...s }));
+    }
+    if (config.palette.harmony && config.palette.harmony !== DEFAULT_HARMONY) {
+        profile.paletteTweaks.harmony = config.palette.harmony;
+    }
+    if (palette === 'custom' && config.palette.id) {
+        profile.paletteRef = { id: config.palette.id, name: config.palette.name };
+    }
+    const configExtras = Object.fromEntries(
+        Object.entries(config).filter(([key]) => !KNOWN_CONFIG_KEYS.has(key)));
+    if (Object.keys(configExtras).length > 0) profile.configExtras = configExtras;
+
+    return { name: config.name, profile };
 }
 
 /**
  * Convert internal profile format → canonical config (for export).
  */
 export function profileToConfig(name, profile) {
-    return {
+    const { controls } = profile;
+    const config = {
+        ...profile.configExtras,
         kind: 'still',
+        schemaVersion: SCHEMA_VERSION,
         name,
         intent: profile.seed,
+        topology: controls.topology || 'flow-field',
         palette: {
+            key: controls.palette || 'custom',
             hue: profile.paletteTweaks.baseHue,
             range: profile.paletteTweaks.hueRange,
             saturation: profile.paletteTweaks.saturation,
         },
         structure: {
-            density: profile.controls.density,
-            luminosity: profile.controls.luminosity,
-            fracture: profile.controls.fracture,
-            depth: profile.controls.depth,
-            coherence: profile.controls.coherence,
+            density: controls.density,
+            luminosity: controls.luminosity,
+            fracture: controls.fracture,
+            depth: controls.depth,
+            coherence: controls.coherence,
+            tension: controls.tension ?? NEUTRAL_TENSION,
         },
     };
+    if (profile.paletteTweaks.gradient) {
+        config.palette.gradient = profile.paletteTweaks.gradient.map(s => ({ ...s }));
+    }
+    if (HARMONY_KEYS.includes(profile.paletteTweaks.harmony) && profile.paletteTweaks.harmony !== DEFAULT_HARMONY) {
+        config.palette.harmony = profile.paletteTweaks.harmony;
+    }
+    if (config.palette.key === 'custom' && profile.paletteRef) {
+        config.palette.id = profile.paletteRef.id;
+        config.palette.name = profile.paletteRef.name;
+    }
+    if (controls.camera) config.camera = normalizeCameraPose(controls.camera);
+    if (controls.overrides && Object.keys(controls.overrides).length > 0) {
+        config.overrides = { ...controls.overrides };
+    }
+
+    const extras = Object.fromEntries(
+        Object.entries(controls).filter(([key]) => !MAPPED_CONTROL_KEYS.has(key)));
+    if (Object.keys(extras).length > 0) config.extras = extras;
+    return config;
+}
+
+/**
+ * Convert an anim profile → canonical animation config, inlining the still
+ * config of every landmark found in `stillProfiles` (landmarks whose
+ * profile is missing are skipped, as they are when rendering).
+ * @param {string} name
+ * @param {object} animProfile - { landmarks, durationMs, seed, morphSeeds? }
+ * @param {object} stillProfiles - name → still profile
+ * @param {{ fps: number, timeWarpStrength: number, motionBlur: { enabled: boolean, decay: number, add: number } }} render
+ */
+export function animationToConfig(name, animProfile, stillProfiles, { fps, timeWarpStrength, motionBlur }) {
+    return {
+        kind: 'animation',
+        schemaVersion: ANIM_SCHEMA_VERSION,
+        name,
+        intent: animProfile.seed || 'seed',
+        morphSeeds: !!animProfile.morphSeeds,
+        fps,
+        // Clamped to the schema range, so a zero-length loop still validates
+        durationMs: Math.min(ANIM_DURATION_RANGE[1], Math.max(ANIM_DURATION_RANGE[0], Math.round(animProfile.durationMs || 0))),
+        timeWarp: { strength: timeWarpStrength },
+        motionBlur: { ...motionBlur },
+        landmarks: animProfile.landmarks
+            .filter(lm => stillProfiles[lm.name]?.controls)
+            .map(lm => ({
+                holdMs: lm.holdMs ?? DEFAULT_HOLD_MS,
+                transitionMs: lm.transitionMs ?? DEFAULT_TRANSITION_MS,
+                easing: lm.easing ?? DEFAULT_EASING,
+                still: profileToConfig(lm.name, stillProfiles[lm.name]),
+            })),
+    };
+}
+
+// Comparable form of a still profile: its canonical config, round-tripped
+// so stored and freshly imported profiles normalize alike
+function stillKey(profile) {
+    return JSON.stringify(profileToConfig('', configToProfile(profileToConfig('', profile)).profile));
+}
+
+/**
+ * Convert canonical animation config → an anim profile plus the still
+ * profiles its landmarks reference. A landmark whose still matches one in
+ * `existing` (same name, same config) or one already imported reuses it;
+ * a same-named still with a different config is imported alongside,
+ * suffixed " 2", " 3", … (the base name cut short as needed, so the
+ * result stays within NAME_MAX_LENGTH), so nothing is overwritten.
+ * fps, time warp and motion blur are not stored: the studio renders loops
+ * with its own fixed settings.
+ * @param {object} config - validated animation config
+ * @param {object} [existing] - name → still profile already saved
+ * @returns {{ name: string, animProfile: object, stills: Array<{ name: string, profile: object }> }}
+ *   stills lists only the profiles to add
+ */
+export function configToAnimation(config, existing = {}) {
+    const stills = new Map();   // name → { profile, key }
+    const keyOf = (name) => stills.get(name)?.key ?? (existing[name] ? stillKey(existing[name]) : null);
+    const landmarks = config.landmarks.map((lm) => {
+        const { name: base, profile } = configToProfile(lm.still);
+        const key = stillKey(profile);
+        let name = base;
+        for (let n = 2; keyOf(name) !== null && keyOf(name) !== key; n++) {
+            const suffix = ` ${n}`;
+            name = base.slice(0, NAME_MAX_LENGTH - suffix.length).trimEnd() + suffix;
+        }
+        if (keyOf(name) === null) stills.set(name, { profile, key });
+        return { name, holdMs: lm.holdMs, transitionMs: lm.transitionMs, easing: lm.easing };
+    });
+    const animProfile = { landmarks, durationMs: config.durationMs, seed: config.intent };
+    if (config.morphSeeds) animProfile.morphSeeds = true;
+
+    return {
+        name: config.name,
+        animProfile,
+        stills: [...stills].map(([name, { profile }]) => ({ name, profile })),
+    };
 }
@@ -0,0 +1,168 @@
+/**
+ * Deep links: a piece (seed, topology, palette + tweaks, the six controls,
+ * camera pose and name) serialized into a URL fragment, e.g.
+ *
+ *   #v=1&s=rivers%20of%20glass&t=flow-field&p=violet-depth&pt=265,40,0.6&c=0.65,0.7,0.35,0.4,0.5,0.5
+ *
+ *   v   — link format version
+ *   s   — seed (intent)
+ *   t   — topology
+ *   p   — palette key
+ *   pt  — palette tweaks: baseHue, hueRange, saturation
+ *   pg  — optional palette gradient: rrggbb:pos:weight stops, comma-separated
+ *   ph  — optional palette harmony scheme (absent = analogous)
+ *   c   — density, luminosity, fracture, depth, coherence, tension
+ *         (links from before tension carry five values: neutral tension)
+ *   cam — optional camera pose: azimuth, elevation, distance, roll
+ *   o   — optional parameter overrides: path:value pairs, comma-separated
+ *   r   — optional transparency mode (absent = additive)
+ *   tm  — optional tone settings: mapper, exposure, white point, dither (0/1)
+ *   dof — optional depth of field: 'hero', or the picked focus point x,y
+ *   n   — optional profile name
+ *
+ * Values are rounded to the precision the studio's sliders produce, so a
+ * link reproduces the piece exactly. The fragment never reaches a server.
+ */
+
+import { PALETTE_KEYS, HARMONY_KEYS, DEFAULT_HARMONY, normalizeGradient } from './palettes.js';
+import { isDefaultCameraPose, normalizeCameraPose } from './camera-pose.js';
+import { NEUTRAL_TENSION } from './mappings.js';
+import { TRANSPARENCY_MODES } from './params.js';
+import { TONE_MAPPERS, normalizeTone, isDefaultTone } from './tone.js';
+import { normalizeDof } from './depth-of-field.js';
+
+export const DEEP_LINK_VERSION = 1;
+
+const CONTROL_KEYS = ['density', 'luminosity', 'fracture', 'depth', 'coherence', 'tension'];
+const CAMERA_KEYS = ['azimuth', 'elevation', 'distance', 'roll'];
+const PARAM_PATH_RE = /^[A-Za-z]\w*(\.\w+)*$/;
+
+const fmt = (v, digits) => String(+v.toFixed(digits));
+
+function parseNumbers(str, count) {
+    if (typeof str !== 'string') return null;
+    const parts = str.split(',').map(Number);
+    if (parts.length !== count || parts.some(n => !Number.isFinite(n))) return null;
+    return parts;
+}
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/**
+ * Encode a piece as a URL fragment (without the leading '#').
+ * @param {{ name?: string, seed: string, controls: object, paletteTweaks: object }} piece
+ * @returns {string}
+ */
+export function encodeDeepLink({ name, seed, controls, paletteTweaks }) {
+    // Built by hand rather than with URLSearchParams so the number lists
+    // keep literal commas
+    const fields = [
+        ['v', String(DEEP_LINK_VERSION)],
+        ['s', encodeURIComponent(seed)],
+        ['t', encodeURIComponent(controls.topology || 'flow-field')],
+        ['p', encodeURIComponent(controls.palette || 'violet-depth')],
+        ['pt', [
+            fmt(paletteTweaks.baseHue, 1),
+            fmt(paletteTweaks.hueRange, 1),
+            fmt(paletteTweaks.saturation, 3),
+        ].join(',')],
+        ['c', CONTROL_KEYS.map(k => fmt(k === 'tension' ? controls.tension ?? NEUTRAL_TENSION : controls[k], 3)).join(',')],
+    ];
+    if (paletteTweaks.gradient) {
+        fields.push(['pg', paletteTweaks.gradient
+            .map(s => `${s.color.slice(1)}:${fmt(s.pos, 3)}:${fmt(s.weight ?? 1, 2)}`).join(',')]);
+    }
+    if (HARMONY_KEYS.includes(paletteTweaks.harmony) && paletteTweaks.harmony !== DEFAULT_HARMONY) {
+        fields.push(['ph', paletteTweaks.harmony]);
+    }
+    if (!isDefaultCameraPose(controls.camera)) {
+        const pose = normalizeCameraPose(controls.camera);
+        fields.push(['cam', CAMERA_KEYS.map(k => fmt(pose[k], k === 'distance' ? 3 : 1)).join(',')]);
+    }
+    if (controls.overrides && Object.keys(controls.overrides).length > 0) {
+        fields.push(['o', Object.entries(controls.overrides).map(([path, v]) => `${path}:${v}`).join(',')]);
+    }
+    if (TRANSPARENCY_MODES.includes(controls.transparency) && controls.transparency !== 'additive') {
+        fields.push(['r', controls.transparency]);
+    }
+    if (!isDefaultTone(controls.tone)) {
+        const tone = normalizeTone(controls.tone);
+        fields.push(['tm', [tone.mapper, fmt(tone.exposure, 2), fmt(tone.whitePoint, 1), tone.dither ? 1 : 0].join(',')]);
+    }
+    const dof = normalizeDof(controls.dof);
+    if (dof) fields.push(['dof', dof.focus ? `${fmt(dof.focus.x, 3)},${fmt(dof.focus.y, 3)}` : 'hero']);
+    if (name) fields.push(['n', encodeURIComponent(name)]);
+    return fields.map(([k, v]) => `${k}=${v}`).join('&');
+}
+
+/**
+ * Decode a URL fragment produced by encodeDeepLink().
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {{ name: string|null, seed: string, controls: object, paletteTweaks: object }|null}
+ *   null when the fragment is not a (supported) deep link
+ */
+export function decodeDeepLink(hash) {
+    const q = new URLSearchParams((hash || '').replace(/^#/, ''));
+    if (Number(q.get('v')) !== DEEP_LINK_VERSION) return null;
+
+    const seed = q.get('s');
+    const tweaks = parseNumbers(q.get('pt'), 3);
+    const values = parseNumbers(q.get('c'), CONTROL_KEYS.length)
+        ?? parseNumbers(q.get('c') + ',' + NEUTRAL_TENSION, CONTROL_KEYS.length);
+    if (!seed || !tweaks || !values) return null;
+
+    const palette = PALETTE_KEYS.includes(q.get('p')) ? q.get('p') : 'custom';
+    const topology = /^[a-z0-9-]{1,40}$/.test(q.get('t') || '') ? q.get('t') : 'flow-field';
+
+    const controls = { topology, palette };
+    CONTROL_KEYS.forEach((k, i) => { controls[k] = clamp(values[i], 0, 1); });
+
+    const cam = parseNumbers(q.get('cam'), CAMERA_KEYS.length);
+    if (cam) {
+        const pose = normalizeCameraPose(Object.fromEntries(CAMERA_KEYS.map((k, i) => [k, cam[i]])));
+        if (!isDefaultCameraPose(pose)) controls.camera = pose;
+    }
+
+    const overrides = {};
+    for (const pair of (q.get('o') || '').split(',')) {
+        const [path, value] = pair.split(':');
+        if (PARAM_PATH_RE.test(path || '') && value !== '' && Number.isFinite(Number(value))) {
+            overrides[path] = Number(value);
+        }
+    }
+    if (Object.keys(overrides).length > 0) controls.overrides = overrides;
+    if (TRANSPARENCY_MODES.includes(q.get('r')) && q.get('r') !== 'additive') controls.transparency = q.get('r');
+
+    const [mapper, ...toneValues] = (q.get('tm') || '').split(',');
+    const toneNumbers = parseNumbers(toneValues.join(','), 3);
+    if (TONE_MAPPERS.includes(mapper) && toneNumbers) {
+        const tone = normalizeTone({
+            mapper, exposure: toneNumbers[0], whitePoint: toneNumbers[1], dither: toneNumbers[2] !== 0,
+        });
+        if (!isDefaultTone(tone)) controls.tone = tone;
+    }
+
+    if (q.get('dof') === 'hero') controls.dof = {};
+    const focus = parseNumbers(q.get('dof'), 2);
+    if (focus) controls.dof = normalizeDof({ focus: { x: focus[0], y: focus[1] } });
+
+    const paletteTweaks = {
+        baseHue: clamp(tweaks[0], 0, 360),
+        hueRange: clamp(tweaks[1], 0, 360),
+        saturation: clamp(tweaks[2], 0, 1),
+    };
+    const gradient = normalizeGradient((q.get('pg') || '').split(',').map((stop) => {
+        const [color, pos, weight] = stop.split(':');
+        return { color: '#' + color, pos: Number(pos), weight: Number(weight) };
+    }));
+    if (gradient) paletteTweaks.gradient = gradient;
+    const harmony = q.get('ph');
+    if (HARMONY_KEYS.includes(harmony) && harmony !== DEFAULT_HARMONY) paletteTweaks.harmony = harmony;
+
+    return {
+        name: (q.get('n') || '').slice(0, 40) || null,
+        seed: seed.slice(0, 120),
+        controls,
+        paletteTweaks,
+    };
+}
@@ -0,0 +1,33 @@
+/**
+ * Depth of field settings. A profile's `controls.dof` turns the effect on:
+ *
+ *   {}                   — focus locks to the hero-dot cluster
+ *   { focus: { x, y } }  — focus on the dot nearest this frame point
+ *                          (0–1 from the top-left, picked on the canvas)
+ *
+ * Aperture and focus range come from the depth slider (the `dof.*`
+ * mappings), so deeper compositions fall off out of focus faster.
+ */
+
+import { clamp01 } from './prng.js';
+
+const isPoint = (p) => p !== null && typeof p === 'object' && Number.isFinite(p.x) && Number.isFinite(p.y);
+
+/**
+ * @param {object|null|undefined} dof - controls.dof
+ * @returns {{ focus: { x: number, y: number }|null }|null} null when depth of field is off
+ */
+export function normalizeDof(dof) {
+    if (!dof || typeof dof !== 'object') return null;
+    return { focus: isPoint(dof.focus) ? { x: clamp01(dof.focus.x), y: clamp01(dof.focus.y) } : null };
+}
+
+/**
+ * Focus target the renderer resolves: 'hero' or a frame point; null when off.
+ * @param {object|null|undefined} dof - controls.dof
+ * @returns {'hero'|{ x: number, y: number }|null}
+ */
+export function dofFocus(dof) {
+    const d = normalizeDof(dof);
+    return d ? d.focus || 'hero' : null;
+}
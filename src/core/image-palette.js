@@ -0,0 +1,183 @@
+/**
+ * Palette extraction from a reference image.
+ *
+ * Pixels are clustered in OKLab (k-means, deterministic seeding) after
+ * dropping near-black background and transparent pixels. The clusters
+ * that together cover most of the remaining pixels are the dominant set;
+ * it is mapped onto the palette model:
+ *
+ *   baseHue / hueRange — the smallest hue arc holding every chromatic cluster
+ *   saturation         — the chromatic clusters' mean HSL saturation, by
+ *                        pixel share (white glow and grey haze would
+ *                        otherwise wash it out)
+ *   gradient           — one stop per chromatic hue family (clusters of
+ *                        nearly the same hue merged), placed by hue along
+ *                        the arc and weighted by pixel share (≥ 2 families)
+ *
+ * An image with no chromatic cluster gives a near-grey palette around the
+ * hue of its largest cluster.
+ *
+ * Works on raw RGBA bytes, so it runs anywhere; decoding and downscaling
+ * the image is the caller's job.
+ */
+
+import { xmur3, mulberry32, clamp01 } from './prng.js';
+import { srgbToLinear, linearToSrgb, linearRgbToOklab, oklabToLinearRgb, srgbToHsl } from './oklab.js';
+import { GRADIENT_WEIGHT_RANGE, hueSatToHex, normalizeGradient } from './palettes.js';
+
+const CLUSTERS = 6;
+const ITERATIONS = 12;
+const BLACK_L = 0.2;          // OKLab lightness below this is background
+const MIN_ALPHA = 128;
+const COVERAGE = 0.9;         // dominant clusters cover this share of pixels…
+const MIN_SHARE = 0.04;       // …and each holds at least this share
+const CHROMATIC_SAT = 0.15;   // clusters below this saturation carry no hue
+const MERGE_HUE = 12;         // clusters closer in hue than this form one family
+const ARC_PADDING = 10;       // degrees added to the arc, as cluster hues are means
+const MIN_PIXELS = 16;
+
+function collectPixels(data) {
+    const lab = [];
+    for (let i = 0; i + 3 < data.length; i += 4) {
+        if (data[i + 3] < MIN_ALPHA) continue;
+        const c = linearRgbToOklab([data[i], data[i + 1], data[i + 2]].map(v => srgbToLinear(v / 255)));
+        if (c[0] >= BLACK_L) lab.push(c);
+    }
+    return lab;
+}
+
+const dist2 = (p, q) => (p[0] - q[0]) ** 2 + (p[1] - q[1]) ** 2 + (p[2] - q[2]) ** 2;
+
+function nearest(p, centers) {
+    let best = 0, bestD = Infinity;
+    for (let j = 0; j < centers.length; j++) {
+        const d = dist2(p, centers[j]);
+        if (d < bestD) { bestD = d; best = j; }
+    }
+    return best;
+}
+
+/** k-means++ seeding from a fixed seed, so an image always gives the same palette. */
+function seedCenters(points, k, rng) {
+    const centers = [points[Math.floor(rng() * points.length)]];
+    const d = points.map(p => dist2(p, centers[0]));
+    while (centers.length < k) {
+        const total = d.reduce((s, v) => s + v, 0);
+        if (total <= 0) break;
+        let r = rng() * total, i = 0;
+        while (i < points.length - 1 && (r -= d[i]) > 0) i++;
+        centers.push(points[i]);
+        for (let j = 0; j < points.length; j++) d[j] = Math.min(d[j], dist2(points[j], points[i]));
+    }
+    return centers.map(c => [...c]);
+}
+
+function kMeans(points, k) {
+    const centers = seedCenters(points, k, mulberry32(xmur3('image-palette')()));
+    const assign = new Int32Array(points.length);
+    const counts = new Array(centers.length).fill(0);
+    for (let iter = 0; iter < ITERATIONS; iter++) {
+        const sums = centers.map(() => [0, 0, 0]);
+        counts.fill(0);
+        let moved = false;
+        for (let i = 0; i < points.length; i++) {
+            const j = nearest(points[i], centers);
+            if (iter === 0 || assign[i] !== j) moved = true;
+            assign[i] = j;
+            counts[j]++;
+            for (let c = 0; c < 3; c++) sums[j][c] += points[i][c];
+        }
+        centers.forEach((center, j) => {
+            if (counts[j] > 0) for (let c = 0; c < 3; c++) center[c] = sums[j][c] / counts[j];
+        });
+        if (!moved) break;
+    }
+    return centers
+        .map((center, j) => ({ center, share: counts[j] / points.length }))
+        .filter(cl => cl.share > 0);
+}
+
+/** Clusters that together cover COVERAGE of the pixels, largest first. */
+function dominantClusters(clusters) {
+    const sorted = [...clusters].sort((a, b) => b.share - a.share);
+    const dominant = [];
+    let covered = 0;
+    for (const cl of sorted) {
+        if (covered >= COVERAGE || (dominant.length > 0 && cl.share < MIN_SHARE)) break;
+        dominant.push(cl);
+        covered += cl.share;
+    }
+    return dominant;
+}
+
+const hueDelta = (a, b) => ((((b - a) % 360) + 540) % 360) - 180;
+
+/** Merge clusters of nearly the same hue, by pixel share; sorted by hue. */
+function hueFamilies(clusters) {
+    const families = [];
+    for (const cl of [...clusters].sort((a, b) => a.hue - b.hue)) {
+        const last = families[families.length - 1];
+        if (last && Math.abs(hueDelta(last.hue, cl.hue)) < MERGE_HUE) {
+            const share = last.share + cl.share;
+            last.hue = (last.hue + hueDelta(last.hue, cl.hue) * cl.share / share + 360) % 360;
+            last.saturation = (last.saturation * last.share + cl.saturation * cl.share) / share;
+            last.share = share;
+        } else {
+            families.push({ ...cl });
+        }
+    }
+    return families;
+}
+
+/** Smallest arc holding every hue: start and length in degrees. */
+function hueArc(hues) {
+    const sorted = [...hues].sort((a, b) => a - b);
+    let gap = 360 - sorted[sorted.length - 1] + sorted[0], start = sorted[0];
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i] - sorted[i - 1] > gap) {
+            gap = sorted[i] - sorted[i - 1];
+            start = sorted[i];
+        }
+    }
+    return { start, length: 360 - gap };
+}
+
+/**
+ * Derive palette tweaks from an image.
+ * @param {Uint8ClampedArray|Uint8Array|number[]} data - RGBA bytes (e.g. ImageData.data)
+ * @returns {{ baseHue: number, hueRange: number, saturation: number, gradient?: Array }|null}
+ *   null when the image has too few non-background pixels
+ */
+export function extractImagePalette(data) {
+    const pixels = collectPixels(data);
+    if (pixels.length < MIN_PIXELS) return null;
+
+    const clusters = dominantClusters(kMeans(pixels, CLUSTERS)).map(({ center, share }) => {
+        const srgb = oklabToLinearRgb(center).map(v => clamp01(linearToSrgb(Math.max(0, v))));
+        const { h, s } = srgbToHsl(srgb);
+        return { hue: h, saturation: s, share };
+    });
+    const chromatic = hueFamilies(clusters.filter(cl => cl.saturation >= CHROMATIC_SAT));
+    const hued = chromatic.length > 0 ? chromatic : [clusters[0]];
+    const share = hued.reduce((sum, cl) => sum + cl.share, 0);
+    const saturation = hued.reduce((sum, cl) => sum + cl.saturation * cl.share, 0) / share;
+
+    const arc = hueArc(hued.map(cl => cl.hue));
+    const tweaks = {
+        baseHue: Math.round(arc.start + arc.length / 2) % 360,
+        hueRange: Math.round(Math.max(5, Math.min(360, arc.length + ARC_PADDING))),
+        saturation: Math.round(Math.max(0.1, Math.min(1, saturation)) * 100) / 100,
+    };
+
+    if (chromatic.length >= 2 && arc.length > 0) {
+        const meanShare = share / chromatic.length;
+        const [wMin, wMax] = GRADIENT_WEIGHT_RANGE;
+        const gradient = normalizeGradient(chromatic.map(cl => ({
+            color: hueSatToHex(cl.hue, cl.saturation),
+            pos: Math.round(((cl.hue - arc.start + 360) % 360) / arc.length * 100) / 100,
+            weight: Math.round(Math.max(wMin, Math.min(wMax, cl.share / meanShare)) * 100) / 100,
+        })));
+        if (gradient) tweaks.gradient = gradient;
+    }
+    return tweaks;
+}
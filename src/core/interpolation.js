@@ -1,19 +1,43 @@
 /**
  * Seamless animation interpolation: Catmull-Rom splines, time-warp, cosine easing.
  *
- * Interpolates continuous controls (density, luminosity, fracture, depth, coherence).
- * Discrete controls (topology, palette) use nearest-keyframe value.
+ * Interpolates continuous controls (density, luminosity, fracture, depth, coherence,
+ * tension).
+ * Discrete controls (topology, palette, parameter overrides, transparency,
+ * tone and depth-of-field settings) use the nearest-keyframe value.
+ *
+ * Landmarks may carry their own timing — holdMs (time resting on the
+ * landmark), transitionMs (time travelling to the next one) and an easing
+ * curve for that transition. Without timing, landmarks are spaced evenly
+ * and every segment uses the global TIME_WARP_STRENGTH.
+ *
+ * Palette and topology also change continuously: results carry a
+ * `paletteBlend` ({ from, fromTweaks, to, toTweaks, t }, mixed perceptually
+ * by deriveParams) and, mid-transition between different topologies, a
+ * `topologyBlend` ({ from, to, t }) that cross-fades the topology fields.
+ * The `palette`/`topology` keys still name the nearest landmark's values.
+ * A camera pose on either end of a segment is carried through as a
+ * `camera` pose blended between them (see lerpCameraPose()).
+ *
+ * Landmarks that carry their own `seed` (seed-morphing loops) add a
+ * `seedMorph` ({ from, to, t }) that the renderer uses in place of the
+ * loop seed, morphing one intent's structure into the next.
  */
 
 import { clamp01, lerp } from './prng.js';
+import { NEUTRAL_TENSION } from './mappings.js';
+import { lerpCameraPose } from './camera-pose.js';
 
 export const TIME_WARP_STRENGTH = 0.78;
 
 /** Numeric control keys that get smoothly interpolated. */
-const NUMERIC_KEYS = ['density', 'luminosity', 'fracture', 'depth', 'coherence'];
+const NUMERIC_KEYS = ['density', 'luminosity', 'fracture', 'depth', 'coherence', 'tension'];
+
+// Landmarks saved before the tension control read as neutral tension
+const numeric = (c, key) => (key === 'tension' ? c.tension ?? NEUTRAL_TENSION : c[key]);
 
 /** Discrete control keys — use nearest keyframe value. */
-const DISCRETE_KEYS = ['topology', 'palette'];
+const DISCRETE_KEYS = ['topology', 'palette', 'overrides', 'transparency', 'tone', 'dof'];
 
 export function smootherstep(t) {
     t = clamp01(t);
@@ -29,6 +53,97 @@ export function cosineEase(t) {
     return 0.5 - 0.5 * Math.cos(Math.PI * t);
 }
 
+/* ---------------------------
+ * Per-landmark easing
+ * ---------------------------
+ */
+
+export const EASING_NAMES = ['linear', 'cosine', 'smootherstep', 'cubic-bezier'];
+export const DEFAULT_EASING = 'smootherstep';
+export const DEFAULT_HOLD_MS = 0;
+export const DEFAULT_TRANSITION_MS = 1200;
+
+const BEZIER_RE = /^cubic-bezier\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/;
+
+/**
+ * Cubic-bezier easing with CSS semantics: P0 = (0,0), P3 = (1,1),
+ * x1/x2 clamped to [0, 1] so the curve stays a function of time.
+ * Solves x(s) = t with Newton's method, falling back to bisection.
+ */
+export function cubicBezierEase(x1, y1, x2, y2) {
+    x1 = clamp01(x1);
+    x2 = clamp01(x2);
+    const cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+    const cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+    const sampleX = (s) => ((ax * s + bx) * s + cx) * s;
+    const sampleY = (s) => ((ay * s + by) * s + cy) * s;
+    const slopeX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+
+    return function (t) {
+        t = clamp01(t);
+        let s = t;
+        for (let i = 0; i < 8; i++) {
+            const err = sampleX(s) - t;
+            if (Math.abs(err) < 1e-6) return sampleY(s);
+            const d = slopeX(s);
+            if (Math.abs(d) < 1e-6) break;
+            s -= err / d;
+        }
+        let lo = 0, hi = 1;
+        s = t;
+        for (let i = 0; i < 32; i++) {
+            const x = sampleX(s);
+            if (Math.abs(x - t) < 1e-6) break;
+            if (x < t) lo = s; else hi = s;
+            s = (lo + hi) / 2;
+        }
+        return sampleY(s);
+    };
+}
+
+/**
+ * Parse a `cubic-bezier(x1, y1, x2, y2)` string.
+ * @returns {number[]|null} the four control values, or null if malformed
+ */
+export function parseCubicBezier(str) {
+    const m = BEZIER_RE.exec(String(str).trim());
+    if (!m) return null;
+    const pts = m.slice(1).map(Number);
+    return pts.every(Number.isFinite) ? pts : null;
+}
+
+/**
+ * Resolve an easing name to a function [0,1] → [0,1].
+ * Unknown names fall back to DEFAULT_EASING.
+ */
+export function easingFn(easing) {
+    switch (easing) {
+        case 'linear': return clamp01;
+        case 'cosine': return (t) => cosineEase(clamp01(t));
+        case 'smootherstep': return smootherstep;
+    }
+    const pts = parseCubicBezier(easing);
+    if (pts) return cubicBezierEase(...pts);
+    return smootherstep;
+}
+
+function hasTiming(landmarks) {
+    return landmarks.some(l => l.holdMs != null || l.transitionMs != null);
+}
+
+/**
+ * Total loop length implied by per-landmark timing.
+ * @param {Array<{holdMs?: number, transitionMs?: number}>} landmarks
+ * @returns {number} milliseconds
+ */
+export function loopDurationMs(landmarks) {
+    let total = 0;
+    for (const l of landmarks) {
+        total += Math.max(0, l.holdMs ?? DEFAULT_HOLD_MS) + Math.max(0, l.transitionMs ?? DEFAULT_TRANSITION_MS);
+    }
+    return total;
+}
+
 export function catmullRom(p0, p1, p2, p3, t) {
     const t2 = t * t;
     const t3 = t2 * t;
@@ -40,17 +155,46 @@ export function catmullRom(p0, p1, p2, p3, t) {
     );
 }
 
+/**
+ * Palette/topology/seed blend descriptors, and the blended camera pose,
+ * for the segment from landmark `a` to `b` at eased position u. Landmarks
+ * may carry `paletteTweaks` for their palette and a `seed` to morph from/to.
+ */
+function segmentBlends(a, b, u) {
+    const out = {
+        paletteBlend: {
+            from: a.controls.palette,
+            fromTweaks: a.paletteTweaks || null,
+            to: b.controls.palette,
+            toTweaks: b.paletteTweaks || null,
+            t: u,
+        },
+    };
+    if (u > 0 && u < 1 && a.controls.topology !== b.controls.topology) {
+        out.topologyBlend = { from: a.controls.topology, to: b.controls.topology, t: u };
+    }
+    if (a.seed != null && b.seed != null) {
+        out.seedMorph = { from: a.seed, to: b.seed, t: u };
+    }
+    if (a.controls.camera || b.controls.camera) {
+        out.camera = lerpCameraPose(a.controls.camera, b.controls.camera, u);
+    }
+    return out;
+}
+
 /**
  * Evaluate interpolated controls at a normalized time position.
- * Landmarks should have a `.controls` property with both numeric and discrete keys.
+ * Landmarks should have a `.controls` property with both numeric and discrete keys,
+ * and optionally `.holdMs`, `.transitionMs` and `.easing` (see evalTimedControlsAt).
  *
  * @param {number} tNorm - Normalized time [0, 1)
- * @param {Array<{controls: object}>} landmarks
+ * @param {Array<{controls: object, holdMs?: number, transitionMs?: number, easing?: string}>} landmarks
  * @returns {object|null} Interpolated controls object
  */
 export function evalControlsAt(tNorm, landmarks) {
     const n = landmarks.length;
     if (n < 2) return null;
+    if (hasTiming(landmarks)) return evalTimedControlsAt(tNorm, landmarks);
 
     // Find nearest landmark for discrete values
     const nearestIdx = Math.round(tNorm * n) % n;
@@ -67,9 +211,9 @@ export function evalControlsAt(tNorm, landmarks) {
         const warped = warpSegmentT(phase, TIME_WARP_STRENGTH * 0.55);
         const u = cosineEase(warped);
 
-        const result = { ...discrete };
+        const result = { ...discrete, ...segmentBlends(landmarks[0], landmarks[1], u) };
         for (const key of NUMERIC_KEYS) {
-            result[key] = lerp(c0[key], c1[key], u);
+            result[key] = lerp(numeric(c0, key), numeric(c1, key), u);
         }
         return result;
     }
@@ -89,9 +233,59 @@ export function evalControlsAt(tNorm, landmarks) {
     const C2 = landmarks[i2].controls;
     const C3 = landmarks[i3].controls;
 
-    const result = { ...discrete };
+    const result = { ...discrete, ...segmentBlends(landmarks[i1], landmarks[i2], t) };
+    for (const key of NUMERIC_KEYS) {
+        result[key] = clamp01(catmullRom(numeric(C0, key), numeric(C1, key), numeric(C2, key), numeric(C3, key), t));
+    }
+    return result;
+}
+
+/**
+ * Timed evaluation: the loop is laid out as hold₀, transition₀→₁, hold₁, …,
+ * transitionₙ₋₁→₀, scaled to tNorm. During a hold the landmark's controls
+ * are returned as-is; during a transition the Catmull-Rom spline through
+ * the neighbouring landmarks is sampled at the eased segment position, so
+ * easing shapes the pace while the path stays smooth. Discrete controls
+ * switch halfway through the eased transition; their blends follow u.
+ */
+function evalTimedControlsAt(tNorm, landmarks) {
+    const n = landmarks.length;
+    const total = loopDurationMs(landmarks);
+    if (total <= 0) return { ...landmarks[0].controls, ...segmentBlends(landmarks[0], landmarks[0], 0) };
+
+    let time = (((tNorm % 1) + 1) % 1) * total;
+    let i1 = 0;
+    let u = 0;
+    for (; i1 < n; i1++) {
+        const l = landmarks[i1];
+        const hold = Math.max(0, l.holdMs ?? DEFAULT_HOLD_MS);
+        const transition = Math.max(0, l.transitionMs ?? DEFAULT_TRANSITION_MS);
+        if (time < hold) { u = 0; break; }
+        time -= hold;
+        if (time < transition) { u = easingFn(l.easing ?? DEFAULT_EASING)(time / transition); break; }
+        time -= transition;
+    }
+    // Float round-off past the last transition wraps to the first landmark
+    if (i1 >= n) { i1 = 0; u = 0; }
+
+    const i0 = (i1 - 1 + n) % n;
+    const i2 = (i1 + 1) % n;
+    const i3 = (i1 + 2) % n;
+
+    const C0 = landmarks[i0].controls;
+    const C1 = landmarks[i1].controls;
+    const C2 = landmarks[i2].controls;
+    const C3 = landmarks[i3].controls;
+
+    const nearest = u < 0.5 ? C1 : C2;
+    const result = segmentBlends(landmarks[i1], landmarks[i2], u);
+    for (const key of DISCRETE_KEYS) {
+        result[key] = nearest[key];
+    }
     for (const key of NUMERIC_KEYS) {
-        result[key] = clamp01(catmullRom(C0[key], C1[key], C2[key], C3[key], t));
+        result[key] = u === 0
+            ? numeric(C1, key)
+            : clamp01(catmullRom(numeric(C0, key), numeric(C1, key), numeric(C2, key), numeric(C3, key), u));
     }
     return result;
 }
@@ -0,0 +1,343 @@
+/**
+ * Control → parameter mapping curves: the table deriveParams() reads every
+ * slider-driven value from.
+ *
+ * A mapping set is plain JSON, so alternative sets can be loaded (studio
+ * Advanced section, `render --mappings`) and A/B'd against the same seeds:
+ *
+ *   {
+ *     "name": "softer fracture",
+ *     "mappings": {
+ *       "chains.primary.spread": {
+ *         "input": "fracture", "invert": true,
+ *         "points": [[0, 0.35], [0.5, 0.6], [1, 0.85]],
+ *         "interp": "monotone"
+ *       }
+ *     }
+ *   }
+ *
+ * Each mapping reads one control (`input`, 0–1; `invert` reads 1 − value)
+ * and evaluates a curve through `points` ([x, y] pairs with x rising over
+ * 0–1; values outside the first/last x hold the end values). `interp`:
+ *
+ *   linear   — straight segments (default)
+ *   smooth   — smoothstep within each segment (flat at every point)
+ *   step     — holds each point's value until the next point
+ *   monotone — monotone cubic through the points (no overshoot)
+ *
+ * Keys are derived-parameter paths (as used by overrides), plus
+ * `factors.*` for intermediate scales deriveParams combines with other
+ * values (e.g. the density attenuation dividing the lighting params).
+ * A set only needs the mappings it changes; the rest come from the default.
+ *
+ * The default set reproduces the original three-point mappings exactly
+ * (x = 0 / 0.5 / 1 → lo / demo default / hi).
+ */
+
+import { clamp01 } from './prng.js';
+
+export const MAPPING_INPUTS = ['density', 'luminosity', 'fracture', 'depth', 'coherence', 'tension'];
+export const MAPPING_INTERPOLATIONS = ['linear', 'smooth', 'step', 'monotone'];
+
+/**
+ * Tension at which the scene looks as it did before the control existed;
+ * controls without a `tension` (older profiles, configs, links) read as this.
+ */
+export const NEUTRAL_TENSION = 0.5;
+
+const D = 'density', L = 'luminosity', F = 'fracture', P = 'depth', C = 'coherence', T = 'tension';
+const curve = (input, lo, mid, hi, invert = false) => (
+    invert
+        ? { input, invert: true, points: [[0, lo], [0.5, mid], [1, hi]] }
+        : { input, points: [[0, lo], [0.5, mid], [1, hi]] }
+);
+// fracture and depth read inverted: high slider = compact / zoomed in
+const frac = (lo, mid, hi) => curve(F, lo, mid, hi, true);
+const dep = (lo, mid, hi) => curve(P, lo, mid, hi, true);
+
+export const DEFAULT_MAPPING_SET = Object.freeze({
+    name: 'default',
+    mappings: Object.freeze({
+        // Background brightness scale
+        'factors.lumScale': curve(L, 0.5, 1.0, 2.0),
+
+        // Envelope
+        'envelopeRadii.0': frac(1.0, 1.4, 1.8),
+        'envelopeRadii.1': frac(0.70, 0.95, 1.20),
+        'envelopeRadii.2': frac(0.85, 1.15, 1.50),
+
+        // Camera
+        'cameraZ': dep(2.25, 3.5, 3.67),
+        'cameraFov': dep(34, 50, 58),
+        'fogDensity': curve(P, 0.3, 0.55, 0.9),
+
+        // Topology
+        'topologyBias': curve(C, 0.15, 0.40, 0.70),
+        'fieldFractalAmplitude': frac(0.2, 0.5, 0.9),
+
+        // Guide curves
+        'curveConfig.primary.seedCount': curve(C, 5, 8, 12),
+        'curveConfig.primary.maxCount': curve(D, 3, 5, 7),
+        'curveConfig.primary.maxSteps': frac(28, 40, 55),
+        'curveConfig.primary.stepSize': curve(C, 0.08, 0.06, 0.04),
+        'curveConfig.primary.curvature': frac(0.2, 0.4, 0.7),
+        'curveConfig.secondary.seedCount': curve(C, 10, 16, 24),
+        'curveConfig.secondary.maxCount': curve(D, 5, 10, 14),
+        'curveConfig.secondary.maxSteps': frac(10, 16, 24),
+        'curveConfig.secondary.stepSize': curve(C, 0.07, 0.05, 0.035),
+        'curveConfig.secondary.curvature': frac(0.3, 0.6, 1.0),
+        'curveConfig.tertiary.seedCount': curve(C, 16, 24, 36),
+        'curveConfig.tertiary.maxCount': curve(D, 7, 14, 20),
+        'curveConfig.tertiary.stepSize': curve(C, 0.055, 0.04, 0.025),
+        'curveConfig.tertiary.curvature': frac(0.4, 0.8, 1.3),
+
+        // Folding chains
+        'chains.primary.chainLenBase': curve(D, 5, 8, 11),
+        'chains.primary.scaleRange': frac(0.25, 0.50, 0.80),
+        'chains.primary.spread': frac(0.35, 0.60, 0.85),
+        'chains.primary.dualProb': curve(D, 0.45, 0.75, 0.95),
+        'chains.primary.spacing': curve(C, 0.15, 0.11, 0.07),
+        'chains.secondary.chainLenBase': curve(D, 3, 5, 7),
+        'chains.secondary.scaleRange': frac(0.18, 0.35, 0.55),
+        'chains.secondary.spread': frac(0.25, 0.40, 0.60),
+        'chains.secondary.dualProb': curve(D, 0.25, 0.50, 0.75),
+        'chains.secondary.spacing': curve(C, 0.17, 0.13, 0.08),
+        'chains.tertiary.chainLenBase': curve(D, 2, 3, 5),
+        'chains.tertiary.scaleRange': frac(0.18, 0.35, 0.55),
+        'chains.tertiary.spread': frac(0.15, 0.30, 0.50),
+        'chains.tertiary.dualProb': curve(D, 0.10, 0.28, 0.50),
+        'chains.tertiary.spacing': curve(C, 0.13, 0.09, 0.05),
+
+        // Tension — fold/bend scales multiply the chains' dihedral and
+        // wobble angles; the off-axis shift pans the framing (fraction of
+        // the half-frame, zero up to neutral tension)
+        'foldScale': curve(T, 0.35, 1.0, 3.0),
+        'bendScale': curve(T, 0.4, 1.0, 2.4),
+        'offAxisShift': curve(T, 0, 0, 0.32),
+
+        // Chain visuals
+        'edgeOpacityBase': frac(0.001, 0.003, 0.006),
+        'edgeOpacityFadeScale': frac(0.008, 0.015, 0.025),
+        'crackExtendScale': frac(1.04, 1.12, 1.22),
+
+        // Illumination (lighting params are divided by faceDensityAtten)
+        'factors.faceDensityAtten': curve(D, 0.90, 1.0, 2.5),
+        'backLightFactor': curve(L, 1.0, 2.0, 3.2),
+        'illuminationCap': curve(L, 1.2, 1.8, 2.5),
+        'ambientLight': curve(L, 0.008, 0.02, 0.04),
+        'frontLightFactor': curve(L, 0.15, 0.3, 0.5),
+        'edgeFadeThreshold': frac(0.30, 0.22, 0.14),
+
+        // Atmospheric scatter
+        'atmosphericCount': curve(D, 4, 8, 14),
+
+        // Accent layer
+        'accentConfig.dotCount': curve(D, 4, 10, 24),
+        'accentConfig.chainCount': curve(D, 1, 3, 5),
+
+        // Dots (glow bases are divided by densityScale)
+        'factors.densityScale': curve(D, 0.35, 1.0, 5.5),
+        'factors.heroSpreadScale': frac(0.5, 1.0, 1.75),
+        'factors.smallDotDensityScale': curve(D, 0.25, 1.0, 2.0),
+        'factors.dotSpreadDensityScale': curve(D, 0.85, 1.0, 1.25),
+        'dotConfig.heroDotCount': curve(D, 3, 5, 9),
+        'dotConfig.mediumDotCount': curve(D, 3, 8, 20),
+        'dotConfig.interiorDotCount': curve(D, 18, 50, 180),
+        'dotConfig.interiorDotSpread.0': frac(0.40, 0.65, 0.90),
+        'dotConfig.interiorDotSpread.1': frac(0.30, 0.48, 0.66),
+        'dotConfig.interiorDotSpread.2': frac(0.36, 0.58, 0.80),
+        'dotConfig.microDotCount': curve(D, 70, 220, 800),
+        'dotConfig.microDotSpread.0': frac(0.55, 0.90, 1.25),
+        'dotConfig.microDotSpread.1': frac(0.38, 0.62, 0.86),
+        'dotConfig.microDotSpread.2': frac(0.46, 0.75, 1.04),
+        'dotLook.heroGlowBase': curve(L, 20, 34, 50),
+        'dotLook.mediumGlowBase': curve(L, 10, 16, 24),
+        'dotLook.smallGlowBase': curve(L, 6, 10, 16),
+        'dotLook.smallLightnessBase': curve(L, 0.25, 0.35, 0.50),
+        'dotLook.microGlowBase': curve(L, 7, 12, 18),
+        'dotLook.microLightnessBase': curve(L, 0.20, 0.30, 0.45),
+
+        // Tendrils
+        'tendrilOpacity.primary': curve(C, 0.02, 0.06, 0.10),
+        'tendrilOpacity.other': curve(C, 0.01, 0.03, 0.06),
+
+        // Postprocessing (bloomStrength is divided by bloomDensityAtten)
+        'factors.bloomDensityAtten': curve(D, 1.0, 1.0, 1.8),
+        'bloomStrength': curve(L, 0.10, 0.20, 0.35),
+        'bloomThreshold': curve(C, 0.55, 0.70, 0.85),
+        'chromaticAberration': frac(0.001, 0.002, 0.004),
+        'vignetteStrength': dep(0.20, 0.50, 0.86),
+
+        // Depth of field (when on): bokeh radius in pixels per 1000 px of
+        // frame height, and the world distance over which focus falls off
+        'dof.aperture': curve(P, 2, 5, 10),
+        'dof.focusRange': curve(P, 2.4, 1.5, 0.9),
+    }),
+});
+
+/* ---------------------------
+ * Curve evaluation
+ * ---------------------------
+ */
+
+// Fritsch–Carlson tangents for a monotone cubic through `points`
+function monotoneTangents(points) {
+    const n = points.length;
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) {
+        slopes.push((points[i + 1][1] - points[i][1]) / (points[i + 1][0] - points[i][0]));
+    }
+    const m = [slopes[0]];
+    for (let i = 1; i < n - 1; i++) {
+        m.push(slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2);
+    }
+    m.push(slopes[n - 2]);
+    for (let i = 0; i < n - 1; i++) {
+        if (slopes[i] === 0) { m[i] = 0; m[i + 1] = 0; continue; }
+        const a = m[i] / slopes[i];
+        const b = m[i + 1] / slopes[i];
+        const h = a * a + b * b;
+        if (h > 9) {
+            const k = 3 / Math.sqrt(h);
+            m[i] = k * a * slopes[i];
+            m[i + 1] = k * b * slopes[i];
+        }
+    }
+    return m;
+}
+
+const tangentCache = new WeakMap();
+
+/**
+ * Evaluate a curve at x.
+ * @param {Array<[number, number]>} points - x strictly rising
+ * @param {number} x
+ * @param {string} [interp='linear']
+ * @returns {number}
+ */
+export function evalCurve(points, x, interp = 'linear') {
+    const n = points.length;
+    if (x <= points[0][0]) return points[0][1];
+    if (x > points[n - 1][0]) return points[n - 1][1];
+
+    // Segment with x0 <= x < x1 (the last one also takes x = its x1)
+    let i = 0;
+    while (i < n - 2 && x >= points[i + 1][0]) i++;
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[i + 1];
+    const u = (x - x0) / (x1 - x0);
+
+    switch (interp) {
+        case 'step':
+            return u >= 1 ? y1 : y0;
+        case 'smooth':
+            return y0 + (y1 - y0) * (u * u * (3 - 2 * u));
+        case 'monotone': {
+            if (!tangentCache.has(points)) tangentCache.set(points, monotoneTangents(points));
+            const m = tangentCache.get(points);
+            const h = x1 - x0;
+            const u2 = u * u, u3 = u2 * u;
+            return (2 * u3 - 3 * u2 + 1) * y0 + (u3 - 2 * u2 + u) * h * m[i]
+                + (-2 * u3 + 3 * u2) * y1 + (u3 - u2) * h * m[i + 1];
+        }
+        default:
+            return y0 + (y1 - y0) * u;
+    }
+}
+
+/**
+ * Evaluate one mapping for a set of controls.
+ * @param {{ input: string, invert?: boolean, points: Array, interp?: string }} mapping
+ * @param {object} controls
+ * @returns {number}
+ */
+export function evalMapping(mapping, controls) {
+    const v = mapping.input === T ? (controls.tension ?? NEUTRAL_TENSION) : controls[mapping.input];
+    const x = clamp01(mapping.invert ? 1 - v : v);
+    return evalCurve(mapping.points, x, mapping.interp);
+}
+
+/* ---------------------------
+ * Active set
+ * ---------------------------
+ */
+
+let activeSet = DEFAULT_MAPPING_SET;
+let activeMappings = DEFAULT_MAPPING_SET.mappings;
+
+/**
+ * Make a (validated) mapping set the one deriveParams() reads; mappings it
+ * leaves out fall back to the default set. Pass null to restore the default.
+ * @param {object|null} set
+ */
+export function setMappingSet(set) {
+    activeSet = set || DEFAULT_MAPPING_SET;
+    activeMappings = set ? { ...DEFAULT_MAPPING_SET.mappings, ...set.mappings } : DEFAULT_MAPPING_SET.mappings;
+}
+
+/** The active mapping set, as loaded (see setMappingSet). */
+export function getMappingSet() {
+    return activeSet;
+}
+
+/**
+ * Mapper for one deriveParams() call: key → value under the active set.
+ * @param {object} controls
+ * @returns {(key: string) => number}
+ */
+export function createMapper(controls) {
+    const mappings = activeMappings;
+    return (key) => evalMapping(mappings[key], controls);
+}
+
+/* ---------------------------
+ * Validation
+ * ---------------------------
+ */
+
+/**
+ * Validate a mapping set (e.g. parsed from a JSON file).
+ * Returns { ok: boolean, errors: string[] }.
+ */
+export function validateMappingSet(data) {
+    const errors = [];
+    const isObj = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    if (!isObj(data)) return { ok: false, errors: ['Expected a JSON object'] };
+    if (data.name !== undefined && (typeof data.name !== 'string' || data.name.length > 40)) {
+        errors.push('name: must be a string of at most 40 characters');
+    }
+    if (!isObj(data.mappings)) {
+        return { ok: false, errors: [...errors, 'mappings: required, must be an object'] };
+    }
+
+    for (const [key, m] of Object.entries(data.mappings)) {
+        if (!Object.hasOwn(DEFAULT_MAPPING_SET.mappings, key)) {
+            errors.push(`mappings: unknown parameter "${key}"`);
+            continue;
+        }
+        if (!isObj(m)) {
+            errors.push(`${key}: must be an object`);
+            continue;
+        }
+        if (!MAPPING_INPUTS.includes(m.input)) {
+            errors.push(`${key}.input: must be one of ${MAPPING_INPUTS.join(', ')}`);
+        }
+        if (m.invert !== undefined && typeof m.invert !== 'boolean') {
+            errors.push(`${key}.invert: must be a boolean`);
+        }
+        if (m.interp !== undefined && !MAPPING_INTERPOLATIONS.includes(m.interp)) {
+            errors.push(`${key}.interp: must be one of ${MAPPING_INTERPOLATIONS.join(', ')}`);
+        }
+        const pts = m.points;
+        if (!Array.isArray(pts) || pts.length < 2) {
+            errors.push(`${key}.points: required, must be an array of at least 2 [x, y] pairs`);
+        } else if (!pts.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite))) {
+            errors.push(`${key}.points: every point must be an [x, y] pair of numbers`);
+        } else if (pts.some(([x], i) => x < 0 || x > 1 || (i > 0 && x <= pts[i - 1][0]))) {
+            errors.push(`${key}.points: x values must rise strictly within 0–1`);
+        }
+    }
+
+    return { ok: errors.length === 0, errors };
+}
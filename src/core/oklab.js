@@ -0,0 +1,128 @@
+/**
+ * Perceptual colour helpers: sRGB ↔ linear ↔ OKLab / OKLCh.
+ *
+ * Used to blend palettes so a transition passes through colours of
+ * even perceived lightness instead of the muddy midpoints of RGB/HSL
+ * mixing. Hues blend along the shortest arc of the colour wheel.
+ * OKLab reference: https://bottosson.github.io/posts/oklab/
+ */
+
+import { clamp01, lerp } from './prng.js';
+
+export function srgbToLinear(c) {
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+export function linearToSrgb(c) {
+    return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+/** Linear RGB [r,g,b] → OKLab [L,a,b]. */
+export function linearRgbToOklab([r, g, b]) {
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+    ];
+}
+
+/** OKLab [L,a,b] → linear RGB [r,g,b] (unclamped). */
+export function oklabToLinearRgb([L, a, b]) {
+    const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+    ];
+}
+
+/** Interpolate hue angles (degrees) along the shortest arc; result in [0, 360). */
+export function lerpHue(a, b, t) {
+    const delta = ((((b - a) % 360) + 540) % 360) - 180;
+    return (((a + delta * t) % 360) + 360) % 360;
+}
+
+/** Blend two linear-RGB colours in OKLab. */
+export function mixLinearRgbOklab(c0, c1, t) {
+    const a = linearRgbToOklab(c0);
+    const b = linearRgbToOklab(c1);
+    return oklabToLinearRgb([lerp(a[0], b[0], t), lerp(a[1], b[1], t), lerp(a[2], b[2], t)])
+        .map(v => Math.max(0, v));
+}
+
+/* ── HSL hue/saturation through OKLCh ── */
+
+function hslToSrgb(h, s, l) {
+    const k = (n) => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return [f(0), f(8), f(4)];
+}
+
+/** sRGB [r,g,b] (0–1) → HSL { h: degrees, s, l }. */
+export function srgbToHsl([r, g, b]) {
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    if (d < 1e-9) return { h: 0, s: 0, l };
+    const s = d / (1 - Math.abs(2 * l - 1));
+    let h;
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return { h: ((h * 60) + 360) % 360, s: clamp01(s), l };
+}
+
+function hueSatToOklch(hue, sat) {
+    const [L, a, b] = linearRgbToOklab(hslToSrgb(((hue % 360) + 360) % 360, clamp01(sat), 0.5).map(srgbToLinear));
+    return { L, C: Math.hypot(a, b), h: (Math.atan2(b, a) * 180 / Math.PI + 360) % 360 };
+}
+
+/** HSL saturation (at lightness 0.5) of `hue` whose OKLCh chroma is C; chroma grows monotonically with s. */
+function saturationForChroma(hue, C) {
+    let lo = 0, hi = 1;
+    for (let i = 0; i < 24; i++) {
+        const mid = (lo + hi) / 2;
+        if (hueSatToOklch(hue, mid).C < C) lo = mid; else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Blend two palette (hue, saturation) pairs perceptually. Both are taken as
+ * mid-lightness HSL colours and mixed in OKLCh — chroma linearly, hue along
+ * the shortest arc — then mapped back to the HSL hue and saturation whose
+ * mid-lightness colour has that OKLCh hue and chroma. Near-grey endpoints
+ * contribute little hue, as in any polar perceptual space.
+ * @returns {{ hue: number, saturation: number }}
+ */
+export function mixHueSaturation(hue0, sat0, hue1, sat1, t) {
+    const p = hueSatToOklch(hue0, sat0);
+    const q = hueSatToOklch(hue1, sat1);
+    // Achromatic endpoints have no meaningful hue — borrow the other's
+    const h0 = p.C < 1e-4 ? q.h : p.h;
+    const h1 = q.C < 1e-4 ? p.h : q.h;
+    const targetHue = lerpHue(h0, h1, t);
+    const C = lerp(p.C, q.C, t);
+
+    // OKLCh hue increases monotonically with HSL hue, so bisect for the HSL
+    // hue whose colour (at the blended chroma) lands on the target.
+    const guess = lerpHue(hue0, hue1, t);
+    const errAt = (x) => {
+        const h = (((x % 360) + 360) % 360);
+        return ((((targetHue - hueSatToOklch(h, saturationForChroma(h, C)).h) % 360) + 540) % 360) - 180;
+    };
+    let lo = guess - 180, hi = guess + 180;
+    for (let i = 0; i < 32; i++) {
+        const mid = (lo + hi) / 2;
+        if (errAt(mid) > 0) lo = mid; else hi = mid;
+    }
+    const hue = ((((lo + hi) / 2) % 360) + 360) % 360;
+    const saturation = saturationForChroma(hue, C);
+    return { hue, saturation };
+}
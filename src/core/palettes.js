@@ -10,8 +10,16 @@
  *   - Crystal Lattice: cool blue/silver with sharp reflections
  *   - Sapphire: deep blue family
  *   - Amethyst: purple/magenta family
+ *
+ * Any palette may also carry a multi-stop `gradient` (see Gradient
+ * palettes below) that replaces the single hue arc for chain colours, and
+ * a `harmony` scheme (see Colour harmony below) that gives chain tiers,
+ * dots and tendrils their own hue families.
  */
 
+import { clamp01 } from './prng.js';
+import { mixHueSaturation, mixLinearRgbOklab, lerpHue, srgbToLinear, linearToSrgb, srgbToHsl } from './oklab.js';
+
 export const PALETTES = {
     'violet-depth': {
         label: 'Violet Depth',
@@ -127,8 +135,12 @@ export const customPalette = {
     ...deriveCustomColors(325),
 };
 
-/** Update any palette in-place (built-in or custom). Derives fog/bg/edge from baseHue. */
-export function updatePalette(key, { baseHue, hueRange, saturation }) {
+/**
+ * Update any palette in-place (built-in or custom). Derives fog/bg/edge
+ * from baseHue; a `gradient` or `harmony` in the settings replaces the
+ * palette's, its absence removes it.
+ */
+export function updatePalette(key, { baseHue, hueRange, saturation, gradient, harmony }) {
     const target = key === 'custom' ? customPalette : PALETTES[key];
     if (!target) return;
     const derived = deriveCustomColors(baseHue);
@@ -139,6 +151,11 @@ export function updatePalette(key, { baseHue, hueRange, saturation }) {
     target.bgColor = derived.bgColor;
     target.edgeColor = derived.edgeColor;
     target.accentHue = derived.accentHue;
+    const stops = normalizeGradient(gradient);
+    if (stops) target.gradient = stops;
+    else delete target.gradient;
+    if (HARMONY_KEYS.includes(harmony) && harmony !== DEFAULT_HARMONY) target.harmony = harmony;
+    else delete target.harmony;
 }
 
 /** Backward-compat alias. */
@@ -150,6 +167,8 @@ export function updateCustomPalette(settings) {
 export function resetPalette(key) {
     const defaults = PALETTE_DEFAULTS[key];
     if (!defaults || !PALETTES[key]) return;
+    delete PALETTES[key].gradient;
+    delete PALETTES[key].harmony;
     Object.assign(PALETTES[key], { ...defaults, fogColor: [...defaults.fogColor], bgColor: [...defaults.bgColor], edgeColor: [...defaults.edgeColor] });
 }
 
@@ -163,3 +182,226 @@ export function getPalette(key) {
     if (key === 'custom') return customPalette;
     return PALETTES[key] || PALETTES['violet-depth'];
 }
+
+/* ── Gradient palettes ── */
+
+/*
+ * A gradient is a list of colour stops
+ *
+ *   [{ color: '#rrggbb', pos: 0–1, weight: 0.1–10 }, …]   (2–8 stops)
+ *
+ * Chain colours sample it at the colour field's value instead of sweeping
+ * baseHue ± hueRange/2. Neighbouring stops blend in OKLab; only the hue
+ * and saturation of a sample are used — lightness stays with the engine's
+ * fade and lighting. Weight pulls the blend toward a stop: between stops
+ * a and b, u → u^(a.weight / b.weight), so the heavier stop holds its
+ * colour further into the segment.
+ */
+
+export const GRADIENT_MAX_STOPS = 8;
+export const GRADIENT_WEIGHT_RANGE = Object.freeze([0.1, 10]);
+export const GRADIENT_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+// Evenly spaced stops when a hue arc is turned into a gradient
+const ARC_STOPS = 5;
+
+/**
+ * Clean up a stop list: drop malformed stops, clamp positions and weights,
+ * sort by position and cap the count.
+ * @param {Array|null|undefined} stops
+ * @returns {Array<{ color: string, pos: number, weight: number }>|null} null unless ≥ 2 stops survive
+ */
+export function normalizeGradient(stops) {
+    if (!Array.isArray(stops)) return null;
+    const [wMin, wMax] = GRADIENT_WEIGHT_RANGE;
+    const clean = stops
+        .filter(s => s && GRADIENT_COLOR_RE.test(s.color) && Number.isFinite(s.pos))
+        .map(s => ({
+            color: s.color.toLowerCase(),
+            pos: clamp01(s.pos),
+            weight: Number.isFinite(s.weight) ? Math.max(wMin, Math.min(wMax, s.weight)) : 1,
+        }))
+        .sort((a, b) => a.pos - b.pos)
+        .slice(0, GRADIENT_MAX_STOPS);
+    return clean.length >= 2 ? clean : null;
+}
+
+function hexToLinearRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(v => srgbToLinear(v / 255));
+}
+
+function linearRgbToHex(rgb) {
+    return '#' + rgb
+        .map(v => Math.round(clamp01(linearToSrgb(v)) * 255).toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/** Hex colour of a mid-lightness HSL hue/saturation. */
+export function hueSatToHex(hue, saturation) {
+    const h = ((hue % 360) + 360) % 360;
+    const [r, g, b] = hslToRgb01(h, clamp01(saturation), 0.5);
+    return linearRgbToHex([r, g, b].map(srgbToLinear));
+}
+
+/**
+ * Linear-RGB colour of a gradient at t (0–1); outside the first/last stop
+ * the end colours hold.
+ */
+export function sampleGradientRgb(stops, t) {
+    const n = stops.length;
+    if (t <= stops[0].pos) return hexToLinearRgb(stops[0].color);
+    if (t >= stops[n - 1].pos) return hexToLinearRgb(stops[n - 1].color);
+    let i = 0;
+    while (i < n - 2 && t >= stops[i + 1].pos) i++;
+    const a = stops[i], b = stops[i + 1];
+    const span = b.pos - a.pos;
+    const u = span > 0 ? Math.pow((t - a.pos) / span, a.weight / b.weight) : 1;
+    return mixLinearRgbOklab(hexToLinearRgb(a.color), hexToLinearRgb(b.color), u);
+}
+
+/** Hex colour of a gradient at t (0–1). */
+export function gradientHexAt(stops, t) {
+    return linearRgbToHex(sampleGradientRgb(stops, t));
+}
+
+/**
+ * Hue (degrees) and HSL saturation of a gradient at t (0–1).
+ * @returns {{ hue: number, saturation: number }}
+ */
+export function sampleGradient(stops, t) {
+    const { h, s } = srgbToHsl(sampleGradientRgb(stops, t).map(linearToSrgb));
+    return { hue: h, saturation: s };
+}
+
+/**
+ * Gradient equivalent of a palette's hue arc (baseHue ± hueRange/2 at its
+ * saturation), e.g. as a starting point for editing.
+ */
+export function gradientFromArc({ baseHue, hueRange, saturation }) {
+    return Array.from({ length: ARC_STOPS }, (_, i) => {
+        const pos = i / (ARC_STOPS - 1);
+        return { color: hueSatToHex(baseHue - hueRange / 2 + pos * hueRange, saturation), pos, weight: 1 };
+    });
+}
+
+/**
+ * Blend the gradients (or hue arcs) of two palettes: both are sampled at
+ * shared, evenly spaced positions and mixed in OKLab.
+ */
+function blendGradients(a, b, t) {
+    const ga = a.gradient || gradientFromArc(a);
+    const gb = b.gradient || gradientFromArc(b);
+    const count = Math.max(ga.length, gb.length, ARC_STOPS) * 2 - 1;
+    return Array.from({ length: count }, (_, i) => {
+        const pos = i / (count - 1);
+        const rgb = mixLinearRgbOklab(sampleGradientRgb(ga, pos), sampleGradientRgb(gb, pos), t);
+        return { color: linearRgbToHex(rgb), pos, weight: 1 };
+    });
+}
+
+/* ── Colour harmony ── */
+
+/*
+ * A harmony scheme gives each element role its own hue family, as an
+ * offset in degrees from the palette's colours (the base hue arc, or the
+ * gradient sample for gradient palettes). Analogous, the default, keeps
+ * every role on the one family. heroTint is how far the otherwise white
+ * hero dots lean toward their family.
+ */
+
+export const HARMONY_SCHEMES = Object.freeze({
+    'analogous':           Object.freeze({ primary: 0, secondary: 0,   tertiary: 0,   heroDots: 0,   smallDots: 0,   tendrils: 0,   heroTint: 0 }),
+    'complementary':       Object.freeze({ primary: 0, secondary: 180, tertiary: 0,   heroDots: 180, smallDots: 0,   tendrils: 180, heroTint: 0.45 }),
+    'split-complementary': Object.freeze({ primary: 0, secondary: 150, tertiary: 210, heroDots: 150, smallDots: 210, tendrils: 0,   heroTint: 0.45 }),
+    'triadic':             Object.freeze({ primary: 0, secondary: 120, tertiary: 240, heroDots: 120, smallDots: 240, tendrils: 120, heroTint: 0.45 }),
+});
+
+export const HARMONY_KEYS = Object.keys(HARMONY_SCHEMES);
+export const DEFAULT_HARMONY = 'analogous';
+
+/**
+ * Role hue offsets of a palette: its scheme's, or the resolved offsets a
+ * blended palette carries.
+ * @param {object} pal
+ * @returns {{ primary: number, secondary: number, tertiary: number, heroDots: number, smallDots: number, tendrils: number, heroTint: number }}
+ */
+export function paletteHarmony(pal) {
+    return pal.harmonyOffsets || HARMONY_SCHEMES[pal.harmony] || HARMONY_SCHEMES[DEFAULT_HARMONY];
+}
+
+function blendHarmony(a, b, t) {
+    const out = {};
+    for (const key of Object.keys(a)) {
+        out[key] = key === 'heroTint' ? a[key] + (b[key] - a[key]) * t : lerpHue(a[key], b[key], t);
+    }
+    return out;
+}
+
+/* ── Palette snapshots and blending (animation) ── */
+
+/**
+ * Standalone palette object for `key` with optional tweaks applied, without
+ * touching the shared mutable palettes. Without tweaks the factory defaults
+ * are used, so the result never depends on what the editor last applied.
+ */
+export function resolvePalette(key, tweaks = null) {
+    const defaults = key === 'custom'
+        ? { label: 'Custom', ...getPaletteDefaults('custom'), ...deriveCustomColors(getPaletteDefaults('custom').baseHue) }
+        : (PALETTE_DEFAULTS[key] || PALETTE_DEFAULTS['violet-depth']);
+    const pal = { ...defaults, fogColor: [...defaults.fogColor], bgColor: [...defaults.bgColor], edgeColor: [...defaults.edgeColor] };
+    if (tweaks) {
+        Object.assign(pal, deriveCustomColors(tweaks.baseHue), {
+            baseHue: tweaks.baseHue,
+            hueRange: tweaks.hueRange,
+            saturation: tweaks.saturation,
+        });
+        const stops = normalizeGradient(tweaks.gradient);
+        if (stops) pal.gradient = stops;
+        if (HARMONY_KEYS.includes(tweaks.harmony)) pal.harmony = tweaks.harmony;
+    }
+    return pal;
+}
+
+/**
+ * Perceptual blend of two palette objects (t=0 → a, t=1 → b).
+ * Base hue and saturation mix in OKLCh along the shortest hue arc;
+ * fog, background and edge colours mix in OKLab; hue range is linear.
+ * When either side has a gradient the result does too (see blendGradients).
+ * Harmony role offsets blend along the shortest hue arc, so a loop can
+ * turn from one scheme into another.
+ */
+export function blendPalettes(a, b, t) {
+    if (t <= 0) return a;
+    if (t >= 1) return b;
+    const { hue, saturation } = mixHueSaturation(a.baseHue, a.saturation, b.baseHue, b.saturation, t);
+    const gradient = a.gradient || b.gradient ? { gradient: blendGradients(a, b, t) } : null;
+    return {
+        ...gradient,
+        label: t < 0.5 ? a.label : b.label,
+        harmony: t < 0.5 ? a.harmony : b.harmony,
+        harmonyOffsets: blendHarmony(paletteHarmony(a), paletteHarmony(b), t),
+        baseHue: hue,
+        hueRange: a.hueRange + (b.hueRange - a.hueRange) * t,
+        saturation,
+        fogColor: mixLinearRgbOklab(a.fogColor, b.fogColor, t),
+        bgColor: mixLinearRgbOklab(a.bgColor, b.bgColor, t),
+        edgeColor: mixLinearRgbOklab(a.edgeColor, b.edgeColor, t),
+        accentHue: lerpHue(a.accentHue, b.accentHue, t),
+    };
+}
+
+/**
+ * Palette for a controls object: the blended palette when the controls
+ * carry a `paletteBlend` (see evalControlsAt), else the shared palette.
+ * @param {object} controls
+ */
+export function paletteForControls(controls) {
+    const blend = controls.paletteBlend;
+    if (!blend) return getPalette(controls.palette);
+    return blendPalettes(
+        resolvePalette(blend.from, blend.fromTweaks),
+        resolvePalette(blend.to, blend.toTweaks),
+        blend.t,
+    );
+}
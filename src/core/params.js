@@ -8,66 +8,196 @@
  *   density    — geometry count and mass
  *   luminosity — brightness, glow, light intensity
  *   fracture   — spatial complexity and fragmentation
- *   depth      — camera zoom
- *   coherence  — structural order vs organic flow
+ *   depth      — camera zoom and how thick the depth fog is
+ *   coherence  — structural order vs organic flow, and how strongly
+ *                the selected topology steers the structure
+ *   tension    — how hard planes fold and bend against the guide curves,
+ *                and (above neutral) how far the framing is pushed off-axis
+ *
+ * A profile's `controls.overrides` ({ 'dotConfig.microDotCount': 300, … })
+ * pins individual derived values after the mapping — see applyParamOverrides().
+ * `controls.tone` passes through as `params.tone` (see tone.js), and
+ * `controls.dof` as `params.dofFocus` (see depth-of-field.js).
+ */
+
+import { paletteForControls, paletteHarmony } from './palettes.js';
+import { createMapper } from './mappings.js';
+import { normalizeTone } from './tone.js';
+import { dofFocus } from './depth-of-field.js';
+
+/**
+ * Params that only affect how the built scene is drawn (camera, lighting
+ * uniforms, dot glow/lightness, postprocessing). Everything else feeds
+ * geometry — see geometryKey().
+ */
+export const DRAW_PARAM_KEYS = [
+    'luminosity',
+    'bgInnerColor', 'bgOuterColor', 'fogColor', 'fogDensity', 'edgeColor', 'edgeTintStrength',
+    'cameraZ', 'cameraFov', 'cameraOffsetX', 'cameraOffsetY', 'offAxisShift',
+    'backLightFactor', 'illuminationCap', 'ambientLight', 'frontLightFactor', 'edgeFadeThreshold',
+    'dotLook',
+    'bloomStrength', 'bloomThreshold', 'chromaticAberration', 'vignetteStrength',
+    'transparency', 'tone', 'dof', 'dofFocus',
+];
+
+/**
+ * How face planes combine: `additive` light (the default) or weighted
+ * blended order-independent transparency (`oit`), chosen per profile
+ * with `controls.transparency`.
+ */
+export const TRANSPARENCY_MODES = ['additive', 'oit'];
+
+/**
+ * Cache key for the geometry a seed + params pair builds: equal keys
+ * build identical scenes, differing only in draw-time params.
+ * @param {string} seed
+ * @param {object} params - from deriveParams()
+ * @returns {string}
+ */
+export function geometryKey(seed, params) {
+    const geometry = { ...params };
+    for (const key of DRAW_PARAM_KEYS) delete geometry[key];
+    return JSON.stringify([seed, geometry]);
+}
+
+/* ---------------------------
+ * Overrides
+ * ---------------------------
+ */
+
+// Raw inputs echoed into params for downstream use (controls, palette
+// gradient, tone and focus settings) — not derived, never pinned
+const RAW_PARAM_KEYS = new Set(['density', 'fracture', 'luminosity', 'gradient', 'tone', 'dofFocus']);
+
+const isContainer = (v) => v !== null && typeof v === 'object';
+
+/**
+ * Dotted paths of every numeric derived parameter an override may pin,
+ * e.g. 'chains.primary.spread' or 'envelopeRadii.0'.
+ * @param {object} params - from deriveParams()
+ * @returns {string[]}
  */
+export function overridablePaths(params) {
+    const paths = [];
+    (function walk(obj, prefix) {
+        for (const [key, v] of Object.entries(obj)) {
+            const path = prefix + key;
+            if (typeof v === 'number') paths.push(path);
+            else if (isContainer(v)) walk(v, path + '.');
+        }
+    })(Object.fromEntries(Object.entries(params).filter(([k]) => !RAW_PARAM_KEYS.has(k))), '');
+    return paths;
+}
+
+/**
+ * Value of a dotted parameter path, or undefined if it doesn't resolve.
+ * @param {object} params
+ * @param {string} path
+ */
+export function paramAt(params, path) {
+    let v = params;
+    for (const key of path.split('.')) {
+        if (!isContainer(v) || !Object.hasOwn(v, key)) return undefined;
+        v = v[key];
+    }
+    return v;
+}
 
-import { clamp01, controlLerp } from './prng.js';
-import { getPalette } from './palettes.js';
+/**
+ * Pin derived parameters: each `path → value` in `overrides` replaces the
+ * numeric value at that path. Containers along a path are copied rather
+ * than mutated (palette colours are shared objects). Paths that don't name
+ * a numeric parameter, raw controls and non-finite values are ignored.
+ * @param {object} params - from deriveParams()
+ * @param {Object<string, number>|null|undefined} overrides
+ * @returns {object} params with overrides applied
+ */
+export function applyParamOverrides(params, overrides) {
+    if (!isContainer(overrides)) return params;
+    let out = params;
+    for (const [path, value] of Object.entries(overrides)) {
+        const keys = path.split('.');
+        if (RAW_PARAM_KEYS.has(keys[0])) continue;
+        if (!Number.isFinite(value) || typeof paramAt(out, path) !== 'number') continue;
+
+        out = { ...out };
+        let node = out;
+        for (const key of keys.slice(0, -1)) {
+            node[key] = Array.isArray(node[key]) ? node[key].slice() : { ...node[key] };
+            node = node[key];
+        }
+        node[keys[keys.length - 1]] = value;
+    }
+    return out;
+}
 
 export function deriveParams(controls, rng) {
     const c = controls;
-    const pal = getPalette(c.palette);
-    const cl = controlLerp;
-    const frac = 1 - c.fracture; // invert: high slider = compact/fractured
-    const dep = 1 - c.depth;     // invert: high slider = zoomed in
+    const pal = paletteForControls(c); // blended mid-transition in loops
+    const m = createMapper(c);         // slider curves, see core/mappings.js
 
     // --- Palette ---
     const baseHue = pal.baseHue;
     const hueRange = pal.hueRange;
     const saturation = pal.saturation;
-    // Background colors — demo near-black, scaled by luminosity
-    const lumScale = cl(c.luminosity, 0.5, 1.0, 2.0);
-    const bgInnerColor = [0.003 * lumScale, 0.001 * lumScale, 0.006 * lumScale];
+    // Multi-stop gradient (if the palette has one) colours the chains instead of the hue arc
+    const gradient = pal.gradient || null;
+    // Harmony scheme: a hue offset (degrees) per element role, 0 for analogous
+    const harmony = paletteHarmony(pal);
+    const tierHueOffsets = {
+        primary: harmony.primary,
+        secondary: harmony.secondary,
+        tertiary: harmony.tertiary,
+    };
+    // Background colors — the palette's near-black fog colour, scaled by luminosity
+    const lumScale = m('factors.lumScale');
+    const bgInnerColor = pal.fogColor.map(v => v * lumScale);
     const bgOuterColor = [0.0, 0.0, 0.0];
 
     // --- Envelope (fracture — spatial complexity) ---
-    const envelopeRadii = [
-        cl(frac, 1.0, 1.4, 1.8),
-        cl(frac, 0.70, 0.95, 1.20),
-        cl(frac, 0.85, 1.15, 1.50),
-    ];
-
-    // --- Camera (depth — zoom only) ---
-    const cameraZ = cl(dep, 2.25, 3.5, 3.67);
-    const cameraFov = cl(dep, 34, 50, 58);
+    const envelopeRadii = [m('envelopeRadii.0'), m('envelopeRadii.1'), m('envelopeRadii.2')];
+
+    // --- Camera (depth — zoom, and fog thickness behind the centre) ---
+    const cameraZ = m('cameraZ');
+    const cameraFov = m('cameraFov');
+    const fogDensity = m('fogDensity');
     const cameraOffsetX = 0;
     const cameraOffsetY = 0;
+    // Tension pans the framing off-axis (direction picked per seed by the renderer)
+    const offAxisShift = m('offAxisShift');
+
+    // --- Topology (coherence — how strongly the governing field steers structure) ---
+    const topology = c.topology || 'flow-field';
+    // Loop transitions between topologies cross-fade their fields ({ from, to, t })
+    const topologyBlend = c.topologyBlend || null;
+    const topologyBias = m('topologyBias');
+    const depthRange = envelopeRadii[0];
+    const fieldFractalAmplitude = m('fieldFractalAmplitude');
 
     // --- Guide Curves ---
     const curveConfig = {
         primary: {
-            seedCount:  Math.round(cl(c.coherence, 5, 8, 12)),
-            maxCount:   Math.round(cl(c.density, 3, 5, 7)),
-            maxSteps:   Math.round(cl(frac, 28, 40, 55)),
-            stepSize:   cl(c.coherence, 0.08, 0.06, 0.04),
-            curvature:  cl(frac, 0.2, 0.4, 0.7),
+            seedCount:  Math.round(m('curveConfig.primary.seedCount')),
+            maxCount:   Math.round(m('curveConfig.primary.maxCount')),
+            maxSteps:   Math.round(m('curveConfig.primary.maxSteps')),
+            stepSize:   m('curveConfig.primary.stepSize'),
+            curvature:  m('curveConfig.primary.curvature'),
             minLength:  8,
         },
         secondary: {
-            seedCount:  Math.round(cl(c.coherence, 10, 16, 24)),
-            maxCount:   Math.round(cl(c.density, 5, 10, 14)),
-            maxSteps:   Math.round(cl(frac, 10, 16, 24)),
-            stepSize:   cl(c.coherence, 0.07, 0.05, 0.035),
-            curvature:  cl(frac, 0.3, 0.6, 1.0),
+            seedCount:  Math.round(m('curveConfig.secondary.seedCount')),
+            maxCount:   Math.round(m('curveConfig.secondary.maxCount')),
+            maxSteps:   Math.round(m('curveConfig.secondary.maxSteps')),
+            stepSize:   m('curveConfig.secondary.stepSize'),
+            curvature:  m('curveConfig.secondary.curvature'),
             minLength:  5,
         },
         tertiary: {
-            seedCount:  Math.round(cl(c.coherence, 16, 24, 36)),
-            maxCount:   Math.round(cl(c.density, 7, 14, 20)),
+            seedCount:  Math.round(m('curveConfig.tertiary.seedCount')),
+            maxCount:   Math.round(m('curveConfig.tertiary.maxCount')),
             maxSteps:   8,
-            stepSize:   cl(c.coherence, 0.055, 0.04, 0.025),
-            curvature:  cl(frac, 0.4, 0.8, 1.3),
+            stepSize:   m('curveConfig.tertiary.stepSize'),
+            curvature:  m('curveConfig.tertiary.curvature'),
             minLength:  3,
         },
     };
@@ -75,125 +205,152 @@ export function deriveParams(controls, rng) {
     // --- Folding Chains ---
     const chains = {
         primary: {
-            chainLenBase: Math.round(cl(c.density, 5, 8, 11)),
+            chainLenBase: Math.round(m('chains.primary.chainLenBase')),
             chainLenRange: 3,
             scaleBase: 0.95,
-            scaleRange: cl(frac, 0.25, 0.50, 0.80),
-            spread: cl(frac, 0.35, 0.60, 0.85),
-            dualProb: cl(c.density, 0.45, 0.75, 0.95),
-            spacing: cl(c.coherence, 0.15, 0.11, 0.07),
+            scaleRange: m('chains.primary.scaleRange'),
+            spread: m('chains.primary.spread'),
+            dualProb: m('chains.primary.dualProb'),
+            spacing: m('chains.primary.spacing'),
         },
         secondary: {
-            chainLenBase: Math.round(cl(c.density, 3, 5, 7)),
+            chainLenBase: Math.round(m('chains.secondary.chainLenBase')),
             chainLenRange: 2,
             scaleBase: 0.75,
-            scaleRange: cl(frac, 0.18, 0.35, 0.55),
-            spread: cl(frac, 0.25, 0.40, 0.60),
-            dualProb: cl(c.density, 0.25, 0.50, 0.75),
-            spacing: cl(c.coherence, 0.17, 0.13, 0.08),
+            scaleRange: m('chains.secondary.scaleRange'),
+            spread: m('chains.secondary.spread'),
+            dualProb: m('chains.secondary.dualProb'),
+            spacing: m('chains.secondary.spacing'),
         },
         tertiary: {
-            chainLenBase: Math.round(cl(c.density, 2, 3, 5)),
+            chainLenBase: Math.round(m('chains.tertiary.chainLenBase')),
             chainLenRange: 2,
             scaleBase: 0.45,
-            scaleRange: cl(frac, 0.18, 0.35, 0.55),
-            spread: cl(frac, 0.15, 0.30, 0.50),
-            dualProb: cl(c.density, 0.10, 0.28, 0.50),
-            spacing: cl(c.coherence, 0.13, 0.09, 0.05),
+            scaleRange: m('chains.tertiary.scaleRange'),
+            spread: m('chains.tertiary.spread'),
+            dualProb: m('chains.tertiary.dualProb'),
+            spacing: m('chains.tertiary.spacing'),
         },
     };
 
+    // --- Fold tension (tension) — scales each chain's fold and bend angles ---
+    const foldScale = m('foldScale');
+    const bendScale = m('bendScale');
+
     // --- Chain Visual Config (fracture) ---
     const edgeColorOffset = [0, -0.04, 0.04];
-    const edgeOpacityBase = cl(frac, 0.001, 0.003, 0.006);
-    const edgeOpacityFadeScale = cl(frac, 0.008, 0.015, 0.025);
-    const crackExtendScale = cl(frac, 1.04, 1.12, 1.22);
+    const edgeOpacityBase = m('edgeOpacityBase');
+    const edgeOpacityFadeScale = m('edgeOpacityFadeScale');
+    const crackExtendScale = m('crackExtendScale');
+    // Edge lines lean toward the palette's edge colour (0 = chain colours only)
+    const edgeTintStrength = 0.5;
 
     // --- Illumination (luminosity, with density attenuation for face lighting) ---
-    const faceDensityAtten = cl(c.density, 0.90, 1.0, 2.5);
-    const backLightFactor = cl(c.luminosity, 1.0, 2.0, 3.2) / faceDensityAtten;
-    const illuminationCap = cl(c.luminosity, 1.2, 1.8, 2.5) / faceDensityAtten;
-    const ambientLight = cl(c.luminosity, 0.008, 0.02, 0.04);
-    const frontLightFactor = cl(c.luminosity, 0.15, 0.3, 0.5) / faceDensityAtten;
-    const edgeFadeThreshold = cl(frac, 0.30, 0.22, 0.14);
+    const faceDensityAtten = m('factors.faceDensityAtten');
+    const backLightFactor = m('backLightFactor') / faceDensityAtten;
+    const illuminationCap = m('illuminationCap') / faceDensityAtten;
+    const ambientLight = m('ambientLight');
+    const frontLightFactor = m('frontLightFactor') / faceDensityAtten;
+    const edgeFadeThreshold = m('edgeFadeThreshold');
 
     // --- Atmospheric scatter (density) ---
-    const atmosphericCount = Math.round(cl(c.density, 4, 8, 14));
+    const atmosphericCount = Math.round(m('atmosphericCount'));
+
+    // --- Accent layer (density) — a few dots and short chains in the palette's accent hue ---
+    const accentConfig = {
+        dotCount: Math.round(m('accentConfig.dotCount')),
+        chainCount: Math.round(m('accentConfig.chainCount')),
+        hue: pal.accentHue,
+        saturation: Math.min(0.35 + saturation * 0.6, 1.0),
+    };
 
     // --- Density auto-compensation ---
     // More dots = more light sources. Scale down per-dot glow to keep
     // total brightness roughly constant as density changes.
-    const densityScale = cl(c.density, 0.35, 1.0, 5.5);
+    const densityScale = m('factors.densityScale');
 
     // --- Dots ---
-    const heroSpreadScale = cl(frac, 0.5, 1.0, 1.75);
+    const heroSpreadScale = m('factors.heroSpreadScale');
+    const smallDotDensityScale = m('factors.smallDotDensityScale');
+    const dotSpreadDensityScale = m('factors.dotSpreadDensityScale');
     const dotConfig = {
-        heroDotCount: Math.round(cl(c.density, 3, 5, 9)),
+        heroDotCount: Math.round(m('dotConfig.heroDotCount')),
         heroDotSpread: [0.08 * heroSpreadScale, 0.06 * heroSpreadScale, 0.08 * heroSpreadScale],
         heroDotRadiusBase: 0.028,
         heroDotRadiusRange: 0.05,
-        heroDotGlowBase: cl(c.luminosity, 20, 34, 50) / densityScale,
         heroDotGlowRange: 14,
 
-        mediumDotCount: Math.round(cl(c.density, 3, 8, 20)),
+        mediumDotCount: Math.round(m('dotConfig.mediumDotCount')),
         mediumDotJitter: 0.02,
         mediumDotRadiusBase: 0.012,
         mediumDotRadiusRange: 0.020,
-        mediumDotGlowBase: cl(c.luminosity, 10, 16, 24) / densityScale,
         mediumDotGlowRange: 8,
 
         smallDotDensity: {
-            primary:   0.28 * cl(c.density, 0.25, 1.0, 2.0),
-            secondary: 0.16 * cl(c.density, 0.25, 1.0, 2.0),
-            tertiary:  0.09 * cl(c.density, 0.25, 1.0, 2.0),
+            primary:   0.28 * smallDotDensityScale,
+            secondary: 0.16 * smallDotDensityScale,
+            tertiary:  0.09 * smallDotDensityScale,
         },
         smallDotRadiusBase: 0.003,
         smallDotRadiusRange: 0.008,
-        smallDotGlowBase: cl(c.luminosity, 6, 10, 16) / densityScale,
-        smallDotLightnessBase: cl(c.luminosity, 0.25, 0.35, 0.50),
-        smallDotLightnessRange: 0.35,
 
-        interiorDotCount: Math.round(cl(c.density, 18, 50, 180)),
+        interiorDotCount: Math.round(m('dotConfig.interiorDotCount')),
         interiorDotSpread: [
-            cl(frac, 0.40, 0.65, 0.90) * cl(c.density, 0.85, 1.0, 1.25),
-            cl(frac, 0.30, 0.48, 0.66) * cl(c.density, 0.85, 1.0, 1.25),
-            cl(frac, 0.36, 0.58, 0.80) * cl(c.density, 0.85, 1.0, 1.25),
+            m('dotConfig.interiorDotSpread.0') * dotSpreadDensityScale,
+            m('dotConfig.interiorDotSpread.1') * dotSpreadDensityScale,
+            m('dotConfig.interiorDotSpread.2') * dotSpreadDensityScale,
         ],
 
-        microDotCount: Math.round(cl(c.density, 70, 220, 800)),
+        microDotCount: Math.round(m('dotConfig.microDotCount')),
         microDotSpread: [
-            cl(frac, 0.55, 0.90, 1.25) * cl(c.density, 0.85, 1.0, 1.25),
-            cl(frac, 0.38, 0.62, 0.86) * cl(c.density, 0.85, 1.0, 1.25),
-            cl(frac, 0.46, 0.75, 1.04) * cl(c.density, 0.85, 1.0, 1.25),
+            m('dotConfig.microDotSpread.0') * dotSpreadDensityScale,
+            m('dotConfig.microDotSpread.1') * dotSpreadDensityScale,
+            m('dotConfig.microDotSpread.2') * dotSpreadDensityScale,
         ],
         microDotRadiusBase: 0.002,
         microDotRadiusRange: 0.006,
-        microDotGlowBase: cl(c.luminosity, 7, 12, 18) / densityScale,
-        microDotLightnessBase: cl(c.luminosity, 0.20, 0.30, 0.45),
-        microDotLightnessRange: 0.40,
 
-        dotBaseHue: baseHue,
-        microDotBaseHue: baseHue - 10,
+        dotBaseHue: baseHue + harmony.smallDots,
+        microDotBaseHue: baseHue - 10 + harmony.smallDots,
+    };
+
+    // --- Dot look (luminosity) — glow and lightness, applied after the
+    // dots are placed so luminosity never changes geometry ---
+    const dotLook = {
+        heroGlowBase: m('dotLook.heroGlowBase') / densityScale,
+        mediumGlowBase: m('dotLook.mediumGlowBase') / densityScale,
+        smallGlowBase: m('dotLook.smallGlowBase') / densityScale,
+        smallLightnessBase: m('dotLook.smallLightnessBase'),
+        smallLightnessRange: 0.35,
+        microGlowBase: m('dotLook.microGlowBase') / densityScale,
+        microLightnessBase: m('dotLook.microLightnessBase'),
+        microLightnessRange: 0.40,
+        // Hero dots are white, leaning toward the harmony's hero family
+        heroHue: baseHue + harmony.heroDots,
+        heroTint: harmony.heroTint,
     };
 
     // --- Tendril Curves ---
-    const tendrilHueBase = baseHue - 20;
+    const tendrilHueBase = baseHue - 20 + harmony.tendrils;
     const tendrilHueRange = Math.min(hueRange, 40);
     const tendrilSatBase = 0.4;
     const tendrilSatRange = 0.3;
     const tendrilOpacity = {
-        primary: cl(c.coherence, 0.02, 0.06, 0.10),
-        other: cl(c.coherence, 0.01, 0.03, 0.06),
+        primary: m('tendrilOpacity.primary'),
+        other: m('tendrilOpacity.other'),
     };
 
     // --- Postprocessing ---
-    const bloomDensityAtten = cl(c.density, 1.0, 1.0, 1.8);
-    const bloomStrength = cl(c.luminosity, 0.10, 0.20, 0.35) / bloomDensityAtten;
-    const bloomThreshold = cl(c.coherence, 0.55, 0.70, 0.85);
-    const chromaticAberration = cl(frac, 0.001, 0.002, 0.004);
-    const vignetteStrength = cl(dep, 0.20, 0.50, 0.86);
+    const bloomDensityAtten = m('factors.bloomDensityAtten');
+    const bloomStrength = m('bloomStrength') / bloomDensityAtten;
+    const bloomThreshold = m('bloomThreshold');
+    const chromaticAberration = m('chromaticAberration');
+    const vignetteStrength = m('vignetteStrength');
+    const transparency = TRANSPARENCY_MODES.includes(c.transparency) ? c.transparency : 'additive';
+    const tone = normalizeTone(c.tone);
+    const dof = { aperture: m('dof.aperture'), focusRange: m('dof.focusRange') };
 
-    return {
+    const params = {
         // Raw controls (for downstream use)
         density: c.density,
         fracture: c.fracture,
@@ -203,29 +360,44 @@ export function deriveParams(controls, rng) {
         baseHue,
         hueRange,
         saturation,
+        gradient,
+        tierHueOffsets,
         bgInnerColor,
         bgOuterColor,
         bgColor: pal.bgColor,
         fogColor: pal.fogColor,
+        fogDensity,
+        edgeColor: pal.edgeColor,
 
         // Envelope
         envelopeRadii,
 
+        // Topology
+        topology,
+        topologyBlend,
+        topologyBias,
+        depthRange,
+        fieldFractalAmplitude,
+
         // Camera
         cameraZ,
         cameraFov,
         cameraOffsetX,
         cameraOffsetY,
+        offAxisShift,
 
         // Guide curves
         curveConfig,
 
         // Folding chains
         chains,
+        foldScale,
+        bendScale,
         edgeColorOffset,
         edgeOpacityBase,
         edgeOpacityFadeScale,
         crackExtendScale,
+        edgeTintStrength,
 
         // Illumination (shader uniforms)
         backLightFactor,
@@ -237,8 +409,12 @@ export function deriveParams(controls, rng) {
         // Atmospheric
         atmosphericCount,
 
+        // Accent layer
+        accentConfig,
+
         // Dots
         dotConfig,
+        dotLook,
 
         // Tendrils
         tendrilHueBase,
@@ -252,5 +428,10 @@ export function deriveParams(controls, rng) {
         bloomThreshold,
         chromaticAberration,
         vignetteStrength,
+        transparency,
+        tone,
+        dof,
+        dofFocus: dofFocus(c.dof),
     };
+    return applyParamOverrides(params, c.overrides);
 }
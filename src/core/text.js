@@ -1,10 +1,11 @@
 /**
  * Title and alt-text generation from controls.
  *
- * Controls: { topology, palette, density, luminosity, fracture, depth, coherence }
+ * Controls: { topology, palette, density, luminosity, fracture, depth, coherence, tension }
  */
 
-import { PALETTES, customPalette } from './palettes.js';
+import { PALETTES, customPalette, sampleGradient } from './palettes.js';
+import { NEUTRAL_TENSION } from './mappings.js';
 
 const TOPOLOGY_WORDS = {
     'icosahedral': ['Faceted', 'Crystalline', 'Tessellated', 'Lattice'],
@@ -34,9 +35,42 @@ const HUE_WORD_MAP = [
     { max: 361, words: ['Ruby', 'Crimson', 'Carmine', 'Scarlet'] },
 ];
 
-function getCustomPaletteWords() {
-    const hue = ((customPalette.baseHue ?? 180) % 360 + 360) % 360;
-    return (HUE_WORD_MAP.find(e => hue < e.max) || HUE_WORD_MAP[0]).words;
+const MUTED_WORDS = ['Ashen', 'Pewter', 'Smoke', 'Slate'];
+const MUTED_SATURATION = 0.2;
+const WIDE_HUE_RANGE = 240;
+
+function hueWords(hue) {
+    const h = ((hue ?? 180) % 360 + 360) % 360;
+    return (HUE_WORD_MAP.find(e => h < e.max) || HUE_WORD_MAP[0]).words;
+}
+
+/**
+ * Words for whatever custom palette is loaded (library palettes are all
+ * rendered through the custom slot): the hue families its gradient stops
+ * or hue arc span, spectral words for a near-full arc, greys when muted.
+ */
+function getCustomPaletteWords(pal = customPalette) {
+    const families = [];
+    const add = (hue, saturation) => {
+        const words = saturation < MUTED_SATURATION ? MUTED_WORDS : hueWords(hue);
+        if (!families.includes(words)) families.push(words);
+    };
+    if (pal.gradient) {
+        for (const stop of pal.gradient) {
+            const { hue, saturation } = sampleGradient(pal.gradient, stop.pos);
+            add(hue, saturation);
+        }
+    } else if (pal.hueRange >= WIDE_HUE_RANGE && pal.saturation >= MUTED_SATURATION) {
+        return PALETTE_WORDS['prismatic'];
+    } else {
+        add(pal.baseHue, pal.saturation);
+        // A wide arc reads as its ends as much as its centre
+        if (pal.hueRange >= 90) {
+            add(pal.baseHue - pal.hueRange / 2, pal.saturation);
+            add(pal.baseHue + pal.hueRange / 2, pal.saturation);
+        }
+    }
+    return families.flat();
 }
 
 const DENSITY_WORDS = {
@@ -57,6 +91,12 @@ const LUMINOSITY_WORDS = {
     low: ['Dark', 'Subdued', 'Dim', 'Shadowed'],
 };
 
+// No mid tier: neutral tension leaves titles as they were before the control
+const TENSION_WORDS = {
+    high: ['Taut', 'Strained', 'Folded', 'Torqued'],
+    low: ['Slack', 'Unfurled', 'Settled', 'Yielding'],
+};
+
 function pick(arr, rng) {
     return arr[Math.floor(rng() * arr.length)];
 }
@@ -74,6 +114,7 @@ export function generateTitle(controls, rng) {
     const lumWords = LUMINOSITY_WORDS[tier(c.luminosity)];
     const depWords = DEPTH_WORDS[tier(c.depth)];
     const denWords = DENSITY_WORDS[tier(c.density)];
+    const tenWords = TENSION_WORDS[tier(c.tension ?? NEUTRAL_TENSION)];
 
     const templates = [
         () => `${pick(topoWords, rng)} ${pick(palWords, rng)} ${pick(depWords, rng)}`,
@@ -85,13 +126,19 @@ export function generateTitle(controls, rng) {
         () => `${pick(palWords, rng)} ${pick(lumWords, rng)} Structure`,
         () => `${pick(depWords, rng)} ${pick(palWords, rng)} Lattice`,
     ];
+    if (tenWords) {
+        templates.push(
+            () => `${pick(tenWords, rng)} ${pick(palWords, rng)} ${pick(topoWords, rng)}`,
+            () => `${pick(tenWords, rng)} ${pick(lumWords, rng)} Veil`,
+        );
+    }
 
     return pick(templates, rng)();
 }
 
 export function generateAltText(controls, nodeCount, title) {
     const c = controls;
-    const palLabel = c.palette === 'custom' ? 'Custom' : (PALETTES[c.palette]?.label || c.palette);
+    const palLabel = c.palette === 'custom' ? customPalette.label : (PALETTES[c.palette]?.label || c.palette);
 
     const densityPhrase = c.density > 0.66
         ? 'densely layered translucent planes'
@@ -123,6 +170,13 @@ export function generateAltText(controls, nodeCount, title) {
         ? 'loosely organized around structural attractors'
         : 'scattered freely with minimal structural constraint';
 
+    const tension = c.tension ?? NEUTRAL_TENSION;
+    const tensionPhrase = tension > 0.66
+        ? 'Veils fold sharply against their guide curves, the composition pushed off-centre.'
+        : tension > 0.33
+        ? 'Veils fold gently along their guide curves.'
+        : 'Veils hang slack and nearly flat, settled around the centre of the frame.';
+
     const topoName = {
         'icosahedral': 'an icosahedral lattice',
         'mobius': 'a Möbius ribbon manifold',
@@ -134,6 +188,7 @@ export function generateAltText(controls, nodeCount, title) {
         `A dark field carries ${densityPhrase}, organized around ${topoName} in the ${palLabel} palette.`,
         `The composition shows ${depthPhrase}, with ${luminosityPhrase}.`,
         `Planes exhibit ${fracturePhrase}, ${coherencePhrase}.`,
+        tensionPhrase,
         `${nodeCount} energy nodes anchor the structure, creating focal points of concentrated light.`,
         `Translucent polygonal forms overlap with additive blending, Fresnel-brightened edges catching the light at oblique angles.`,
     ].join('\n');
@@ -141,7 +196,9 @@ export function generateAltText(controls, nodeCount, title) {
 
 /* ── Animation alt-text ── */
 
-const CONTROL_KEYS = ['density', 'luminosity', 'fracture', 'depth', 'coherence'];
+const CONTROL_KEYS = ['density', 'luminosity', 'fracture', 'depth', 'coherence', 'tension'];
+
+const controlValue = (c, key) => (key === 'tension' ? c.tension ?? NEUTRAL_TENSION : c[key]);
 
 const DYNAMIC_PHRASES = {
     density: 'plane density shifts, the field filling and emptying',
@@ -149,6 +206,7 @@ const DYNAMIC_PHRASES = {
     fracture: 'edges sharpen and smooth, fragmentation breathing',
     depth: 'space deepens and flattens, fog advancing and retreating',
     coherence: 'structure tightens and loosens, order questioning itself',
+    tension: 'folds tighten and release, the frame drifting off its axis and back',
 };
 
 const STABLE_PHRASES = {
@@ -157,6 +215,7 @@ const STABLE_PHRASES = {
     fracture: 'edge complexity stays constant',
     depth: 'spatial depth remains fixed',
     coherence: 'topological coherence is maintained',
+    tension: 'the folds keep their tension',
 };
 
 const TRANSITION_VERBS = {
@@ -165,6 +224,7 @@ const TRANSITION_VERBS = {
     fracture: { rises: 'edges shattering', falls: 'forms smoothing' },
     depth: { rises: 'space deepening', falls: 'depth collapsing' },
     coherence: { rises: 'structure crystallizing', falls: 'order dissolving' },
+    tension: { rises: 'folds drawing taut', falls: 'veils slackening' },
 };
 
 /**
@@ -179,7 +239,7 @@ export function generateAnimAltText(landmarks, durationSecs, keyframeTexts) {
 
     const ranges = {};
     for (const key of CONTROL_KEYS) {
-        const values = landmarks.map(l => l.controls[key]);
+        const values = landmarks.map(l => controlValue(l.controls, key));
         const min = Math.min(...values);
         const max = Math.max(...values);
         ranges[key] = { min, max, spread: max - min };
@@ -218,11 +278,11 @@ export function generateAnimAltText(landmarks, durationSecs, keyframeTexts) {
 
             let maxDelta = 0, maxKey = CONTROL_KEYS[0];
             for (const key of CONTROL_KEYS) {
-                const delta = Math.abs(to.controls[key] - from.controls[key]);
+                const delta = Math.abs(controlValue(to.controls, key) - controlValue(from.controls, key));
                 if (delta > maxDelta) { maxDelta = delta; maxKey = key; }
             }
 
-            const direction = to.controls[maxKey] > from.controls[maxKey] ? 'rises' : 'falls';
+            const direction = controlValue(to.controls, maxKey) > controlValue(from.controls, maxKey) ? 'rises' : 'falls';
             const verb = TRANSITION_VERBS[maxKey]?.[direction] || 'the field shifting';
             transitions.push(`from \u201c${fromTitle}\u201d to \u201c${toTitle}\u201d: ${verb}`);
         }
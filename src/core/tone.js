@@ -0,0 +1,48 @@
+/**
+ * Tone settings: how the half-float HDR frame is brought into display range.
+ *
+ *   mapper     — 'none' (clip at 1), 'reinhard', 'aces', 'agx' or 'neutral'
+ *   exposure   — multiplier on the scene colour before mapping
+ *   whitePoint — exposed scene value that maps to pure white (ignored by 'none')
+ *   dither     — blue-noise dither before the 8-bit output
+ *
+ * The default clips like the old 8-bit framebuffer did, so profiles without
+ * tone settings render as before, minus the banding.
+ */
+
+export const TONE_MAPPERS = ['none', 'reinhard', 'aces', 'agx', 'neutral'];
+
+export const DEFAULT_TONE = Object.freeze({ mapper: 'none', exposure: 1, whitePoint: 4, dither: true });
+
+export const TONE_LIMITS = Object.freeze({
+    exposure: [0.25, 4],
+    whitePoint: [1, 16],
+});
+
+const clamp = (v, [lo, hi]) => Math.max(lo, Math.min(hi, v));
+const num = (v, fallback) => (typeof v === 'number' && Number.isFinite(v) ? v : fallback);
+
+/**
+ * Fill in and clamp (possibly partial) tone settings.
+ * @param {object|null|undefined} tone
+ * @returns {{ mapper: string, exposure: number, whitePoint: number, dither: boolean }}
+ */
+export function normalizeTone(tone) {
+    const t = tone || {};
+    const d = DEFAULT_TONE;
+    return {
+        mapper: TONE_MAPPERS.includes(t.mapper) ? t.mapper : d.mapper,
+        exposure: clamp(num(t.exposure, d.exposure), TONE_LIMITS.exposure),
+        whitePoint: clamp(num(t.whitePoint, d.whitePoint), TONE_LIMITS.whitePoint),
+        dither: typeof t.dither === 'boolean' ? t.dither : d.dither,
+    };
+}
+
+/** True when the settings render exactly like the defaults. */
+export function isDefaultTone(tone) {
+    if (!tone) return true;
+    const t = normalizeTone(tone);
+    const d = DEFAULT_TONE;
+    return t.mapper === d.mapper && t.exposure === d.exposure
+        && t.whitePoint === d.whitePoint && t.dither === d.dither;
+}
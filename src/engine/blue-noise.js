@@ -0,0 +1,116 @@
+/**
+ * Blue-noise threshold texture for output dithering.
+ *
+ * Generated once with Ulichney's void-and-cluster method on a torus, so it
+ * tiles without seams: an initial sparse pattern is relaxed until its
+ * tightest cluster is also its largest void, then every pixel is ranked —
+ * the initial points by removing the tightest cluster first, the rest by
+ * filling the largest void next. Ranks become thresholds in [0, 255]. A
+ * fixed seed keeps the texture (and so every render) deterministic.
+ */
+
+import * as THREE from 'three';
+import { xmur3, mulberry32 } from '../core/prng.js';
+
+export const BLUE_NOISE_SIZE = 64;
+const SIGMA = 1.5;
+const INITIAL_SHARE = 0.1;
+
+/**
+ * @param {number} size - texture edge in pixels
+ * @returns {Uint8Array} size × size thresholds
+ */
+export function generateBlueNoise(size) {
+    const n = size * size;
+
+    // Gaussian energy kernel over wrapped offsets
+    const kernel = new Float32Array(n);
+    for (let dy = 0; dy < size; dy++) {
+        for (let dx = 0; dx < size; dx++) {
+            const wx = Math.min(dx, size - dx);
+            const wy = Math.min(dy, size - dy);
+            kernel[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * SIGMA * SIGMA));
+        }
+    }
+
+    const energy = new Float32Array(n);
+    const bits = new Uint8Array(n);
+
+    function splat(i, sign) {
+        const x0 = i % size, y0 = (i - x0) / size;
+        for (let y = 0; y < size; y++) {
+            const row = ((y - y0 + size) % size) * size;
+            for (let x = 0; x < size; x++) {
+                energy[y * size + x] += sign * kernel[row + (x - x0 + size) % size];
+            }
+        }
+    }
+
+    // Tightest cluster (highest energy among set pixels) or largest void (lowest among unset)
+    function tightestCluster() {
+        let best = -1;
+        for (let i = 0; i < n; i++) if (bits[i] && (best < 0 || energy[i] > energy[best])) best = i;
+        return best;
+    }
+    function largestVoid() {
+        let best = -1;
+        for (let i = 0; i < n; i++) if (!bits[i] && (best < 0 || energy[i] < energy[best])) best = i;
+        return best;
+    }
+
+    const rng = mulberry32(xmur3('blue-noise')());
+    const initialCount = Math.floor(n * INITIAL_SHARE);
+    for (let placed = 0; placed < initialCount;) {
+        const i = Math.floor(rng() * n);
+        if (bits[i]) continue;
+        bits[i] = 1;
+        splat(i, 1);
+        placed++;
+    }
+
+    // Relax: move the tightest cluster into the largest void until they coincide
+    for (;;) {
+        const c = tightestCluster();
+        bits[c] = 0;
+        splat(c, -1);
+        const v = largestVoid();
+        bits[v] = 1;
+        splat(v, 1);
+        if (v === c) break;
+    }
+
+    const rank = new Uint16Array(n);
+    const initialBits = bits.slice();
+    const initialEnergy = energy.slice();
+    for (let r = initialCount - 1; r >= 0; r--) {
+        const c = tightestCluster();
+        bits[c] = 0;
+        splat(c, -1);
+        rank[c] = r;
+    }
+    bits.set(initialBits);
+    energy.set(initialEnergy);
+    for (let r = initialCount; r < n; r++) {
+        const v = largestVoid();
+        bits[v] = 1;
+        splat(v, 1);
+        rank[v] = r;
+    }
+
+    const out = new Uint8Array(n);
+    for (let i = 0; i < n; i++) out[i] = Math.floor(rank[i] * 256 / n);
+    return out;
+}
+
+let cached = null;
+
+/** Shared repeating blue-noise texture (single red channel). */
+export function blueNoiseTexture() {
+    if (cached) return cached;
+    cached = new THREE.DataTexture(generateBlueNoise(BLUE_NOISE_SIZE), BLUE_NOISE_SIZE, BLUE_NOISE_SIZE,
+        THREE.RedFormat, THREE.UnsignedByteType);
+    cached.wrapS = cached.wrapT = THREE.RepeatWrapping;
+    cached.minFilter = cached.magFilter = THREE.NearestFilter;
+    cached.needsUpdate = true;
+    return cached;
+}
@@ -1,9 +1,22 @@
 /**
  * Three.js renderer facade with postprocessing.
- * createRenderer(canvas) → { renderWith, dispose, resize, syncSize, getCanvas }
+ * createRenderer(canvas) → { build, draw, renderWith, setCameraPose, renderTiledBlob, dispose, resize, syncSize, getCanvas }
  *
- * renderWith(seed, controls) clears the scene, derives params from controls,
- * builds geometry, renders through the EffectComposer, and returns metadata.
+ * build(seed, controls) derives params and builds the scene geometry,
+ * reusing the previous build when only draw-time params differ (see
+ * geometryKey() in core/params.js); draw(overrides) renders it through the
+ * EffectComposer. renderWith(seed, controls) does both and returns metadata.
+ * A `controls.seedMorph` ({ from, to, t }) overrides the seed: the scene is
+ * morphed between the structures both seeds grow (see demo/morph.js).
+ * `controls.camera` places the camera (see core/camera-pose.js);
+ * setCameraPose(pose) re-frames the last built scene without rebuilding it.
+ * Tension above neutral pans the framing off-axis (params.offAxisShift).
+ * renderTiledBlob(width, height) renders it as a print-size PNG in tiles
+ * (see tile-effect.js). `controls.transparency: 'oit'` draws the face
+ * planes through weighted blended OIT instead of additively (see
+ * oit-pass.js). The frame is rendered in half float and brought to display
+ * range by `controls.tone` (see core/tone.js and tone-mapping.js).
+ * `controls.dof` adds bokeh depth of field (see dof.js).
  */
 
 import * as THREE from 'three';
@@ -17,9 +30,16 @@ import {
     BlendFunction,
 } from 'postprocessing';
 import { xmur3, mulberry32 } from '../core/prng.js';
-import { deriveParams } from '../core/params.js';
+import { deriveParams, geometryKey } from '../core/params.js';
 import { generateTitle, generateAltText } from '../core/text.js';
-import { buildDemoScene } from './demo/build-scene.js';
+import { buildStructureScene, dressDemoScene } from './demo/build-scene.js';
+import { structureForSeed } from './demo/structure.js';
+import { poseCamera, framingAngle } from './framing.js';
+import { morphDemoStructures } from './demo/morph.js';
+import { createTileEffect, tileGutter } from './tile-effect.js';
+import { createOitPass, setTransparencyMode } from './oit-pass.js';
+import { createToneMapEffect, createDitherEffect, applyTone } from './tone-mapping.js';
+import { createDofEffect, createFocusDepthPass, applyDof, dofGutter } from './dof.js';
 
 export function createRenderer(canvas, opts = {}) {
     const renderer = new THREE.WebGLRenderer({
@@ -30,11 +50,10 @@ export function createRenderer(canvas, opts = {}) {
     });
     const dpr = opts.dpr ?? (typeof window !== 'undefined' ? window.devicePixelRatio : 1);
     renderer.setPixelRatio(Math.min(dpr, 2));
-    // Tone mapping on the renderer level (matches demo pipeline):
-    // per-fragment compression happens during render, so bloom sees
-    // already-compressed values and doesn't amplify HDR blowout.
-    renderer.toneMapping = THREE.ReinhardToneMapping;
-    renderer.toneMappingExposure = 1.1;
+    // Tone mapping is a postprocessing effect (see tone-mapping.js): three
+    // only tone-maps draws straight to the canvas, and the scene is drawn
+    // into the composer's half-float buffers.
+    renderer.toneMapping = THREE.NoToneMapping;
     renderer.sortObjects = true;
 
     const scene = new THREE.Scene();
@@ -43,14 +62,30 @@ export function createRenderer(canvas, opts = {}) {
     const camera = new THREE.PerspectiveCamera(60, getAspect(), 0.1, 100);
 
     // --- Postprocessing ---
-    // Single render pass (matching demo), default UnsignedByteType framebuffer.
+    // Half-float framebuffers keep the additive light's HDR range and the
+    // precision of near-black gradients until the tone map and dither.
     const composer = new EffectComposer(renderer, {
         multisampling: Math.min(4, renderer.capabilities.maxSamples || 4),
+        frameBufferType: THREE.HalfFloatType,
     });
 
     const renderPass = new RenderPass(scene, camera);
     composer.addPass(renderPass);
 
+    // Weighted blended OIT faces, composited before the effects (off in additive mode)
+    const oitPass = createOitPass(scene, camera);
+    composer.addPass(oitPass);
+
+    // Depth of field on the HDR frame, from its own focus depth (off unless controls.dof)
+    const dof = createDofPasses();
+    composer.addPass(dof.focusPass);
+    composer.addPass(dof.dofPass);
+
+    // Tone map in its own pass, so bloom sees display-range values and
+    // doesn't amplify HDR blowout
+    const toneMapEffect = createToneMapEffect();
+    composer.addPass(new EffectPass(camera, toneMapEffect));
+
     // Effects
     const bloomEffect = new BloomEffect({
         blendFunction: BlendFunction.SCREEN,
@@ -72,15 +107,26 @@ export function createRenderer(canvas, opts = {}) {
         darkness: 0.5,
     });
 
+    const ditherEffect = createDitherEffect();
+
     const effectPass = new EffectPass(
         camera,
         bloomEffect,
         chromaticAberrationEffect,
         vignetteEffect,
+        ditherEffect,
     );
 
     composer.addPass(effectPass);
 
+    function createDofPasses() {
+        const dofEffect = createDofEffect(camera);
+        const focusPass = createFocusDepthPass(scene, camera);
+        const dofPass = new EffectPass(camera, dofEffect);
+        dofPass.setDepthTexture(focusPass.depthTarget.depthTexture);
+        return { dofEffect, focusPass, dofPass };
+    }
+
     /**
      * Dispose all children of a scene (geometries + materials).
      */
@@ -90,6 +136,7 @@ export function createRenderer(canvas, opts = {}) {
             targetScene.remove(child);
             if (child.geometry) child.geometry.dispose();
             if (child.material) child.material.dispose();
+            for (const mat of Object.values(child.userData.oitMaterials || {})) mat.dispose();
         }
     }
 
@@ -101,6 +148,30 @@ export function createRenderer(canvas, opts = {}) {
 
     const _sizeVec = new THREE.Vector2();
 
+    /**
+     * Place the camera for a pose and keep view-dependent shader
+     * uniforms (uCameraPos) in step with it.
+     */
+    function applyCameraPose(params, pose) {
+        poseCamera(camera, params, pose, current ? framingAngle(current.seed, current.controls.seedMorph) : null);
+        for (const child of scene.children) {
+            const uniforms = child.material?.uniforms;
+            if (uniforms?.uCameraPos) uniforms.uCameraPos.value.copy(camera.position);
+        }
+    }
+
+    /**
+     * Size glow halos for a frame `pixelHeight` framebuffer pixels tall
+     * (call after the camera fov is set).
+     */
+    function applyGlowScale(pixelHeight) {
+        const scale = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / pixelHeight;
+        for (const child of scene.children) {
+            const uniforms = child.material?.uniforms;
+            if (uniforms?.uPixelScale) uniforms.uPixelScale.value = scale;
+        }
+    }
+
     syncSize();
 
     /**
@@ -119,36 +190,17 @@ export function createRenderer(canvas, opts = {}) {
     }
 
     /**
-     * Render a scene from seed + controls.
+     * Background gradient quad (same scene, like demo). Uses clip-space
+     * position so it renders at far plane, behind everything.
      */
-    function renderWith(seed, controls) {
-        syncSize();
-
-        const hashFn = xmur3(seed);
-        const rng = mulberry32(hashFn());
-        const params = deriveParams(controls, rng);
-
-        // --- Setup camera ---
-        camera.fov = params.cameraFov;
-        camera.aspect = getAspect();
-        camera.updateProjectionMatrix();
-        camera.position.set(
-            params.cameraOffsetX,
-            params.cameraOffsetY,
-            params.cameraZ,
-        );
-        camera.lookAt(0, 0, 0);
-
-        // --- Clear previous scene contents ---
-        clearScene(scene);
-
-        // --- Background gradient quad (same scene, like demo) ---
-        // Uses clip-space position so it renders at far plane, behind everything.
+    function createBackgroundQuad() {
         const bgGeometry = new THREE.PlaneGeometry(2, 2);
         const bgMaterial = new THREE.ShaderMaterial({
             uniforms: {
-                uInnerColor: { value: new THREE.Color(...params.bgInnerColor) },
-                uOuterColor: { value: new THREE.Color(...params.bgOuterColor) },
+                uInnerColor: { value: new THREE.Color() },
+                uOuterColor: { value: new THREE.Color() },
+                // Full-image uv rect of the current viewport (tiled export)
+                uTileRect: { value: new THREE.Vector4(0, 0, 1, 1) },
             },
             vertexShader: `
                 varying vec2 vUv;
@@ -160,9 +212,10 @@ export function createRenderer(canvas, opts = {}) {
             fragmentShader: `
                 uniform vec3 uInnerColor;
                 uniform vec3 uOuterColor;
+                uniform vec4 uTileRect;
                 varying vec2 vUv;
                 void main() {
-                    float d = length(vUv - 0.5) * 2.0;
+                    float d = length(uTileRect.xy + vUv * uTileRect.zw - 0.5) * 2.0;
                     gl_FragColor = vec4(mix(uInnerColor, uOuterColor, d * d), 1.0);
                 }
             `,
@@ -172,13 +225,111 @@ export function createRenderer(canvas, opts = {}) {
         const bgQuad = new THREE.Mesh(bgGeometry, bgMaterial);
         bgQuad.frustumCulled = false;
         bgQuad.renderOrder = -1;
-        scene.add(bgQuad);
+        return bgQuad;
+    }
+
+    // Built scene: { key, structure, parts, bgQuad, nodeCount }; key is null
+    // for morph frames, which are never reused.
+    let built = null;
+    // Inputs of the last build(): { seed, controls, params }
+    let current = null;
+
+    /**
+     * Build (or reuse) the scene geometry for seed + controls. Geometry is
+     * cached on geometryKey(), so controls that only change the look
+     * (luminosity, depth, camera) skip regeneration entirely.
+     * @returns {{ title: string, altText: string, nodeCount: number }}
+     */
+    function build(seed, controls) {
+        const morph = controls.seedMorph;
+        const morphing = !!morph && morph.from !== morph.to && morph.t > 0 && morph.t < 1;
+        if (morph) seed = morph.t < 0.5 ? morph.from : morph.to;
+
+        const hashFn = xmur3(seed);
+        const rng = mulberry32(hashFn());
+        const params = deriveParams(controls, rng);
+        const key = morphing ? null : geometryKey(seed, params);
+
+        if (!built || key === null || key !== built.key) {
+            clearScene(scene);
+            const bgQuad = createBackgroundQuad();
+            scene.add(bgQuad);
+
+            const structure = morphing
+                ? morphDemoStructures(structureForSeed(params, morph.from), structureForSeed(params, morph.to), morph.t)
+                : structureForSeed(params, seed);
+            const { parts, nodeCount } = buildStructureScene(structure, params, scene);
+            built = { key, structure, parts, bgQuad, nodeCount };
+        } else {
+            dressDemoScene(built.parts, built.structure, params);
+        }
+        current = { seed, controls, params };
 
-        // --- Build scene geometry ---
-        const buildRng = mulberry32(xmur3(seed + ':build')());
-        const result = buildDemoScene(params, buildRng, scene);
+        // --- Generate metadata ---
+        const titleRng = mulberry32(xmur3(seed + ':title')());
+        const title = generateTitle(controls, titleRng);
+        const altText = generateAltText(controls, built.nodeCount, title);
+
+        return { title, altText, nodeCount: built.nodeCount };
+    }
+
+    /**
+     * Draw the built scene. `overrides` are draw-time controls (luminosity,
+     * depth, camera) merged into the last build's controls and kept for
+     * later draws; overrides that would change geometry throw — call
+     * build() for those.
+     * @returns {boolean} false if nothing has been built yet
+     */
+    function draw(overrides = null) {
+        if (!current) return false;
+        syncSize();
+
+        if (overrides) {
+            const controls = { ...current.controls, ...overrides };
+            const params = deriveParams(controls, mulberry32(xmur3(current.seed)()));
+            if (built.key !== null && geometryKey(current.seed, params) !== built.key) {
+                throw new Error('draw: overrides change geometry; call build() first');
+            }
+            dressDemoScene(built.parts, built.structure, params);
+            current = { ...current, controls, params };
+        }
+        const { params, controls } = current;
+
+        // --- Camera ---
+        camera.fov = params.cameraFov;
+        camera.aspect = getAspect();
+        camera.updateProjectionMatrix();
+        applyCameraPose(params, controls.camera);
+        const frameHeight = renderer.getDrawingBufferSize(_sizeVec).y;
+        applyGlowScale(frameHeight);
+        applySceneLook(params, frameHeight);
+
+        // --- Render through composer ---
+        composer.render();
+        return true;
+    }
+
+    /**
+     * Transparency mode, tone, depth of field, background colours and
+     * postprocessing settings from params (call after the camera is posed).
+     * @param {object} params
+     * @param {number} frameHeight - height in pixels the main composer renders at
+     * @param {number} [tileFrameHeight] - full image height of a tiled export
+     */
+    function applySceneLook(params, frameHeight, tileFrameHeight = frameHeight) {
+        setTransparencyMode(oitPass, camera, params.transparency);
+        applyTone(toneMapEffect, ditherEffect, params.tone);
+        applyDof(dof, params, built.structure, camera, frameHeight);
+        if (tileComposer) {
+            setTransparencyMode(tileOitPass, camera, params.transparency);
+            applyTone(tileToneMapEffect, tileDitherEffect, params.tone);
+            applyDof(tileDof, params, built.structure, camera, tileFrameHeight);
+        }
+
+        const bg = built.bgQuad.material.uniforms;
+        bg.uInnerColor.value.setRGB(...params.bgInnerColor);
+        bg.uOuterColor.value.setRGB(...params.bgOuterColor);
 
-        // --- Update postprocessing from params ---
         bloomEffect.intensity = params.bloomStrength;
         bloomEffect.luminanceMaterial.threshold = params.bloomThreshold;
 
@@ -186,20 +337,172 @@ export function createRenderer(canvas, opts = {}) {
         chromaticAberrationEffect.offset.set(ca, ca);
 
         vignetteEffect.darkness = params.vignetteStrength;
+    }
 
-        // --- Render through composer ---
-        composer.render();
+    /* ── Tiled export ── */
+    let tileComposer = null;
+    let tileEffect = null;
+    let tileOitPass = null;
+    let tileToneMapEffect = null;
+    let tileDitherEffect = null;
+    let tileDof = null;
+
+    function ensureTileComposer() {
+        if (tileComposer) return;
+        tileComposer = new EffectComposer(renderer, {
+            multisampling: Math.min(4, renderer.capabilities.maxSamples || 4),
+            frameBufferType: THREE.HalfFloatType,
+        });
+        tileEffect = createTileEffect();
+        tileOitPass = createOitPass(scene, camera);
+        tileToneMapEffect = createToneMapEffect();
+        tileDitherEffect = createDitherEffect();
+        tileDof = createDofPasses();
+        tileComposer.addPass(new RenderPass(scene, camera));
+        tileComposer.addPass(tileOitPass);
+        tileComposer.addPass(tileDof.focusPass);
+        tileComposer.addPass(tileDof.dofPass);
+        tileComposer.addPass(new EffectPass(camera, tileToneMapEffect));
+        tileComposer.addPass(new EffectPass(camera, tileEffect, tileDitherEffect));
+    }
 
-        // --- Generate metadata ---
-        const titleRng = mulberry32(xmur3(seed + ':title')());
-        const title = generateTitle(controls, titleRng);
-        const altText = generateAltText(controls, result.nodeCount, title);
+    /**
+     * Render the built scene at width × height — beyond the canvas and
+     * framebuffer limits — as a PNG. The frame is drawn in tiles through
+     * an offset projection (camera.setViewOffset) and stitched on an
+     * OffscreenCanvas. Bloom is rendered once at the preview's height and
+     * sampled in full-image coordinates, and glow halos keep their
+     * preview proportions, so the export is a sharper preview without
+     * tile seams.
+     * @param {number} width
+     * @param {number} height
+     * @param {object} [opts]
+     * @param {number} [opts.tileSize=2048] - tile edge in pixels, gutter included
+     * @param {Function} [opts.onProgress] - called with (tilesDone, tilesTotal)
+     * @returns {Promise<Blob>}
+     */
+    async function renderTiledBlob(width, height, { tileSize = 2048, onProgress } = {}) {
+        if (!current) throw new Error('renderTiledBlob: call build() first');
+        ensureTileComposer();
+        const { params, controls } = current;
+        const gl = renderer.getContext();
+        const maxDim = Math.min(
+            tileSize,
+            gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+            ...gl.getParameter(gl.MAX_VIEWPORT_DIMS),
+        );
+        const aspect = width / height;
+        const gutter = tileGutter(params.chromaticAberration, width) + dofGutter(params, height);
+        const step = maxDim - 2 * gutter;
+        if (step < 64) throw new Error('renderTiledBlob: tile too small for the aberration and bokeh gutter');
+
+        const savedSize = renderer.getSize(new THREE.Vector2());
+        const savedDpr = renderer.getPixelRatio();
+        const refHeight = renderer.getDrawingBufferSize(_sizeVec).y;
+        const bgRect = built.bgQuad.material.uniforms.uTileRect.value;
+
+        const out = new OffscreenCanvas(width, height);
+        const ctx = out.getContext('2d');
+
+        try {
+            renderer.setPixelRatio(1);
+            camera.fov = params.cameraFov;
+            camera.aspect = aspect;
+            camera.clearViewOffset();
+            applyCameraPose(params, controls.camera);
+
+            // --- Bloom for the whole frame, at preview resolution ---
+            const bloomH = Math.min(refHeight, maxDim);
+            const bloomW = Math.max(1, Math.min(Math.round(bloomH * aspect), maxDim));
+            applySceneLook(params, bloomH, height);
+            composer.setSize(bloomW, bloomH, false);
+            applyGlowScale(bloomH);
+            composer.render();
+
+            const u = tileEffect.uniforms;
+            u.get('bloomMap').value = bloomEffect.texture;
+            u.get('bloomIntensity').value = params.bloomStrength;
+            u.get('fullAspect').value = aspect;
+            u.get('caOffset').value.set(params.chromaticAberration, params.chromaticAberration);
+            u.get('caModulationOffset').value = chromaticAberrationEffect.modulationOffset;
+            u.get('vignetteOffset').value = vignetteEffect.offset;
+            u.get('vignetteDarkness').value = vignetteEffect.darkness;
+            const tileRect = u.get('tileRect').value;
+
+            // --- Tiles ---
+            const cols = Math.ceil(width / step);
+            const rows = Math.ceil(height / step);
+            let pixels = null;
+            let done = 0;
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    const x = col * step;
+                    const y = row * step;
+                    const tw = Math.min(step, width - x);
+                    const th = Math.min(step, height - y);
+                    const pw = tw + 2 * gutter;
+                    const ph = th + 2 * gutter;
+
+                    renderer.getSize(_sizeVec);
+                    if (_sizeVec.x !== pw || _sizeVec.y !== ph) tileComposer.setSize(pw, ph, false);
+                    camera.setViewOffset(width, height, x - gutter, y - gutter, pw, ph);
+                    // uv origin is bottom-left; view offsets run from the top
+                    tileRect.set((x - gutter) / width, 1 - (y - gutter + ph) / height, pw / width, ph / height);
+                    bgRect.copy(tileRect);
+                    tileComposer.render();
+
+                    if (!pixels || pixels.length !== pw * ph * 4) pixels = new Uint8Array(pw * ph * 4);
+                    renderer.setRenderTarget(null);
+                    gl.readPixels(0, 0, pw, ph, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+                    // Crop the gutter and flip rows to top-down
+                    const image = new ImageData(tw, th);
+                    for (let r = 0; r < th; r++) {
+                        const src = ((ph - 1 - gutter - r) * pw + gutter) * 4;
+                        image.data.set(pixels.subarray(src, src + tw * 4), r * tw * 4);
+                    }
+                    ctx.putImageData(image, x, y);
+
+                    onProgress?.(++done, rows * cols);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+        } finally {
+            camera.clearViewOffset();
+            bgRect.set(0, 0, 1, 1);
+            renderer.setPixelRatio(savedDpr);
+            composer.setSize(savedSize.x, savedSize.y, false);
+            draw();
+        }
+
+        return out.convertToBlob({ type: 'image/png' });
+    }
 
-        return { title, altText, nodeCount: result.nodeCount };
+    /**
+     * Render a scene from seed + controls: build() then draw().
+     */
+    function renderWith(seed, controls) {
+        syncSize();
+        const meta = build(seed, controls);
+        draw();
+        return meta;
+    }
+
+    /**
+     * Re-frame the last rendered scene from a new camera pose. The pose
+     * sticks for later draws; geometry is reused, so this is cheap
+     * enough to call every frame while orbiting.
+     * @returns {boolean} false if nothing has been rendered yet
+     */
+    function setCameraPose(pose) {
+        return draw({ camera: pose });
     }
 
     function dispose() {
         clearScene(scene);
+        built = null;
+        current = null;
+        tileComposer?.dispose();
         composer.dispose();
         renderer.dispose();
     }
@@ -215,5 +518,8 @@ export function createRenderer(canvas, opts = {}) {
         renderer.setPixelRatio(Math.min(newDpr, 2));
     }
 
-    return { renderWith, dispose, resize, syncSize, setDPR, getCanvas: () => canvas };
+    return {
+        build, draw, renderWith, setCameraPose, renderTiledBlob,
+        dispose, resize, syncSize, setDPR, getCanvas: () => canvas,
+    };
 }
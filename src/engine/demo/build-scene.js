@@ -1,221 +1,162 @@
 /**
- * Demo scene builder — orchestrates envelope, guide curves, dots,
- * folding chains, tendrils, and batched geometry into a single scene.
+ * Demo scene builder — turns the generated structure (envelope, guide
+ * curves, dots, folding chains, tendrils, accent layer) into batched scene
+ * geometry. dressDemoScene() re-applies the draw-time look (lighting, fog
+ * and edge tint uniforms, dot colours and glow sizes) to an already built
+ * scene.
  */
 
 import * as THREE from 'three';
-import { envelopeSDF } from './envelope.js';
-import { generateAllGuideCurves, sampleAlongCurve, drapingDirection } from './guide-curves.js';
-import { createAccumulators, createFoldingChain } from './folding-chains.js';
-import { generateDots, createGlowTexture } from './dots.js';
-import { flowFieldNormal, colorFieldHue } from './flow-field.js';
+import { createGlowTexture, applyDotLook } from './dots.js';
 import {
     createDemoFaceMaterial,
+    createDemoFaceOitMaterials,
     createDemoEdgeMaterial,
     createDemoGlowMaterial,
 } from '../materials.js';
+import { OIT_LAYER } from '../oit-pass.js';
+import { FOCUS_LAYER } from '../dof.js';
 
-/**
- * Build the demo scene: envelope-confined crystalline interior.
- * @param {object} params - derived parameters from deriveParams()
- * @param {Function} rng - seeded random [0, 1)
- * @param {THREE.Scene} scene - target scene to populate
- * @returns {{ nodeCount: number, faceCount: number }}
+/* ---------------------------
+ * Mesh builders
+ * ---------------------------
  */
-export function buildDemoScene(params, rng, scene) {
-    const envelopeRadii = new THREE.Vector3(...params.envelopeRadii);
-
-    // --- 1. Generate guide curves ---
-    const guideCurves = generateAllGuideCurves(params.curveConfig, rng, envelopeRadii);
-
-    // --- 2. Generate dots ---
-    const dotResult = generateDots(params.dotConfig, guideCurves, envelopeRadii, rng);
-    const { sphereInstData, glowPointData, allDotPositions, lightUniforms } = dotResult;
-
-    // --- 3. Build light sphere InstancedMesh ---
-    if (sphereInstData.length > 0) {
-        const sphereGeo = new THREE.SphereGeometry(1, 16, 12);
-        const sphereMat = new THREE.MeshBasicMaterial({ depthWrite: false });
-        const sphereInst = new THREE.InstancedMesh(sphereGeo, sphereMat, sphereInstData.length);
-        const dummy = new THREE.Object3D();
-        for (let i = 0; i < sphereInstData.length; i++) {
-            dummy.position.copy(sphereInstData[i].position);
-            dummy.scale.setScalar(sphereInstData[i].radius);
-            dummy.updateMatrix();
-            sphereInst.setMatrixAt(i, dummy.matrix);
-            sphereInst.setColorAt(i, sphereInstData[i].color);
-        }
-        sphereInst.instanceMatrix.needsUpdate = true;
-        sphereInst.instanceColor.needsUpdate = true;
-        sphereInst.renderOrder = 0;
-        scene.add(sphereInst);
-    }
-
-    // --- 4. Build glow points ---
-    const glowTexture = createGlowTexture();
-    if (glowPointData.length > 0) {
-        const positions = new Float32Array(glowPointData.length * 3);
-        const sizes = new Float32Array(glowPointData.length);
-        for (let i = 0; i < glowPointData.length; i++) {
-            positions[i * 3] = glowPointData[i].position.x;
-            positions[i * 3 + 1] = glowPointData[i].position.y;
-            positions[i * 3 + 2] = glowPointData[i].position.z;
-            sizes[i] = glowPointData[i].size;
-        }
-        const glowGeom = new THREE.BufferGeometry();
-        glowGeom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        glowGeom.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
-        const glowMat = createDemoGlowMaterial(glowTexture);
-        const glowPoints = new THREE.Points(glowGeom, glowMat);
-        glowPoints.frustumCulled = false;
-        glowPoints.renderOrder = 0;
-        scene.add(glowPoints);
-    }
-
-    // --- 5. Create folding chains along guide curves ---
-    const accum = createAccumulators();
 
-    // Color picker function parameterized by palette
-    function pickColor(distFromCenter, decayRate, lightnessBoost, familyHue) {
-        const fade = Math.exp(-decayRate * distFromCenter * distFromCenter);
-        let baseHue;
-        if (familyHue !== null && familyHue !== undefined) {
-            baseHue = familyHue + (rng() - 0.5) * 35;
-        } else {
-            const centerHue = params.baseHue + 25 + rng() * 40;
-            const edgeHue = params.baseHue - 50 + rng() * 40;
-            baseHue = edgeHue + fade * (centerHue - edgeHue);
-        }
-        const saturation = Math.min(params.saturation * 0.75 + rng() * 0.25 + (1 - fade) * 0.05, 1.0);
-        const lightness = Math.min(0.06 + rng() * 0.08 + fade * (0.22 + rng() * 0.22) + lightnessBoost, 0.60);
-        return new THREE.Color().setHSL(baseHue / 360, saturation, lightness);
-    }
-
-    const chainConfig = {
-        edgeColorOffset: params.edgeColorOffset,
-        edgeOpacityBase: params.edgeOpacityBase,
-        edgeOpacityFadeScale: params.edgeOpacityFadeScale,
-        crackExtendScale: params.crackExtendScale,
-    };
-
-    // Build chain config per tier
-    const tierChainConfig = {};
-    for (const [tier, c] of Object.entries(params.chains)) {
-        tierChainConfig[tier] = {
-            chainLen: () => c.chainLenBase + Math.floor(rng() * c.chainLenRange),
-            scale: () => c.scaleBase + rng() * c.scaleRange,
-            spread: c.spread,
-            dualProb: c.dualProb,
-            spacing: c.spacing,
-        };
-    }
-
-    // Drape chains along guide curves
-    for (const curve of guideCurves) {
-        const config = tierChainConfig[curve.tier];
-        if (!config) continue;
-        const samples = sampleAlongCurve(curve, config.spacing, envelopeRadii);
-
-        for (const sample of samples) {
-            const dir1 = drapingDirection(sample, config.spread, rng);
-            const familyHue = colorFieldHue(sample.pos, 1.2, params.baseHue, params.hueRange)
-                + (rng() - 0.5) * 30;
-            const chainLen = config.chainLen();
-            const planeScale = config.scale();
-
-            createFoldingChain(accum, sample.pos, chainLen, planeScale,
-                sample.pos.length(), allDotPositions, chainConfig, rng, pickColor,
-                familyHue, dir1);
-
-            // Dual-side: drape on opposite side of curve
-            if (rng() < config.dualProb) {
-                const flippedBinormal = sample.binormal.clone().negate();
-                const flippedSample = { ...sample, binormal: flippedBinormal };
-                const dir2 = drapingDirection(flippedSample, config.spread, rng);
-                createFoldingChain(accum, sample.pos, chainLen, planeScale,
-                    sample.pos.length(), allDotPositions, chainConfig, rng, pickColor,
-                    familyHue + (rng() - 0.5) * 15, dir2);
-            }
-        }
+/** Light sphere InstancedMesh (also a focus-depth source); null when there are no spheres. */
+function addSphereMesh(scene, sphereInstData) {
+    if (sphereInstData.length === 0) return null;
+    const sphereGeo = new THREE.SphereGeometry(1, 16, 12);
+    const sphereMat = new THREE.MeshBasicMaterial({ depthWrite: false });
+    const sphereInst = new THREE.InstancedMesh(sphereGeo, sphereMat, sphereInstData.length);
+    const dummy = new THREE.Object3D();
+    for (let i = 0; i < sphereInstData.length; i++) {
+        dummy.position.copy(sphereInstData[i].position);
+        dummy.scale.setScalar(sphereInstData[i].radius);
+        dummy.updateMatrix();
+        sphereInst.setMatrixAt(i, dummy.matrix);
+        sphereInst.setColorAt(i, sphereInstData[i].color);
     }
+    sphereInst.instanceMatrix.needsUpdate = true;
+    sphereInst.instanceColor.needsUpdate = true;
+    sphereInst.renderOrder = 0;
+    sphereInst.layers.enable(FOCUS_LAYER);
+    scene.add(sphereInst);
+    return sphereInst;
+}
 
-    // Atmospheric scatter: random interior chains for depth
-    for (let i = 0; i < params.atmosphericCount; i++) {
-        let pos;
-        let attempts = 0;
-        do {
-            pos = new THREE.Vector3(
-                gaussianRandom(rng, 0, 0.6),
-                gaussianRandom(rng, 0, 0.4),
-                gaussianRandom(rng, 0, 0.5)
-            );
-            attempts++;
-        } while (envelopeSDF(pos, envelopeRadii) > -0.1 && attempts < 50);
-        const flowNorm = flowFieldNormal(pos, 1.5);
-        const familyHue = colorFieldHue(pos, 1.2, params.baseHue, params.hueRange)
-            + (rng() - 0.5) * 40;
-        const planeScale = 0.5 + rng() * 0.3;
-        const chainLen = 3 + Math.floor(rng() * 2);
-        createFoldingChain(accum, pos, chainLen, planeScale, pos.length(),
-            allDotPositions, chainConfig, rng, pickColor, familyHue, flowNorm);
+/** Glow halos (instanced quads, one per glow point); returns the geometry, or null. */
+function addGlowMesh(scene, glowPointData, glowTexture) {
+    if (glowPointData.length === 0) return null;
+    const centers = new Float32Array(glowPointData.length * 3);
+    const sizes = new Float32Array(glowPointData.length);
+    for (let i = 0; i < glowPointData.length; i++) {
+        centers[i * 3] = glowPointData[i].position.x;
+        centers[i * 3 + 1] = glowPointData[i].position.y;
+        centers[i * 3 + 2] = glowPointData[i].position.z;
+        sizes[i] = glowPointData[i].size;
     }
+    const quad = new THREE.PlaneGeometry(1, 1);
+    const glowGeom = new THREE.InstancedBufferGeometry().copy(quad);
+    quad.dispose();
+    glowGeom.setAttribute('aCenter', new THREE.InstancedBufferAttribute(centers, 3));
+    glowGeom.setAttribute('aSize', new THREE.InstancedBufferAttribute(sizes, 1));
+    glowGeom.instanceCount = glowPointData.length;
+    const glowMat = createDemoGlowMaterial(glowTexture);
+    const glowMesh = new THREE.Mesh(glowGeom, glowMat);
+    glowMesh.frustumCulled = false;
+    glowMesh.renderOrder = 0;
+    scene.add(glowMesh);
+    return glowGeom;
+}
 
-    // --- 6. Build batched face mesh ---
-    const { faceAccum, edgeAccum } = accum;
-    let faceCount = 0;
-
-    if (faceAccum.pos.length > 0) {
-        const geom = new THREE.BufferGeometry();
-        geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(faceAccum.pos), 3));
-        geom.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(faceAccum.norm), 3));
-        geom.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(faceAccum.uv), 2));
-        geom.setAttribute('vAlpha', new THREE.BufferAttribute(new Float32Array(faceAccum.alpha), 1));
-        geom.setAttribute('aColor', new THREE.BufferAttribute(new Float32Array(faceAccum.color), 3));
-        geom.setAttribute('aBaseOpacity', new THREE.BufferAttribute(new Float32Array(faceAccum.opacity), 1));
-        geom.setAttribute('aNoiseScale', new THREE.BufferAttribute(new Float32Array(faceAccum.noiseScale), 1));
-        geom.setAttribute('aNoiseStrength', new THREE.BufferAttribute(new Float32Array(faceAccum.noiseStrength), 1));
-        geom.setAttribute('aCrackExtend', new THREE.BufferAttribute(new Float32Array(faceAccum.crackExtend), 1));
+/**
+ * Batched face mesh for a chain accumulator; returns its material, or null.
+ * Faces sit on OIT_LAYER with their weighted-OIT materials attached, so the
+ * renderer can draw them either additively or through the OIT pass, and on
+ * FOCUS_LAYER for the depth-of-field prepass.
+ */
+function addFaceMesh(scene, faceAccum, lightUniforms, params) {
+    if (faceAccum.pos.length === 0) return null;
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(faceAccum.pos), 3));
+    geom.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(faceAccum.norm), 3));
+    geom.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(faceAccum.uv), 2));
+    geom.setAttribute('vAlpha', new THREE.BufferAttribute(new Float32Array(faceAccum.alpha), 1));
+    geom.setAttribute('aColor', new THREE.BufferAttribute(new Float32Array(faceAccum.color), 3));
+    geom.setAttribute('aBaseOpacity', new THREE.BufferAttribute(new Float32Array(faceAccum.opacity), 1));
+    geom.setAttribute('aNoiseScale', new THREE.BufferAttribute(new Float32Array(faceAccum.noiseScale), 1));
+    geom.setAttribute('aNoiseStrength', new THREE.BufferAttribute(new Float32Array(faceAccum.noiseStrength), 1));
+    geom.setAttribute('aCrackExtend', new THREE.BufferAttribute(new Float32Array(faceAccum.crackExtend), 1));
+
+    const mat = createDemoFaceMaterial(lightUniforms, params);
+    // Update camera position uniform to match actual camera
+    mat.uniforms.uCameraPos.value.set(0, 0, params.cameraZ);
+
+    const mesh = new THREE.Mesh(geom, mat);
+    mesh.frustumCulled = false;
+    mesh.renderOrder = 1;
+    mesh.layers.set(OIT_LAYER);
+    mesh.layers.enable(FOCUS_LAYER);
+    mesh.userData.oitMaterials = createDemoFaceOitMaterials(mat);
+    scene.add(mesh);
+    return mat;
+}
 
-        const mat = createDemoFaceMaterial(lightUniforms, params);
-        // Update camera position uniform to match actual camera
-        mat.uniforms.uCameraPos.value.set(0, 0, params.cameraZ);
+/** Batched edge lines for a chain accumulator; returns their material, or null. */
+function addEdgeMesh(scene, edgeAccum, params) {
+    if (edgeAccum.pos.length === 0) return null;
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(edgeAccum.pos), 3));
+    geom.setAttribute('vAlpha', new THREE.BufferAttribute(new Float32Array(edgeAccum.alpha), 1));
+    geom.setAttribute('aColor', new THREE.BufferAttribute(new Float32Array(edgeAccum.color), 3));
+    geom.setAttribute('aOpacity', new THREE.BufferAttribute(new Float32Array(edgeAccum.opacity), 1));
+
+    const mat = createDemoEdgeMaterial(params);
+    mat.uniforms.uCameraPos.value.set(0, 0, params.cameraZ);
+    const lines = new THREE.LineSegments(geom, mat);
+    lines.frustumCulled = false;
+    lines.renderOrder = 1;
+    scene.add(lines);
+    return mat;
+}
 
-        const mesh = new THREE.Mesh(geom, mat);
-        mesh.frustumCulled = false;
-        mesh.renderOrder = 1;
-        scene.add(mesh);
-        faceCount = faceAccum.pos.length / 9; // 3 verts * 3 components per tri
-    }
+/**
+ * Build scene geometry from an already generated (or morphed) structure.
+ * @param {object} structure - from structureForSeed() or morphDemoStructures()
+ * @param {object} params - derived parameters from deriveParams()
+ * @param {THREE.Scene} scene - target scene to populate
+ * @returns {{ nodeCount: number, faceCount: number, parts: object }} parts
+ *   holds the objects dressDemoScene() updates
+ */
+export function buildStructureScene(structure, params, scene) {
+    const { dots, accum, tendrils, accents } = structure;
+    const { sphereInstData, glowPointData, allDotPositions, lightUniforms } = dots;
+    const glowTexture = createGlowTexture();
 
-    // --- 7. Build batched edge mesh ---
-    if (edgeAccum.pos.length > 0) {
-        const geom = new THREE.BufferGeometry();
-        geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(edgeAccum.pos), 3));
-        geom.setAttribute('vAlpha', new THREE.BufferAttribute(new Float32Array(edgeAccum.alpha), 1));
-        geom.setAttribute('aColor', new THREE.BufferAttribute(new Float32Array(edgeAccum.color), 3));
-        geom.setAttribute('aOpacity', new THREE.BufferAttribute(new Float32Array(edgeAccum.opacity), 1));
+    // --- 1–2. Light spheres and their glow halos ---
+    const parts = {
+        sphereInst: addSphereMesh(scene, sphereInstData),
+        glowGeom: addGlowMesh(scene, glowPointData, glowTexture),
+        accentSphereInst: addSphereMesh(scene, accents.dots.sphereInstData),
+        accentGlowGeom: addGlowMesh(scene, accents.dots.glowPointData, glowTexture),
+        faceMaterials: [],
+        edgeMaterials: [],
+    };
 
-        const mat = createDemoEdgeMaterial();
-        const lines = new THREE.LineSegments(geom, mat);
-        lines.frustumCulled = false;
-        lines.renderOrder = 1;
-        scene.add(lines);
+    // --- 3–4. Batched faces and edges: folding chains, then the accent chains ---
+    const { faceAccum } = accum;
+    const faceCount = faceAccum.pos.length / 9; // 3 verts * 3 components per tri
+    for (const chains of [accum, accents.accum]) {
+        const faceMaterial = addFaceMesh(scene, chains.faceAccum, lightUniforms, params);
+        if (faceMaterial) parts.faceMaterials.push(faceMaterial);
+        const edgeMaterial = addEdgeMesh(scene, chains.edgeAccum, params);
+        if (edgeMaterial) parts.edgeMaterials.push(edgeMaterial);
     }
 
-    // --- 8. Build tendril curves ---
+    // --- 5. Build tendril curves ---
     const tendrilPos = [];
     const tendrilCol = [];
-    for (const curve of guideCurves) {
-        if (curve.length < 4) continue;
-        const spline = new THREE.CatmullRomCurve3(curve);
-        const pts = spline.getPoints(Math.max(16, curve.length * 2));
-
-        const hue = (params.tendrilHueBase + rng() * params.tendrilHueRange) / 360;
-        const sat = params.tendrilSatBase + rng() * params.tendrilSatRange;
-        const opacity = curve.tier === 'primary'
-            ? params.tendrilOpacity.primary
-            : params.tendrilOpacity.other;
-
+    for (const { points: pts, hue, sat, opacity } of tendrils) {
         const ptColors = [];
         for (const pt of pts) {
             const d = pt.length();
@@ -253,12 +194,56 @@ export function buildDemoScene(params, rng, scene) {
     return {
         nodeCount: allDotPositions.length,
         faceCount,
+        parts,
     };
 }
 
-// --- Helper ---
-function gaussianRandom(rng, mean = 0, stdev = 1) {
-    const u = 1 - rng();
-    const v = rng();
-    return mean + stdev * Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+/**
+ * Re-dress a built scene for new draw-time params (same geometry key):
+ * face lighting, fog and edge tint uniforms, dot colours and glow sizes.
+ * @param {object} parts - from buildStructureScene()
+ * @param {object} structure - the structure the scene was built from
+ * @param {object} params - derived parameters from deriveParams()
+ */
+export function dressDemoScene(parts, structure, params) {
+    dressDots(parts.sphereInst, parts.glowGeom, structure.dots, params);
+    dressDots(parts.accentSphereInst, parts.accentGlowGeom, structure.accents.dots, params);
+
+    for (const mat of parts.faceMaterials) {
+        const u = mat.uniforms;
+        u.uFrontLightFactor.value = params.frontLightFactor;
+        u.uBackLightFactor.value = params.backLightFactor;
+        u.uIlluminationCap.value = params.illuminationCap;
+        u.uAmbientLight.value = params.ambientLight;
+        u.uEdgeFadeThreshold.value = params.edgeFadeThreshold;
+    }
+
+    for (const mat of [...parts.faceMaterials, ...parts.edgeMaterials]) {
+        mat.uniforms.uFogColor.value.setRGB(...params.fogColor);
+        mat.uniforms.uFogDensity.value = params.fogDensity;
+    }
+    for (const mat of parts.edgeMaterials) {
+        mat.uniforms.uEdgeTint.value.setRGB(...params.edgeColor);
+        mat.uniforms.uEdgeTintStrength.value = params.edgeTintStrength;
+    }
+}
+
+function dressDots(sphereInst, glowGeom, dots, params) {
+    // Morphed structures carry resolved looks only
+    if (dots.dotLooks) applyDotLook(dots, params.dotLook);
+
+    if (sphereInst) {
+        for (let i = 0; i < dots.sphereInstData.length; i++) {
+            sphereInst.setColorAt(i, dots.sphereInstData[i].color);
+        }
+        sphereInst.instanceColor.needsUpdate = true;
+    }
+
+    if (glowGeom) {
+        const sizes = glowGeom.getAttribute('aSize');
+        for (let i = 0; i < dots.glowPointData.length; i++) {
+            sizes.array[i] = dots.glowPointData[i].size;
+        }
+        sizes.needsUpdate = true;
+    }
 }
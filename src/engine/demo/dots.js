@@ -20,6 +20,15 @@ function computeFade(dist, decayRate) {
     return Math.exp(-decayRate * dist * dist);
 }
 
+/**
+ * Drift a point toward a topology sample point, weighted by field bias
+ * and the topology's influence at the target.
+ */
+function pullTowardTopology(pos, field, strength) {
+    const target = field.topology.samplePoint(field.rng);
+    pos.lerp(target, strength * field.bias * field.topology.influence(target));
+}
+
 /**
  * Create the canvas-based glow texture (128x128 radial gradient).
  */
@@ -42,23 +51,29 @@ export function createGlowTexture() {
 }
 
 /**
- * Generate all dot tiers.
- * @param {object} config - dot generation parameters (counts, sizes, spreads, glows, palette)
+ * Generate all dot tiers. Colours and glow sizes are left for
+ * applyDotLook(), which derives them from the luminosity-driven look.
+ * @param {object} config - dot generation parameters (counts, sizes, spreads, palette)
  * @param {Array} guideCurves - generated guide curves with .tier property
  * @param {THREE.Vector3} envelopeRadii - for SDF checks
  * @param {Function} rng - seeded random
- * @returns {{ sphereInstData, glowPointData, allDotPositions, significantLights }}
+ * @param {object|null} [field] - optional topology field ({ topology, rng, bias });
+ *   interior and micro dots drift toward the topology's own sample points
+ * @returns {{ sphereInstData, glowPointData, allDotPositions, lightUniforms, dotLooks }}
  */
-export function generateDots(config, guideCurves, envelopeRadii, rng) {
+export function generateDots(config, guideCurves, envelopeRadii, rng, field = null) {
     const sphereInstData = [];
     const glowPointData = [];
     const allDotPositions = [];
+    // Per sphere: look tier, glow beyond the tier's base, and (for
+    // coloured tiers) hue, saturation and fade for the lightness ramp
+    const dotLooks = [];
 
-    function registerLightSphere(position, radius, color, glowScale) {
-        sphereInstData.push({ position: position.clone(), radius, color: color.clone() });
-        if (glowScale > 0) {
-            glowPointData.push({ position: position.clone(), size: radius * glowScale });
-        }
+    // Every look tier has a positive glow base, so each sphere gets a halo
+    function registerLightSphere(position, radius, look) {
+        sphereInstData.push({ position: position.clone(), radius, color: new THREE.Color(1, 1, 1) });
+        glowPointData.push({ position: position.clone(), size: 0 });
+        dotLooks.push(look);
     }
 
     // --- Hero dots: bright convergence points near center ---
@@ -69,8 +84,7 @@ export function generateDots(config, guideCurves, envelopeRadii, rng) {
             gaussianRandom(rng, 0, config.heroDotSpread[2])
         );
         const radius = (config.heroDotRadiusBase + rng() * config.heroDotRadiusRange) * 0.3;
-        registerLightSphere(pos, radius, new THREE.Color(1, 1, 1),
-            config.heroDotGlowBase + rng() * config.heroDotGlowRange);
+        registerLightSphere(pos, radius, { tier: 'hero', glow: rng() * config.heroDotGlowRange });
         allDotPositions.push({ pos: pos.clone(), tier: 'hero', intensity: 1.0 });
     }
 
@@ -88,8 +102,7 @@ export function generateDots(config, guideCurves, envelopeRadii, rng) {
             const dist = pos.length();
             const fade = computeFade(dist, 0.4);
             const radius = (config.mediumDotRadiusBase + rng() * config.mediumDotRadiusRange + fade * 0.010) * 0.3;
-            registerLightSphere(pos, radius, new THREE.Color(1, 1, 1),
-                config.mediumDotGlowBase + rng() * config.mediumDotGlowRange);
+            registerLightSphere(pos, radius, { tier: 'medium', glow: rng() * config.mediumDotGlowRange });
             allDotPositions.push({ pos: pos.clone(), tier: 'medium', intensity: 0.5 });
             medCount++;
         }
@@ -112,10 +125,10 @@ export function generateDots(config, guideCurves, envelopeRadii, rng) {
                 // Use palette hue instead of hardcoded 270
                 const dotHue = (config.dotBaseHue + edgeness * 60 + rng() * 25) / 360;
                 const dotSat = edgeness * 0.90 + 0.08;
-                const dotLightness = config.smallDotLightnessBase + dotFade * config.smallDotLightnessRange;
-                const dotColor = new THREE.Color().setHSL(dotHue, dotSat, dotLightness);
-                registerLightSphere(pos, radius, dotColor,
-                    config.smallDotGlowBase + dotFade * 6 + edgeness * 5 + rng() * 4);
+                registerLightSphere(pos, radius, {
+                    tier: 'small', hue: dotHue, sat: dotSat, fade: dotFade,
+                    glow: dotFade * 6 + edgeness * 5 + rng() * 4,
+                });
                 allDotPositions.push({ pos: pos.clone(), intensity: 0.15 });
             }
         }
@@ -131,6 +144,7 @@ export function generateDots(config, guideCurves, envelopeRadii, rng) {
                 gaussianRandom(rng, 0, config.interiorDotSpread[1]),
                 gaussianRandom(rng, 0, config.interiorDotSpread[2])
             );
+            if (field) pullTowardTopology(pos, field, 0.6);
             attempts++;
         } while (envelopeSDF(pos, envelopeRadii) > -0.05 && attempts < 50);
         const dist = pos.length();
@@ -139,10 +153,10 @@ export function generateDots(config, guideCurves, envelopeRadii, rng) {
         const edgeness = Math.pow(1.0 - dotFade, 0.6);
         const dotHue = (config.dotBaseHue + edgeness * 60 + rng() * 25) / 360;
         const dotSat = edgeness * 0.90 + 0.08;
-        const dotLightness = config.smallDotLightnessBase + dotFade * config.smallDotLightnessRange;
-        const dotColor = new THREE.Color().setHSL(dotHue, dotSat, dotLightness);
-        registerLightSphere(pos, radius, dotColor,
-            config.smallDotGlowBase + dotFade * 6 + edgeness * 5 + rng() * 4);
+        registerLightSphere(pos, radius, {
+            tier: 'small', hue: dotHue, sat: dotSat, fade: dotFade,
+            glow: dotFade * 6 + edgeness * 5 + rng() * 4,
+        });
         allDotPositions.push({ pos: pos.clone(), intensity: 0.15 });
     }
 
@@ -156,6 +170,7 @@ export function generateDots(config, guideCurves, envelopeRadii, rng) {
                 gaussianRandom(rng, 0, config.microDotSpread[1]),
                 gaussianRandom(rng, 0, config.microDotSpread[2])
             );
+            if (field) pullTowardTopology(pos, field, 0.35);
             attempts++;
         } while (envelopeSDF(pos, envelopeRadii) > 0.05 && attempts < 50);
         const dist = pos.length();
@@ -164,10 +179,10 @@ export function generateDots(config, guideCurves, envelopeRadii, rng) {
         const edgeness = Math.pow(1.0 - dotFade, 0.6);
         const dotHue = (config.microDotBaseHue + edgeness * 70 + rng() * 30) / 360;
         const dotSat = edgeness * 0.85 + 0.12;
-        const dotLightness = config.microDotLightnessBase + dotFade * config.microDotLightnessRange;
-        const dotColor = new THREE.Color().setHSL(dotHue, dotSat, dotLightness);
-        registerLightSphere(pos, radius, dotColor,
-            config.microDotGlowBase + dotFade * 5 + edgeness * 6 + rng() * 4);
+        registerLightSphere(pos, radius, {
+            tier: 'micro', hue: dotHue, sat: dotSat, fade: dotFade,
+            glow: dotFade * 5 + edgeness * 6 + rng() * 4,
+        });
         allDotPositions.push({ pos: pos.clone(), intensity: 0.05 });
     }
 
@@ -195,5 +210,65 @@ export function generateDots(config, guideCurves, envelopeRadii, rng) {
             uLightIntensities: { value: lightIntensityArray },
             uLightCount: { value: Math.min(significantLights.length, MAX_LIGHTS) },
         },
+        dotLooks,
     };
 }
+
+/**
+ * Accent dots: a sparse scatter along the guide curves in the palette's
+ * accent hue. They glow like small dots but are not lights, so chain
+ * lighting never depends on them.
+ * @param {object} config - params.accentConfig ({ dotCount, hue, saturation })
+ * @param {Array} guideCurves - generated guide curves
+ * @param {Function} rng - seeded random
+ * @returns {{ sphereInstData, glowPointData, dotLooks }}
+ */
+export function generateAccentDots(config, guideCurves, rng) {
+    const sphereInstData = [];
+    const glowPointData = [];
+    const dotLooks = [];
+    const curves = guideCurves.filter(c => c.length > 0);
+    for (let i = 0; curves.length > 0 && i < config.dotCount; i++) {
+        const curve = curves[Math.floor(rng() * curves.length)];
+        const pos = curve[Math.floor(rng() * curve.length)].clone().add(new THREE.Vector3(
+            gaussianRandom(rng, 0, 0.05),
+            gaussianRandom(rng, 0, 0.05),
+            gaussianRandom(rng, 0, 0.05)
+        ));
+        const dotFade = Math.exp(-0.3 * pos.lengthSq());
+        const radius = (0.006 + rng() * 0.010) * 0.3;
+        sphereInstData.push({ position: pos, radius, color: new THREE.Color(1, 1, 1) });
+        glowPointData.push({ position: pos.clone(), size: 0 });
+        dotLooks.push({
+            tier: 'small',
+            hue: (((config.hue + (rng() - 0.5) * 16) % 360 + 360) % 360) / 360,
+            sat: config.saturation,
+            fade: dotFade,
+            glow: 6 + dotFade * 6 + rng() * 4,
+        });
+    }
+    return { sphereInstData, glowPointData, dotLooks };
+}
+
+/**
+ * Colour the spheres and size the glow halos of generated dots from the
+ * luminosity-driven look (params.dotLook). Cheap, and leaves positions
+ * untouched, so a built scene can be re-dressed without regenerating.
+ * @param {object} dots - from generateDots()
+ * @param {object} look - params.dotLook
+ */
+export function applyDotLook(dots, look) {
+    const { sphereInstData, glowPointData, dotLooks } = dots;
+    const heroTint = new THREE.Color().setHSL(look.heroHue / 360, 1.0, 0.6);
+    for (let i = 0; i < dotLooks.length; i++) {
+        const d = dotLooks[i];
+        const sphere = sphereInstData[i];
+        glowPointData[i].size = sphere.radius * (look[`${d.tier}GlowBase`] + d.glow);
+        if (d.hue !== undefined) {
+            const lightness = look[`${d.tier}LightnessBase`] + d.fade * look[`${d.tier}LightnessRange`];
+            sphere.color.setHSL(d.hue, d.sat, lightness);
+        } else if (d.tier === 'hero') {
+            sphere.color.setRGB(1, 1, 1).lerp(heroTint, look.heroTint);
+        }
+    }
+}
@@ -50,14 +50,13 @@ export function flowFieldNormal(pos, scale = 1.5) {
 }
 
 /**
- * Position-dependent hue field. Returns a hue value in degrees
- * centered on baseHue with spread of hueRange.
+ * Position-dependent colour field value in [0, 1] (contrast-enhanced
+ * value noise) — where along a palette's hue arc or gradient a position
+ * falls.
  * @param {THREE.Vector3} pos - world position
  * @param {number} scale - noise scale (default 1.2)
- * @param {number} baseHue - center hue in degrees
- * @param {number} hueRange - hue spread in degrees
  */
-export function colorFieldHue(pos, scale = 1.2, baseHue = 280, hueRange = 140) {
+export function colorFieldValue(pos, scale = 1.2) {
     const sp = pos.clone().multiplyScalar(scale);
     sp.x += 73.1; sp.y += 159.4; sp.z += 213.7;
 
@@ -86,9 +85,19 @@ export function colorFieldHue(pos, scale = 1.2, baseHue = 280, hueRange = 140) {
     const val = c0 + (c1 - c0) * f.z;
 
     // Contrast-enhanced mapping
-    const contrasty = val < 0.5
+    return val < 0.5
         ? 0.5 * Math.pow(2 * val, 1.6)
         : 1 - 0.5 * Math.pow(2 * (1 - val), 1.6);
+}
 
-    return baseHue - hueRange / 2 + contrasty * hueRange;
+/**
+ * Position-dependent hue field. Returns a hue value in degrees
+ * centered on baseHue with spread of hueRange.
+ * @param {THREE.Vector3} pos - world position
+ * @param {number} scale - noise scale (default 1.2)
+ * @param {number} baseHue - center hue in degrees
+ * @param {number} hueRange - hue spread in degrees
+ */
+export function colorFieldHue(pos, scale = 1.2, baseHue = 280, hueRange = 140) {
+    return baseHue - hueRange / 2 + colorFieldValue(pos, scale) * hueRange;
 }
@@ -13,6 +13,8 @@ export function createAccumulators() {
     return {
         faceAccum: { pos: [], norm: [], uv: [], alpha: [], color: [], opacity: [], noiseScale: [], noiseStrength: [], crackExtend: [] },
         edgeAccum: { pos: [], alpha: [], color: [], opacity: [] },
+        // Per-chain vertex ranges into the two accumulators (for seed morphing)
+        chains: [],
     };
 }
 
@@ -216,13 +218,15 @@ function accumulateSkirt(accum, geom, color, baseOpacity, alphas, noiseScale, no
  * @param {number} planeScale - base size of each face
  * @param {number} distFromCenter - distance of origin from world origin
  * @param {Array} lightPositions - dot positions with .pos and .intensity
- * @param {object} config - { edgeColorOffset, edgeOpacityBase, edgeOpacityFadeScale, crackExtendScale }
+ * @param {object} config - { foldScale, bendScale, edgeColorOffset, edgeOpacityBase, edgeOpacityFadeScale, crackExtendScale }
  * @param {Function} rng - seeded random
  * @param {Function} pickColorFn - (distFromCenter, decayRate, lightnessBoost, familyHue) → THREE.Color
  * @param {number|null} familyHue - spatial hue from colorFieldHue
  * @param {THREE.Vector3|null} tendrilDir - optional alignment direction
  */
 export function createFoldingChain(accum, origin, chainLength, planeScale, distFromCenter, lightPositions, config, rng, pickColorFn, familyHue, tendrilDir) {
+    const faceStart = accum.faceAccum.pos.length / 3;
+    const edgeStart = accum.edgeAccum.pos.length / 3;
     const decayRate = 0.15 + rng() * 0.45;
     const jitterAmt = planeScale * 0.015;
 
@@ -236,7 +240,8 @@ export function createFoldingChain(accum, origin, chainLength, planeScale, distF
         const twist = new THREE.Quaternion().setFromAxisAngle(forward, (rng() - 0.5) * Math.PI * 0.5);
         groupQuat.premultiply(twist);
         const wobbleAxis = up.clone().cross(forward).normalize();
-        const wobble = new THREE.Quaternion().setFromAxisAngle(wobbleAxis, (rng() - 0.5) * Math.PI * 0.18);
+        // Bend off the draping direction; tension scales it
+        const wobble = new THREE.Quaternion().setFromAxisAngle(wobbleAxis, (rng() - 0.5) * Math.PI * 0.18 * config.bendScale);
         groupQuat.premultiply(wobble);
     } else {
         groupQuat = new THREE.Quaternion().setFromEuler(
@@ -338,8 +343,8 @@ export function createFoldingChain(accum, origin, chainLength, planeScale, distF
         const midpoint = sharedA.clone().add(sharedB).multiplyScalar(0.5);
         const reflected = reflectAcrossEdge(oldFree, midpoint, edgeVec);
 
-        // Dihedral fold — gentle angles for sheet-like veils
-        const dihedral = (0.02 + rng() * 0.08) * (rng() < 0.5 ? 1 : -1);
+        // Dihedral fold — gentle angles for sheet-like veils, sharpened by tension
+        const dihedral = (0.02 + rng() * 0.08) * (rng() < 0.5 ? 1 : -1) * config.foldScale;
         const newFree = midpoint.clone().add(
             rotateAround(reflected.clone().sub(midpoint), edgeVec, dihedral)
         );
@@ -353,4 +358,12 @@ export function createFoldingChain(accum, origin, chainLength, planeScale, distF
         vB = scaleFrom(sharedB);
         vC = scaleFrom(newFree);
     }
+
+    accum.chains.push({
+        origin: origin.clone(),
+        faceStart,
+        faceEnd: accum.faceAccum.pos.length / 3,
+        edgeStart,
+        edgeEnd: accum.edgeAccum.pos.length / 3,
+    });
 }
@@ -2,11 +2,22 @@
  * Guide curve generation on the envelope surface.
  * Curves are generated in 3 tiers (primary/secondary/tertiary) with
  * inter-curve repulsion to prevent clustering.
+ *
+ * An optional topology field ({ topology, rng, bias }) steers seeding,
+ * marching and draping toward the selected topology's structure. The
+ * field carries its own rng so the build rng sequence is unaffected.
  */
 
 import * as THREE from 'three';
 import { envelopeSDF, envelopeNormal, projectToEnvelope, generateSeedPoints } from './envelope.js';
 
+/**
+ * Orient a topology frame axis to agree in sign with a reference direction.
+ */
+function alignedAxis(axis, reference) {
+    return axis.dot(reference) < 0 ? axis.clone().negate() : axis.clone();
+}
+
 /**
  * Generate a single guide curve along the envelope surface.
  * @param {THREE.Vector3} seed - starting point on envelope
@@ -16,12 +27,17 @@ import { envelopeSDF, envelopeNormal, projectToEnvelope, generateSeedPoints } fr
  * @param {number} curvature - random turning amount
  * @param {Function} rng - seeded random [0, 1)
  * @param {THREE.Vector3} radii - envelope radii
+ * @param {object|null} [field] - optional topology field steering the march
  * @returns {THREE.Vector3[]} array of curve points
  */
-export function generateGuideCurve(seed, existingCurves, maxSteps, stepSize, curvature, rng, radii) {
+export function generateGuideCurve(seed, existingCurves, maxSteps, stepSize, curvature, rng, radii, field = null) {
     const points = [seed.clone()];
     const normal = envelopeNormal(seed, radii);
-    let tangent = new THREE.Vector3(rng() - 0.5, rng() - 0.5, rng() - 0.5);
+    let tangent = new THREE.Vector3(rng() - 0.5, rng() - 0.5, rng() - 0.5).normalize();
+    if (field) {
+        const w = field.bias * field.topology.influence(seed);
+        tangent.lerp(alignedAxis(field.topology.sampleFrame(seed).tangent, tangent), w);
+    }
     tangent.sub(normal.clone().multiplyScalar(tangent.dot(normal))).normalize();
 
     for (let step = 0; step < maxSteps; step++) {
@@ -61,6 +77,14 @@ export function generateGuideCurve(seed, existingCurves, maxSteps, stepSize, cur
             tangent.sub(currentNormal.clone().multiplyScalar(tangent.dot(currentNormal))).normalize();
         }
 
+        // Topology steering: bend toward the field's local tangent
+        if (field) {
+            const w = field.bias * field.topology.influence(current) * 0.35;
+            const fieldTangent = alignedAxis(field.topology.sampleFrame(current).tangent, tangent);
+            tangent.add(fieldTangent.multiplyScalar(w));
+            tangent.sub(currentNormal.clone().multiplyScalar(tangent.dot(currentNormal))).normalize();
+        }
+
         const next = current.clone().add(tangent.clone().multiplyScalar(stepSize));
         const projected = projectToEnvelope(next, radii);
         if (envelopeSDF(projected, radii) > 0.05 || projected.length() > 1.8) break;
@@ -95,10 +119,18 @@ export function sampleAlongCurve(curvePoints, spacing, radii) {
 
 /**
  * Compute a draping direction from a curve sample frame.
+ * With a topology field, the direction is blended toward the topology's
+ * own frame at the sample, weighted by its local influence.
  */
-export function drapingDirection(sample, spreadFactor, rng) {
+export function drapingDirection(sample, spreadFactor, rng, field = null) {
     const dir = sample.normal.clone().multiplyScalar(1.0 - spreadFactor)
         .add(sample.binormal.clone().multiplyScalar(spreadFactor));
+    if (field) {
+        const frame = field.topology.sampleFrame(sample.pos);
+        const fieldDir = alignedAxis(frame.normal, sample.normal).multiplyScalar(1.0 - spreadFactor)
+            .add(alignedAxis(frame.binormal, sample.binormal).multiplyScalar(spreadFactor));
+        dir.lerp(fieldDir, field.bias * field.topology.influence(sample.pos));
+    }
     dir.add(new THREE.Vector3(
         (rng() - 0.5) * 0.2,
         (rng() - 0.5) * 0.2,
@@ -112,8 +144,9 @@ export function drapingDirection(sample, spreadFactor, rng) {
  * @param {object} config - { primary, secondary, tertiary } with seedCount, maxCount, maxSteps, stepSize, curvature, minLength
  * @param {Function} rng - seeded random
  * @param {THREE.Vector3} radii - envelope radii
+ * @param {object|null} [field] - optional topology field ({ topology, rng, bias })
  */
-export function generateAllGuideCurves(config, rng, radii) {
+export function generateAllGuideCurves(config, rng, radii, field = null) {
     const allCurves = [];
 
     const tiers = [
@@ -123,10 +156,12 @@ export function generateAllGuideCurves(config, rng, radii) {
     ];
 
     for (const { tier, seedCount, maxCount, maxSteps, stepSize, curvature, minLength } of tiers) {
-        const seeds = generateSeedPoints(seedCount, radii);
+        const seeds = field
+            ? scaffoldSeedPoints(seedCount, radii, field)
+            : generateSeedPoints(seedCount, radii);
         for (const seed of seeds) {
             const steps = maxSteps + Math.floor(rng() * (maxSteps * 0.5));
-            const curve = generateGuideCurve(seed, allCurves, steps, stepSize, curvature, rng, radii);
+            const curve = generateGuideCurve(seed, allCurves, steps, stepSize, curvature, rng, radii, field);
             if (curve.length > minLength) {
                 curve.tier = tier;
                 allCurves.push(curve);
@@ -137,3 +172,18 @@ export function generateAllGuideCurves(config, rng, radii) {
 
     return allCurves;
 }
+
+/**
+ * Fibonacci seed points pulled toward the topology's scaffold points,
+ * then re-projected onto the envelope surface.
+ */
+function scaffoldSeedPoints(count, radii, field) {
+    const seeds = generateSeedPoints(count, radii);
+    const scaffold = field.topology.scaffoldPoints(count, field.rng);
+    if (scaffold.length === 0) return seeds;
+    return seeds.map((seed, i) => {
+        const target = scaffold[i % scaffold.length];
+        const w = field.bias * (0.5 + 0.5 * field.topology.influence(target));
+        return projectToEnvelope(seed.clone().lerp(target, w), radii);
+    });
+}
@@ -0,0 +1,316 @@
+/**
+ * Seed morphing — blends two demo structures generated from the same
+ * params but different seeds, so a loop can travel from one intent to
+ * another without a jump cut.
+ *
+ * Elements are matched within their kind: guide curves and tendrils per
+ * tier, light spheres, glow points and folding chains (accent layer
+ * included) by position. Both sides are sorted along a Morton curve and
+ * paired by rank, so their counts need not agree — the smaller side has
+ * some elements paired more than once, and those repeats carry zero
+ * weight at that side's end.
+ * Positions interpolate while opacities and sizes cross-fade by weight,
+ * so t = 0 and t = 1 reproduce the two structures exactly.
+ */
+
+import * as THREE from 'three';
+import { lerp } from '../../core/prng.js';
+
+/** Per-vertex component counts of the chain accumulators (see createAccumulators). */
+const FACE_LAYOUT = { pos: 3, norm: 3, uv: 2, alpha: 1, color: 3, opacity: 1, noiseScale: 1, noiseStrength: 1, crackExtend: 1 };
+const EDGE_LAYOUT = { pos: 3, alpha: 1, color: 3, opacity: 1 };
+
+// Morton keys quantize positions inside this cube (the envelope fits well within it)
+const KEY_EXTENT = 2.5;
+const KEY_BITS = 10;
+
+/* ---------------------------
+ * Matching
+ * ---------------------------
+ */
+
+function spreadBits(v) {
+    v = (v | (v << 16)) & 0x030000ff;
+    v = (v | (v << 8)) & 0x0300f00f;
+    v = (v | (v << 4)) & 0x030c30c3;
+    v = (v | (v << 2)) & 0x09249249;
+    return v;
+}
+
+function mortonKey(p) {
+    const max = (1 << KEY_BITS) - 1;
+    const q = (x) => Math.max(0, Math.min(max, Math.floor((x + KEY_EXTENT) / (2 * KEY_EXTENT) * max)));
+    return (spreadBits(q(p.x)) | (spreadBits(q(p.y)) << 1) | (spreadBits(q(p.z)) << 2)) >>> 0;
+}
+
+/**
+ * Pair two element lists by rank along the Morton curve.
+ * @param {Array} a
+ * @param {Array} b
+ * @param {Function} posOf - element → THREE.Vector3 used for ordering
+ * @returns {Array<{ a: any, b: any, wa: number, wb: number }>} a/b are null
+ *   when that side is empty; wa/wb are 1 for an element's first pairing, else 0
+ */
+function rankPairs(a, b, posOf) {
+    const sortByKey = (list) => list
+        .map(item => ({ item, key: mortonKey(posOf(item)) }))
+        .sort((x, y) => x.key - y.key)
+        .map(x => x.item);
+    const sa = sortByKey(a);
+    const sb = sortByKey(b);
+    const n = Math.max(sa.length, sb.length);
+    const pairs = [];
+    let lastA = -1, lastB = -1;
+    for (let k = 0; k < n; k++) {
+        const ia = sa.length ? Math.floor(k * sa.length / n) : -1;
+        const ib = sb.length ? Math.floor(k * sb.length / n) : -1;
+        pairs.push({
+            a: ia >= 0 ? sa[ia] : null,
+            b: ib >= 0 ? sb[ib] : null,
+            wa: ia >= 0 && ia !== lastA ? 1 : 0,
+            wb: ib >= 0 && ib !== lastB ? 1 : 0,
+        });
+        lastA = ia;
+        lastB = ib;
+    }
+    return pairs;
+}
+
+/** Group a list by tier, preserving order. */
+function byTier(list) {
+    const groups = new Map();
+    for (const item of list) {
+        if (!groups.has(item.tier)) groups.set(item.tier, []);
+        groups.get(item.tier).push(item);
+    }
+    return groups;
+}
+
+function tiersOf(a, b) {
+    return [...new Set([...a.keys(), ...b.keys()])];
+}
+
+/* ---------------------------
+ * Interpolation helpers
+ * ---------------------------
+ */
+
+function lerpVec(pa, pb, t) {
+    if (!pa) return pb.clone();
+    if (!pb) return pa.clone();
+    return pa.clone().lerp(pb, t);
+}
+
+/** Cross-fade a scalar by pairing weight; a missing side contributes nothing. */
+function fade(pair, va, vb, t) {
+    return lerp(pair.a ? pair.wa * va : 0, pair.b ? pair.wb * vb : 0, t);
+}
+
+function centroid(points) {
+    const c = new THREE.Vector3();
+    for (const p of points) c.add(p);
+    return points.length ? c.divideScalar(points.length) : c;
+}
+
+/** Sample a polyline at normalized index position u ∈ [0, 1]. */
+function samplePolyline(points, u) {
+    const f = u * (points.length - 1);
+    const i = Math.min(Math.floor(f), points.length - 2);
+    if (i < 0) return points[0].clone();
+    return points[i].clone().lerp(points[i + 1], f - i);
+}
+
+/** Blend two polylines, resampled to the longer one's point count. */
+function lerpPolyline(pa, pb, t) {
+    if (!pa) return pb.map(p => p.clone());
+    if (!pb) return pa.map(p => p.clone());
+    const n = Math.max(pa.length, pb.length);
+    const out = [];
+    for (let i = 0; i < n; i++) {
+        const u = n > 1 ? i / (n - 1) : 0;
+        out.push(samplePolyline(pa, u).lerp(samplePolyline(pb, u), t));
+    }
+    return out;
+}
+
+function lerpHue01(a, b, t) {
+    const d = ((((b - a) % 1) + 1.5) % 1) - 0.5;
+    return (((a + d * t) % 1) + 1) % 1;
+}
+
+/* ---------------------------
+ * Structure parts
+ * ---------------------------
+ */
+
+function morphGuideCurves(curvesA, curvesB, t) {
+    const ga = byTier(curvesA), gb = byTier(curvesB);
+    const out = [];
+    for (const tier of tiersOf(ga, gb)) {
+        for (const pair of rankPairs(ga.get(tier) || [], gb.get(tier) || [], centroid)) {
+            const curve = lerpPolyline(pair.a, pair.b, t);
+            curve.tier = tier;
+            curve.weight = fade(pair, 1, 1, t);
+            out.push(curve);
+        }
+    }
+    return out;
+}
+
+function morphTendrils(tendrilsA, tendrilsB, t) {
+    const ga = byTier(tendrilsA), gb = byTier(tendrilsB);
+    const out = [];
+    for (const tier of tiersOf(ga, gb)) {
+        const pairs = rankPairs(ga.get(tier) || [], gb.get(tier) || [], td => centroid(td.points));
+        for (const pair of pairs) {
+            const { a, b } = pair;
+            out.push({
+                tier,
+                points: lerpPolyline(a?.points, b?.points, t),
+                hue: a && b ? lerpHue01(a.hue, b.hue, t) : (a || b).hue,
+                sat: a && b ? lerp(a.sat, b.sat, t) : (a || b).sat,
+                opacity: fade(pair, a?.opacity, b?.opacity, t),
+            });
+        }
+    }
+    return out;
+}
+
+function morphLightUniforms(ua, ub, t) {
+    const positions = [];
+    const intensities = [];
+    const countA = ua.uLightCount.value, countB = ub.uLightCount.value;
+    for (let i = 0; i < ua.uLightPositions.value.length; i++) {
+        const hasA = i < countA, hasB = i < countB;
+        const pa = ua.uLightPositions.value[i], pb = ub.uLightPositions.value[i];
+        positions.push(hasA && hasB ? pa.clone().lerp(pb, t) : (hasA ? pa : pb).clone());
+        intensities.push(lerp(ua.uLightIntensities.value[i], ub.uLightIntensities.value[i], t));
+    }
+    return {
+        uLightPositions: { value: positions },
+        uLightIntensities: { value: intensities },
+        uLightCount: { value: Math.max(countA, countB) },
+    };
+}
+
+/** Light spheres and glow points, paired by position. */
+function morphSpheres(dotsA, dotsB, t) {
+    const sphereInstData = rankPairs(dotsA.sphereInstData, dotsB.sphereInstData, d => d.position)
+        .map(pair => ({
+            position: lerpVec(pair.a?.position, pair.b?.position, t),
+            radius: fade(pair, pair.a?.radius, pair.b?.radius, t),
+            color: pair.a && pair.b
+                ? new THREE.Color().lerpColors(pair.a.color, pair.b.color, t)
+                : (pair.a || pair.b).color.clone(),
+        }));
+    const glowPointData = rankPairs(dotsA.glowPointData, dotsB.glowPointData, d => d.position)
+        .map(pair => ({
+            position: lerpVec(pair.a?.position, pair.b?.position, t),
+            size: fade(pair, pair.a?.size, pair.b?.size, t),
+        }));
+    return { sphereInstData, glowPointData };
+}
+
+function morphDots(dotsA, dotsB, t) {
+    return {
+        ...morphSpheres(dotsA, dotsB, t),
+        // Baked into chain lighting already; only counted downstream
+        allDotPositions: t < 0.5 ? dotsA.allDotPositions : dotsB.allDotPositions,
+        lightUniforms: morphLightUniforms(dotsA.lightUniforms, dotsB.lightUniforms, t),
+    };
+}
+
+/**
+ * Append the blend of two vertex ranges (grouped into primitives of
+ * `vertsPer` vertices) to `out`. Primitives pair by rank like elements do;
+ * `opacity` cross-fades by weight, normals are renormalized.
+ */
+function blendPrimitives(out, layout, vertsPer, srcA, rangeA, srcB, rangeB, pair, t) {
+    const primsA = rangeA ? (rangeA[1] - rangeA[0]) / vertsPer : 0;
+    const primsB = rangeB ? (rangeB[1] - rangeB[0]) / vertsPer : 0;
+    const n = Math.max(primsA, primsB);
+    let lastA = -1, lastB = -1;
+    for (let k = 0; k < n; k++) {
+        const ia = primsA ? Math.floor(k * primsA / n) : -1;
+        const ib = primsB ? Math.floor(k * primsB / n) : -1;
+        const wa = ia >= 0 && ia !== lastA ? pair.wa : 0;
+        const wb = ib >= 0 && ib !== lastB ? pair.wb : 0;
+        lastA = ia;
+        lastB = ib;
+
+        for (let v = 0; v < vertsPer; v++) {
+            const va = ia >= 0 ? rangeA[0] + ia * vertsPer + v : -1;
+            const vb = ib >= 0 ? rangeB[0] + ib * vertsPer + v : -1;
+            for (const [key, comps] of Object.entries(layout)) {
+                const dst = out[key];
+                const start = dst.length;
+                for (let c = 0; c < comps; c++) {
+                    const x = va >= 0 ? srcA[key][va * comps + c] : null;
+                    const y = vb >= 0 ? srcB[key][vb * comps + c] : null;
+                    if (key === 'opacity') dst.push(lerp(x === null ? 0 : wa * x, y === null ? 0 : wb * y, t));
+                    else if (x === null) dst.push(y);
+                    else if (y === null) dst.push(x);
+                    else dst.push(lerp(x, y, t));
+                }
+                if (key === 'norm' && va >= 0 && vb >= 0) {
+                    const len = Math.hypot(dst[start], dst[start + 1], dst[start + 2]) || 1;
+                    for (let c = 0; c < 3; c++) dst[start + c] /= len;
+                }
+            }
+        }
+    }
+}
+
+function morphChains(accumA, accumB, t) {
+    const out = {
+        faceAccum: Object.fromEntries(Object.keys(FACE_LAYOUT).map(k => [k, []])),
+        edgeAccum: Object.fromEntries(Object.keys(EDGE_LAYOUT).map(k => [k, []])),
+        chains: [],
+    };
+    for (const pair of rankPairs(accumA.chains, accumB.chains, c => c.origin)) {
+        const { a, b } = pair;
+        const faceStart = out.faceAccum.pos.length / 3;
+        const edgeStart = out.edgeAccum.pos.length / 3;
+        blendPrimitives(out.faceAccum, FACE_LAYOUT, 3,
+            accumA.faceAccum, a && [a.faceStart, a.faceEnd],
+            accumB.faceAccum, b && [b.faceStart, b.faceEnd], pair, t);
+        blendPrimitives(out.edgeAccum, EDGE_LAYOUT, 2,
+            accumA.edgeAccum, a && [a.edgeStart, a.edgeEnd],
+            accumB.edgeAccum, b && [b.edgeStart, b.edgeEnd], pair, t);
+        out.chains.push({
+            origin: lerpVec(a?.origin, b?.origin, t),
+            faceStart,
+            faceEnd: out.faceAccum.pos.length / 3,
+            edgeStart,
+            edgeEnd: out.edgeAccum.pos.length / 3,
+        });
+    }
+    return out;
+}
+
+/* ---------------------------
+ * Public API
+ * ---------------------------
+ */
+
+/**
+ * Blend two demo structures (from generateDemoStructure() with the same
+ * params, different build rngs) into one of the same shape.
+ * @param {object} a - structure at t = 0
+ * @param {object} b - structure at t = 1
+ * @param {number} t - blend position [0, 1]
+ * @returns {{ envelopeRadii: THREE.Vector3, guideCurves: Array, dots: object, accum: object, tendrils: Array, accents: object }}
+ */
+export function morphDemoStructures(a, b, t) {
+    return {
+        envelopeRadii: a.envelopeRadii.clone().lerp(b.envelopeRadii, t),
+        guideCurves: morphGuideCurves(a.guideCurves, b.guideCurves, t),
+        dots: morphDots(a.dots, b.dots, t),
+        accum: morphChains(a.accum, b.accum, t),
+        tendrils: morphTendrils(a.tendrils, b.tendrils, t),
+        accents: {
+            dots: morphSpheres(a.accents.dots, b.accents.dots, t),
+            accum: morphChains(a.accents.accum, b.accents.accum, t),
+        },
+    };
+}
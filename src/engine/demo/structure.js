@@ -0,0 +1,229 @@
+/**
+ * Demo structure generation — every rng-consuming stage of the demo scene
+ * (topology field, guide curves, dots, folding chains, tendril styling,
+ * accent layer),
+ * kept free of materials and GPU objects so it runs anywhere, including
+ * plain Node. structureForSeed() generates it for an intent;
+ * buildStructureScene() (build-scene.js) turns the result into meshes.
+ *
+ * The order of rng draws here defines "same intent → same image"; the
+ * determinism harness (test-determinism.mjs) fingerprints this output.
+ */
+
+import * as THREE from 'three';
+import { xmur3, mulberry32 } from '../../core/prng.js';
+import { createTopology, createBlendedTopology } from '../topology/index.js';
+import { envelopeSDF } from './envelope.js';
+import { generateAllGuideCurves, sampleAlongCurve, drapingDirection } from './guide-curves.js';
+import { createAccumulators, createFoldingChain } from './folding-chains.js';
+import { generateDots, generateAccentDots, applyDotLook } from './dots.js';
+import { flowFieldNormal, colorFieldHue, colorFieldValue } from './flow-field.js';
+import { sampleGradient } from '../../core/palettes.js';
+
+/**
+ * Seed of the topology field's rng stream for an intent seed.
+ * @param {string} seed
+ * @returns {number}
+ */
+export function topologySeedFor(seed) {
+    return xmur3(seed + ':topology')();
+}
+
+/**
+ * The structure a seed grows: generateDemoStructure() with the seed's
+ * build and topology streams.
+ * @param {object} params - derived parameters from deriveParams()
+ * @param {string} seed
+ */
+export function structureForSeed(params, seed) {
+    return generateDemoStructure(params, mulberry32(xmur3(seed + ':build')()), topologySeedFor(seed));
+}
+
+/**
+ * Generate the demo structure.
+ * @param {object} params - derived parameters from deriveParams()
+ * @param {Function} rng - seeded random [0, 1)
+ * @param {number} topologySeed - 32-bit seed of the topology field's own
+ *   stream (see topologySeedFor())
+ * @returns {{ envelopeRadii: THREE.Vector3, guideCurves: Array, dots: object, accum: object, tendrils: Array, accents: object }}
+ */
+export function generateDemoStructure(params, rng, topologySeed) {
+    const envelopeRadii = new THREE.Vector3(...params.envelopeRadii);
+
+    // --- 0. Topology field ---
+    // Seeded from its own stream, so topology sampling never draws from
+    // (or shifts) the build sequence; same seed → same structure.
+    const topologyRng = mulberry32(topologySeed);
+    const field = {
+        topology: params.topologyBlend
+            ? createBlendedTopology(params.topologyBlend, { seed: topologySeed, params })
+            : createTopology(params.topology, { rng: topologyRng, params }),
+        rng: topologyRng,
+        bias: params.topologyBias,
+    };
+
+    // --- 1. Generate guide curves ---
+    const guideCurves = generateAllGuideCurves(params.curveConfig, rng, envelopeRadii, field);
+
+    // --- 2. Generate dots ---
+    const dots = generateDots(params.dotConfig, guideCurves, envelopeRadii, rng, field);
+    applyDotLook(dots, params.dotLook);
+
+    // --- 3. Create folding chains along guide curves ---
+    const accum = createAccumulators();
+
+    // Color picker function parameterized by palette; a gradient family
+    // brings its own saturation (familySat)
+    function pickColor(distFromCenter, decayRate, lightnessBoost, familyHue, familySat = null) {
+        const fade = Math.exp(-decayRate * distFromCenter * distFromCenter);
+        let baseHue;
+        if (familyHue !== null && familyHue !== undefined) {
+            baseHue = familyHue + (rng() - 0.5) * 35;
+        } else {
+            const centerHue = params.baseHue + 25 + rng() * 40;
+            const edgeHue = params.baseHue - 50 + rng() * 40;
+            baseHue = edgeHue + fade * (centerHue - edgeHue);
+        }
+        const saturation = Math.min((familySat ?? params.saturation) * 0.75 + rng() * 0.25 + (1 - fade) * 0.05, 1.0);
+        const lightness = Math.min(0.06 + rng() * 0.08 + fade * (0.22 + rng() * 0.22) + lightnessBoost, 0.60);
+        return new THREE.Color().setHSL(baseHue / 360, saturation, lightness);
+    }
+
+    // Chain family colour at a position: the palette's hue arc, or a sample
+    // of its gradient, turned by the tier's harmony offset (atmospheric
+    // chains pass no tier). Returns the picker to pass along with the hue.
+    function familyAt(pos, tier = null) {
+        const offset = tier ? params.tierHueOffsets[tier] : 0;
+        if (!params.gradient) {
+            return { hue: colorFieldHue(pos, 1.2, params.baseHue, params.hueRange) + offset, pick: pickColor };
+        }
+        const { hue, saturation } = sampleGradient(params.gradient, colorFieldValue(pos, 1.2));
+        return {
+            hue: hue + offset,
+            pick: (dist, decay, boost, familyHue) => pickColor(dist, decay, boost, familyHue, saturation),
+        };
+    }
+
+    const chainConfig = {
+        foldScale: params.foldScale,
+        bendScale: params.bendScale,
+        edgeColorOffset: params.edgeColorOffset,
+        edgeOpacityBase: params.edgeOpacityBase,
+        edgeOpacityFadeScale: params.edgeOpacityFadeScale,
+        crackExtendScale: params.crackExtendScale,
+    };
+
+    // Build chain config per tier
+    const tierChainConfig = {};
+    for (const [tier, c] of Object.entries(params.chains)) {
+        tierChainConfig[tier] = {
+            chainLen: () => c.chainLenBase + Math.floor(rng() * c.chainLenRange),
+            scale: () => c.scaleBase + rng() * c.scaleRange,
+            spread: c.spread,
+            dualProb: c.dualProb,
+            spacing: c.spacing,
+        };
+    }
+
+    const { allDotPositions } = dots;
+
+    // Drape chains along guide curves
+    for (const curve of guideCurves) {
+        const config = tierChainConfig[curve.tier];
+        if (!config) continue;
+        const samples = sampleAlongCurve(curve, config.spacing, envelopeRadii);
+
+        for (const sample of samples) {
+            const dir1 = drapingDirection(sample, config.spread, rng, field);
+            const family = familyAt(sample.pos, curve.tier);
+            const familyHue = family.hue + (rng() - 0.5) * 30;
+            const chainLen = config.chainLen();
+            const planeScale = config.scale();
+
+            createFoldingChain(accum, sample.pos, chainLen, planeScale,
+                sample.pos.length(), allDotPositions, chainConfig, rng, family.pick,
+                familyHue, dir1);
+
+            // Dual-side: drape on opposite side of curve
+            if (rng() < config.dualProb) {
+                const flippedBinormal = sample.binormal.clone().negate();
+                const flippedSample = { ...sample, binormal: flippedBinormal };
+                const dir2 = drapingDirection(flippedSample, config.spread, rng, field);
+                createFoldingChain(accum, sample.pos, chainLen, planeScale,
+                    sample.pos.length(), allDotPositions, chainConfig, rng, family.pick,
+                    familyHue + (rng() - 0.5) * 15, dir2);
+            }
+        }
+    }
+
+    // Atmospheric scatter: random interior chains for depth
+    for (let i = 0; i < params.atmosphericCount; i++) {
+        let pos;
+        let attempts = 0;
+        do {
+            pos = new THREE.Vector3(
+                gaussianRandom(rng, 0, 0.6),
+                gaussianRandom(rng, 0, 0.4),
+                gaussianRandom(rng, 0, 0.5)
+            );
+            attempts++;
+        } while (envelopeSDF(pos, envelopeRadii) > -0.1 && attempts < 50);
+        const flowNorm = flowFieldNormal(pos, 1.5);
+        const family = familyAt(pos);
+        const familyHue = family.hue + (rng() - 0.5) * 40;
+        const planeScale = 0.5 + rng() * 0.3;
+        const chainLen = 3 + Math.floor(rng() * 2);
+        createFoldingChain(accum, pos, chainLen, planeScale, pos.length(),
+            allDotPositions, chainConfig, rng, family.pick, familyHue, flowNorm);
+    }
+
+    // --- 4. Tendril styling ---
+    const tendrils = [];
+    for (const curve of guideCurves) {
+        if (curve.length < 4) continue;
+        const spline = new THREE.CatmullRomCurve3(curve);
+        tendrils.push({
+            tier: curve.tier,
+            points: spline.getPoints(Math.max(16, curve.length * 2)),
+            hue: (params.tendrilHueBase + rng() * params.tendrilHueRange) / 360,
+            sat: params.tendrilSatBase + rng() * params.tendrilSatRange,
+            opacity: curve.tier === 'primary'
+                ? params.tendrilOpacity.primary
+                : params.tendrilOpacity.other,
+        });
+    }
+
+    // --- 5. Accent layer ---
+    // Its own rng from one final draw, so the stages above keep their sequence
+    const accentRng = mulberry32(Math.floor(rng() * 4294967296));
+    const accentDots = generateAccentDots(params.accentConfig, guideCurves, accentRng);
+    applyDotLook(accentDots, params.dotLook);
+
+    const { hue: accentHue, saturation: accentSat } = params.accentConfig;
+    function pickAccent(distFromCenter, decayRate, lightnessBoost, familyHue) {
+        const fade = Math.exp(-decayRate * distFromCenter * distFromCenter);
+        const hue = familyHue + (accentRng() - 0.5) * 20;
+        const lightness = Math.min(0.10 + accentRng() * 0.08 + fade * (0.20 + accentRng() * 0.15) + lightnessBoost, 0.60);
+        return new THREE.Color().setHSL(hue / 360, accentSat, lightness);
+    }
+    const accentAccum = createAccumulators();
+    const primaries = guideCurves.filter(c => c.tier === 'primary' && c.length > 0);
+    for (let i = 0; primaries.length > 0 && i < params.accentConfig.chainCount; i++) {
+        const curve = primaries[Math.floor(accentRng() * primaries.length)];
+        const pos = curve[Math.floor(accentRng() * curve.length)].clone();
+        const planeScale = 0.35 + accentRng() * 0.25;
+        const chainLen = 2 + Math.floor(accentRng() * 2);
+        createFoldingChain(accentAccum, pos, chainLen, planeScale, pos.length(),
+            allDotPositions, chainConfig, accentRng, pickAccent, accentHue, flowFieldNormal(pos, 1.5));
+    }
+    const accents = { dots: accentDots, accum: accentAccum };
+
+    return { envelopeRadii, guideCurves, dots, accum, tendrils, accents };
+}
+
+// --- Helper ---
+function gaussianRandom(rng, mean = 0, stdev = 1) {
+    const u = 1 - rng();
+    const v = rng();
+    return mean + stdev * Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
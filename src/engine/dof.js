@@ -0,0 +1,123 @@
+/**
+ * Bokeh depth of field for the demo scene (settings: core/depth-of-field.js).
+ *
+ * The scene is additive light and writes no depth, so the focus depth
+ * comes from a prepass: the meshes on FOCUS_LAYER (dot spheres and face
+ * planes) are drawn depth-only into their own target, with their usual
+ * materials switched to depth writes. The depth-of-field EffectPass is
+ * handed that depth texture up front, so the composer never attaches one
+ * of its own. Empty background reads as far away, where the blur is
+ * invisible on the smooth gradient.
+ *
+ * Focus locks to a world point: the centroid of the hero dots, or the dot
+ * nearest a picked frame point. The effect's bokeh scale is in pixels, so
+ * the aperture (per 1000 px of frame height) is scaled to the frame.
+ */
+
+import * as THREE from 'three';
+import { Pass, DepthOfFieldEffect } from 'postprocessing';
+
+/** Render layer of the meshes the focus depth is taken from. */
+export const FOCUS_LAYER = 2;
+
+/** @returns {DepthOfFieldEffect} */
+export function createDofEffect(camera) {
+    const effect = new DepthOfFieldEffect(camera, { resolutionScale: 0.5 });
+    effect.target = new THREE.Vector3();
+    return effect;
+}
+
+/**
+ * @param {THREE.Scene} scene
+ * @param {THREE.Camera} camera
+ * @returns {Pass} disabled until depth of field is turned on; its
+ *   depthTarget.depthTexture is the focus depth
+ */
+export function createFocusDepthPass(scene, camera) {
+    const pass = new Pass('FocusDepthPass');
+    pass.depthTarget = new THREE.WebGLRenderTarget(1, 1, { depthTexture: new THREE.DepthTexture(1, 1) });
+    pass.needsSwap = false;
+    pass.enabled = false;
+
+    pass.render = (renderer) => {
+        const meshes = scene.children.filter(child => child.layers.isEnabled(FOCUS_LAYER));
+        const saved = meshes.map(({ material: m }) => [m.depthWrite, m.depthTest, m.colorWrite]);
+        for (const { material: m } of meshes) {
+            m.depthWrite = true;
+            m.depthTest = true;
+            m.colorWrite = false;
+        }
+        const mask = camera.layers.mask;
+        camera.layers.set(FOCUS_LAYER);
+
+        renderer.setRenderTarget(pass.depthTarget);
+        renderer.clear(true, true, false);
+        renderer.render(scene, camera);
+
+        camera.layers.mask = mask;
+        meshes.forEach(({ material: m }, i) => { [m.depthWrite, m.depthTest, m.colorWrite] = saved[i]; });
+    };
+
+    pass.setSize = (width, height) => {
+        pass.depthTarget.setSize(width, height);
+    };
+
+    return pass;
+}
+
+const _ndc = new THREE.Vector3();
+
+/**
+ * World point to focus on.
+ * @param {object} structure - built demo structure (dots.allDotPositions)
+ * @param {THREE.Camera} camera - posed, with an up-to-date projection
+ * @param {'hero'|{ x: number, y: number }} focus - params.dofFocus
+ * @param {THREE.Vector3} out
+ * @returns {THREE.Vector3} out
+ */
+export function resolveFocusTarget(structure, camera, focus, out) {
+    const dots = structure.dots.allDotPositions;
+    out.set(0, 0, 0);
+    if (focus === 'hero') {
+        const heroes = dots.filter(d => d.tier === 'hero');
+        for (const d of heroes) out.add(d.pos);
+        return heroes.length > 0 ? out.divideScalar(heroes.length) : out;
+    }
+    // The dot drawn nearest the picked point (aspect-corrected, in front of the camera)
+    camera.updateMatrixWorld();
+    const px = focus.x * 2 - 1, py = 1 - focus.y * 2;
+    let bestD = Infinity;
+    for (const d of dots) {
+        _ndc.copy(d.pos).project(camera);
+        if (_ndc.z < -1 || _ndc.z > 1) continue;
+        const dist = ((_ndc.x - px) * camera.aspect) ** 2 + (_ndc.y - py) ** 2;
+        if (dist < bestD) {
+            bestD = dist;
+            out.copy(d.pos);
+        }
+    }
+    return out;
+}
+
+/**
+ * Turn depth of field on or off and set its focus and aperture.
+ * @param {{ focusPass: Pass, dofPass: Pass, dofEffect: DepthOfFieldEffect }} dof
+ * @param {object} params - dof, dofFocus
+ * @param {object} structure - built demo structure
+ * @param {THREE.Camera} camera
+ * @param {number} frameHeight - full frame height in pixels
+ */
+export function applyDof({ focusPass, dofPass, dofEffect }, params, structure, camera, frameHeight) {
+    const on = params.dofFocus !== null;
+    focusPass.enabled = on;
+    dofPass.enabled = on;
+    if (!on) return;
+    resolveFocusTarget(structure, camera, params.dofFocus, dofEffect.target);
+    dofEffect.cocMaterial.focusRange = params.dof.focusRange;
+    dofEffect.bokehScale = params.dof.aperture * frameHeight / 1000;
+}
+
+/** Extra tile gutter (pixels) the bokeh gather needs in a frame this tall. */
+export function dofGutter(params, frameHeight) {
+    return params.dofFocus === null ? 0 : Math.ceil(2 * params.dof.aperture * frameHeight / 1000);
+}
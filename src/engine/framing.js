@@ -0,0 +1,51 @@
+/**
+ * Camera framing shared by the WebGL and software renderers: the pose
+ * placement from core/camera-pose.js plus the off-axis pan that tension
+ * above neutral adds (params.offAxisShift).
+ */
+
+import { xmur3, clamp01 } from '../core/prng.js';
+import { cameraPlacement } from '../core/camera-pose.js';
+
+/** Direction (radians) in which tension pushes a seed's framing off-axis. */
+export function offAxisAngle(seed) {
+    return (xmur3(seed + ':composition')() / 4294967296) * Math.PI * 2;
+}
+
+/**
+ * Off-axis direction for a build: the seed's own, or mid seed-morph
+ * ({ from, to, t }) the from/to directions blended along the shorter arc,
+ * so the framing glides instead of jumping at t = 0.5.
+ * @param {string} seed
+ * @param {{ from: string, to: string, t: number }|null|undefined} morph - controls.seedMorph
+ * @returns {number} radians
+ */
+export function framingAngle(seed, morph) {
+    if (!morph || morph.from === morph.to) return offAxisAngle(seed);
+    const from = offAxisAngle(morph.from);
+    const turn = offAxisAngle(morph.to) - from;
+    const shortest = turn - Math.round(turn / (Math.PI * 2)) * Math.PI * 2;
+    return from + shortest * clamp01(morph.t);
+}
+
+/**
+ * Place a camera (fov and aspect already set) for params and a pose.
+ * @param {import('three').PerspectiveCamera} camera
+ * @param {object} params - from deriveParams()
+ * @param {object|null} pose - controls.camera
+ * @param {number|null} angle - off-axis pan direction (framingAngle()); null skips the pan
+ */
+export function poseCamera(camera, params, pose, angle) {
+    const { x, y, z, roll } = cameraPlacement(params, pose);
+    camera.position.set(x, y, z);
+    camera.up.set(0, 1, 0);
+    camera.lookAt(0, 0, 0);
+    if (params.offAxisShift && angle !== null) {
+        // Pan in the view plane so the subject sits off-centre, toward a per-seed direction
+        const halfHeight = camera.position.length() * Math.tan(camera.fov * Math.PI / 360);
+        camera.translateX(Math.cos(angle) * params.offAxisShift * halfHeight * camera.aspect);
+        camera.translateY(Math.sin(angle) * params.offAxisShift * halfHeight);
+    }
+    if (roll) camera.rotateZ(roll);
+    camera.updateMatrixWorld();
+}
@@ -9,6 +9,7 @@ import bgVertSrc from './shaders/background.vert.glsl?raw';
 import bgFragSrc from './shaders/background.frag.glsl?raw';
 import demoFaceVertSrc from './shaders/demo-face.vert.glsl?raw';
 import demoFaceFragSrc from './shaders/demo-face.frag.glsl?raw';
+import demoFogSrc from './shaders/demo-fog.glsl?raw';
 import demoGlowVertSrc from './shaders/demo-glow.vert.glsl?raw';
 import demoGlowFragSrc from './shaders/demo-glow.frag.glsl?raw';
 
@@ -84,6 +85,14 @@ export function createBackgroundMaterial(opts) {
 
 // --- Demo material factories ---
 
+/** Depth fog uniforms (demo-fog.glsl); dressDemoScene() keeps them current. */
+function demoFogUniforms(config) {
+    return {
+        uFogColor: { value: new THREE.Color(...config.fogColor) },
+        uFogDensity: { value: config.fogDensity },
+    };
+}
+
 /**
  * Batched face material for demo folding-chain planes.
  * Uses per-vertex color, opacity, noise params, and shared light uniforms.
@@ -91,6 +100,7 @@ export function createBackgroundMaterial(opts) {
 export function createDemoFaceMaterial(lightUniforms, config) {
     return new THREE.ShaderMaterial({
         uniforms: {
+            ...demoFogUniforms(config),
             uLightPositions: lightUniforms.uLightPositions,
             uLightIntensities: lightUniforms.uLightIntensities,
             uLightCount: lightUniforms.uLightCount,
@@ -102,7 +112,7 @@ export function createDemoFaceMaterial(lightUniforms, config) {
             uEdgeFadeThreshold: { value: config.edgeFadeThreshold },
         },
         vertexShader: demoFaceVertSrc,
-        fragmentShader: demoFaceFragSrc,
+        fragmentShader: demoFogSrc + demoFaceFragSrc,
         transparent: true,
         blending: THREE.AdditiveBlending,
         side: THREE.DoubleSide,
@@ -111,10 +121,44 @@ export function createDemoFaceMaterial(lightUniforms, config) {
 }
 
 /**
- * Batched edge material for demo chain edge lines.
+ * Weighted-OIT variants of a face material (see oit-pass.js): accumulation
+ * and revealage, sharing its uniforms so dressing one dresses all three.
+ * @param {THREE.ShaderMaterial} faceMaterial - from createDemoFaceMaterial()
+ * @returns {{ accum: THREE.ShaderMaterial, reveal: THREE.ShaderMaterial }}
+ */
+export function createDemoFaceOitMaterials(faceMaterial) {
+    const variant = (define, blendSrc, blendDst) => new THREE.ShaderMaterial({
+        uniforms: faceMaterial.uniforms,
+        vertexShader: faceMaterial.vertexShader,
+        fragmentShader: faceMaterial.fragmentShader,
+        defines: { [define]: '' },
+        transparent: true,
+        blending: THREE.CustomBlending,
+        blendSrc,
+        blendDst,
+        side: THREE.DoubleSide,
+        depthTest: false,
+        depthWrite: false,
+    });
+    return {
+        accum: variant('OIT_ACCUM', THREE.OneFactor, THREE.OneFactor),
+        reveal: variant('OIT_REVEAL', THREE.ZeroFactor, THREE.OneMinusSrcColorFactor),
+    };
+}
+
+/**
+ * Batched edge material for demo chain edge lines. Line colours lean
+ * toward the palette's edge colour by uEdgeTintStrength, keeping their
+ * own brightness; depth fog as for faces.
  */
-export function createDemoEdgeMaterial() {
+export function createDemoEdgeMaterial(config) {
     return new THREE.ShaderMaterial({
+        uniforms: {
+            ...demoFogUniforms(config),
+            uCameraPos: { value: new THREE.Vector3(0, 0, 5) },
+            uEdgeTint: { value: new THREE.Color(...config.edgeColor) },
+            uEdgeTintStrength: { value: config.edgeTintStrength },
+        },
         vertexShader: `
             attribute float vAlpha;
             attribute vec3 aColor;
@@ -122,19 +166,29 @@ export function createDemoEdgeMaterial() {
             varying float fAlpha;
             varying vec3 vEdgeColor;
             varying float vEdgeOpacity;
+            varying vec3 vWorldPos;
             void main() {
                 fAlpha = vAlpha;
                 vEdgeColor = aColor;
                 vEdgeOpacity = aOpacity;
+                vWorldPos = (modelMatrix * vec4(position, 1.0)).xyz;
                 gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
             }
         `,
-        fragmentShader: `
+        fragmentShader: demoFogSrc + `
+            uniform vec3 uCameraPos;
+            uniform vec3 uEdgeTint;
+            uniform float uEdgeTintStrength;
             varying float fAlpha;
             varying vec3 vEdgeColor;
             varying float vEdgeOpacity;
+            varying vec3 vWorldPos;
             void main() {
-                gl_FragColor = vec4(vEdgeColor, vEdgeOpacity * fAlpha);
+                const vec3 LUMA = vec3(0.2126, 0.7152, 0.0722);
+                vec3 tint = uEdgeTint / max(dot(uEdgeTint, LUMA), 1e-5);
+                vec3 color = mix(vEdgeColor, tint * dot(vEdgeColor, LUMA), uEdgeTintStrength);
+                color = demoFogTint(color, demoFogAmount(vWorldPos, uCameraPos));
+                gl_FragColor = vec4(color, vEdgeOpacity * fAlpha);
             }
         `,
         transparent: true,
@@ -144,11 +198,16 @@ export function createDemoEdgeMaterial() {
 }
 
 /**
- * Glow point material for dot halos (uses Points with gl_PointSize).
+ * Glow material for dot halos, drawn as instanced camera-facing quads.
+ * uPixelScale is 2·tan(fov/2) / framebuffer height; the renderer keeps it
+ * in step with the camera.
  */
 export function createDemoGlowMaterial(glowTexture) {
     return new THREE.ShaderMaterial({
-        uniforms: { uGlowMap: { value: glowTexture } },
+        uniforms: {
+            uGlowMap: { value: glowTexture },
+            uPixelScale: { value: 0.002 },
+        },
         vertexShader: demoGlowVertSrc,
         fragmentShader: demoGlowFragSrc,
         transparent: true,
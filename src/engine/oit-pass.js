@@ -0,0 +1,119 @@
+/**
+ * Weighted blended order-independent transparency (McGuire & Bavoil 2013)
+ * for the demo's face planes.
+ *
+ * In additive mode the planes add light, so dense scenes blow out to
+ * white and a plane never hides what lies behind it. In OIT mode the face
+ * meshes sit on OIT_LAYER, which the main render pass skips; this pass
+ * draws them twice more into half-float targets:
+ *
+ *   accumulation — Σ (colour · a, a) · w(depth)   (One, One)
+ *   revealage    — Π (1 − a)                       (Zero, OneMinusSrcColor)
+ *
+ * and composites the weighted average colour over the main pass's output
+ * with coverage 1 − revealage, before the EffectPass effects run. Each face
+ * mesh brings its accumulation / revealage materials in
+ * userData.oitMaterials (see createDemoFaceOitMaterials()). Edges,
+ * tendrils, dots and glows stay additive: they are light, not surfaces.
+ */
+
+import * as THREE from 'three';
+import { Pass } from 'postprocessing';
+
+/** Render layer of the meshes this pass draws (the main pass skips it in OIT mode). */
+export const OIT_LAYER = 1;
+
+function createCompositeMaterial(accumTarget, revealTarget) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            accumBuffer: { value: accumTarget.texture },
+            revealBuffer: { value: revealTarget.texture },
+        },
+        vertexShader: `
+            varying vec2 vUv;
+            void main() {
+                vUv = position.xy * 0.5 + 0.5;
+                gl_Position = vec4(position.xy, 1.0, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform sampler2D accumBuffer;
+            uniform sampler2D revealBuffer;
+            varying vec2 vUv;
+            void main() {
+                float reveal = texture2D(revealBuffer, vUv).r;
+                if (reveal >= 1.0) discard;
+                vec4 accum = texture2D(accumBuffer, vUv);
+                gl_FragColor = vec4(accum.rgb / max(accum.a, 1e-5), 1.0 - reveal);
+            }
+        `,
+        blending: THREE.NormalBlending,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false,
+        toneMapped: false,
+    });
+}
+
+/**
+ * @param {THREE.Scene} scene - the scene the main render pass draws
+ * @param {THREE.Camera} camera - its camera
+ * @returns {Pass} disabled until the renderer switches to OIT mode
+ */
+export function createOitPass(scene, camera) {
+    const targetOpts = { type: THREE.HalfFloatType, depthBuffer: false };
+    const pass = new Pass('OitPass');
+    pass.accumTarget = new THREE.WebGLRenderTarget(1, 1, targetOpts);
+    pass.revealTarget = new THREE.WebGLRenderTarget(1, 1, targetOpts);
+    pass.fullscreenMaterial = createCompositeMaterial(pass.accumTarget, pass.revealTarget);
+    pass.needsSwap = false;
+    pass.enabled = false;
+
+    const savedClear = new THREE.Color();
+
+    function drawLayer(renderer, meshes, key, target, clearValue) {
+        for (const mesh of meshes) mesh.material = mesh.userData.oitMaterials[key];
+        renderer.setRenderTarget(target);
+        renderer.setClearColor(clearValue, clearValue);
+        renderer.clear(true, false, false);
+        renderer.render(scene, camera);
+    }
+
+    pass.render = (renderer, inputBuffer) => {
+        const meshes = scene.children.filter(child => child.userData.oitMaterials);
+        if (meshes.length === 0) return;
+        const mainMaterials = meshes.map(mesh => mesh.material);
+        const mask = camera.layers.mask;
+        const clearAlpha = renderer.getClearAlpha();
+        renderer.getClearColor(savedClear);
+
+        camera.layers.set(OIT_LAYER);
+        drawLayer(renderer, meshes, 'accum', pass.accumTarget, 0);
+        drawLayer(renderer, meshes, 'reveal', pass.revealTarget, 1);
+        meshes.forEach((mesh, i) => { mesh.material = mainMaterials[i]; });
+        camera.layers.mask = mask;
+        renderer.setClearColor(savedClear, clearAlpha);
+
+        renderer.setRenderTarget(inputBuffer);
+        renderer.render(pass.scene, pass.camera);
+    };
+
+    pass.setSize = (width, height) => {
+        pass.accumTarget.setSize(width, height);
+        pass.revealTarget.setSize(width, height);
+    };
+
+    return pass;
+}
+
+/**
+ * Switch the main render between additive and OIT faces.
+ * @param {Pass} pass - from createOitPass()
+ * @param {THREE.Camera} camera - the main pass's camera
+ * @param {string} mode - params.transparency ('additive' or 'oit')
+ */
+export function setTransparencyMode(pass, camera, mode) {
+    pass.enabled = mode === 'oit';
+    if (pass.enabled) camera.layers.disable(OIT_LAYER);
+    else camera.layers.enable(OIT_LAYER);
+}
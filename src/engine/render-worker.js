@@ -1,11 +1,12 @@
 /**
  * Web Worker for offscreen Three.js rendering.
  * Receives an OffscreenCanvas via transferControlToOffscreen(),
- * handles render/resize/export messages, and coalesces rapid requests.
+ * handles render/resize/camera/mappings/export messages, and coalesces rapid requests.
  */
 
 import { createRenderer } from './create-renderer.js';
 import { updatePalette } from '../core/palettes.js';
+import { setMappingSet } from '../core/mappings.js';
 
 let renderer = null;
 let offscreenCanvas = null;
@@ -14,6 +15,10 @@ let offscreenCanvas = null;
 let pendingRender = null;
 let renderScheduled = false;
 let lastRenderReq = null;
+let pendingCameraPose = null;
+let cameraScheduled = false;
+// Tiled exports yield between tiles; renders wait until they finish
+let exporting = false;
 
 function scheduleFrame(fn) {
     if (typeof requestAnimationFrame === 'function') {
@@ -31,7 +36,7 @@ function scheduleRender() {
 
 function doRender() {
     renderScheduled = false;
-    if (!pendingRender || !renderer) return;
+    if (!pendingRender || !renderer || exporting) return;
 
     const req = pendingRender;
     pendingRender = null;
@@ -69,6 +74,26 @@ function doRender() {
     }
 }
 
+/* ── Camera-only re-renders (orbit) ── */
+function scheduleCamera() {
+    if (cameraScheduled) return;
+    cameraScheduled = true;
+    scheduleFrame(doCamera);
+}
+
+function doCamera() {
+    cameraScheduled = false;
+    const pose = pendingCameraPose;
+    pendingCameraPose = null;
+    // A queued full render already carries the latest pose
+    if (!pose || !renderer || pendingRender || exporting) return;
+    try {
+        renderer.setCameraPose(pose);
+    } catch (err) {
+        console.error('[render-worker] camera error:', err);
+    }
+}
+
 /* ── Message handler ── */
 self.onmessage = function (e) {
     const msg = e.data;
@@ -77,6 +102,7 @@ self.onmessage = function (e) {
         case 'init':
             try {
                 offscreenCanvas = msg.canvas;
+                setMappingSet(msg.mappings || null);
                 renderer = createRenderer(offscreenCanvas, { dpr: msg.dpr });
                 if (msg.width && msg.height) {
                     renderer.resize(msg.width, msg.height);
@@ -109,18 +135,49 @@ self.onmessage = function (e) {
             scheduleRender();
             break;
 
+        case 'camera':
+            // Keep resize re-renders on the new framing
+            if (lastRenderReq) {
+                lastRenderReq.controls = { ...lastRenderReq.controls, camera: msg.pose };
+            }
+            pendingCameraPose = msg.pose;
+            scheduleCamera();
+            break;
+
+        case 'mappings':
+            // New curves change the geometry: rebuild before any camera draw
+            setMappingSet(msg.set || null);
+            if (lastRenderReq) {
+                pendingRender = lastRenderReq;
+                scheduleRender();
+            }
+            break;
+
         case 'export':
-            doExport(msg.requestId);
+            doExport(msg);
             break;
     }
 };
 
-async function doExport(requestId) {
+/**
+ * Export the canvas as PNG, or — when the message carries a width and
+ * height — render the scene at that size in tiles, reporting progress.
+ */
+async function doExport({ requestId, width, height }) {
     if (!offscreenCanvas) return;
+    exporting = true;
     try {
-        const blob = await offscreenCanvas.convertToBlob({ type: 'image/png' });
+        const blob = width && height
+            ? await renderer.renderTiledBlob(width, height, {
+                onProgress: (done, total) => self.postMessage({ type: 'export-progress', requestId, done, total }),
+            })
+            : await offscreenCanvas.convertToBlob({ type: 'image/png' });
         self.postMessage({ type: 'exported', requestId, blob });
     } catch (err) {
         self.postMessage({ type: 'export-error', requestId, error: err.message });
+    } finally {
+        exporting = false;
+        if (pendingRender) scheduleRender();
+        else if (pendingCameraPose) scheduleCamera();
     }
 }
@@ -166,5 +166,22 @@ void main() {
     finalAlpha *= edgeFade;
     finalColor *= edgeFade;
 
+    // Depth fog (demo-fog.glsl)
+    finalColor = demoFogTint(finalColor, demoFogAmount(vWorldPos, uCameraPos));
+
+#if defined(OIT_ACCUM) || defined(OIT_REVEAL)
+    // Weighted blended OIT (oit-pass.js): a lone plane composites to
+    // finalColor * a, as it adds in additive mode; overlaps average
+    // instead of summing, and cover what lies behind them
+    float a = clamp(finalAlpha, 0.0, 0.95);
+  #ifdef OIT_ACCUM
+    float z = distance(uCameraPos, vWorldPos);
+    float w = a * clamp(10.0 / (1e-5 + pow(z / 5.0, 2.0) + pow(z / 200.0, 6.0)), 1e-2, 3e3);
+    gl_FragColor = vec4(finalColor * a, a) * w;
+  #else
+    gl_FragColor = vec4(a);
+  #endif
+#else
     gl_FragColor = vec4(finalColor, max(finalAlpha, 0.0));
+#endif
 }
@@ -0,0 +1,16 @@
+// Depth fog shared by the demo face and edge shaders. Beyond the scene
+// centre, colour fades and leans toward the palette's fog hue — uFogColor
+// is near-black, so only its hue is used.
+uniform vec3 uFogColor;
+uniform float uFogDensity;
+
+float demoFogAmount(vec3 worldPos, vec3 cameraPos) {
+    float behind = distance(cameraPos, worldPos) - length(cameraPos);
+    return clamp(1.0 - exp(-uFogDensity * max(behind, 0.0)), 0.0, 0.85);
+}
+
+vec3 demoFogTint(vec3 color, float fog) {
+    const vec3 LUMA = vec3(0.2126, 0.7152, 0.0722);
+    vec3 fogHue = mix(vec3(1.0), uFogColor / max(dot(uFogColor, LUMA), 1e-5), 0.5);
+    return mix(color, fogHue * dot(color, LUMA), fog) * (1.0 - fog * 0.5);
+}
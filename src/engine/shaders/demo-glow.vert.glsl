@@ -1,7 +1,17 @@
+// Glow halos as camera-facing instanced quads. Sized like the former
+// gl_PointSize = aSize * 350 / depth, but expanded in view space, so a halo
+// never hits the point-size cap and survives its centre falling outside the
+// viewport (tiled export).
+attribute vec3 aCenter;
 attribute float aSize;
 
+uniform float uPixelScale; // view-space extent of one pixel at unit depth
+
+varying vec2 vUv;
+
 void main() {
-    vec4 mvPos = modelViewMatrix * vec4(position, 1.0);
-    gl_PointSize = aSize * (350.0 / -mvPos.z);
+    vUv = uv;
+    vec4 mvPos = modelViewMatrix * vec4(aCenter, 1.0);
+    mvPos.xy += position.xy * aSize * 350.0 * uPixelScale;
     gl_Position = projectionMatrix * mvPos;
 }
@@ -0,0 +1,13 @@
+// Blue-noise dither ahead of the 8-bit output: ±½ step of noise in sRGB,
+// where the quantization happens, breaks the bands in near-black
+// gradients into grain too fine to see. The effect declares sRGB output,
+// so the pass decodes and re-encodes it losslessly.
+uniform sampler2D blueNoise;
+uniform float noiseSize;
+uniform float amount;
+
+void mainImage(const in vec4 inputColor, const in vec2 uv, out vec4 outputColor) {
+    float noise = texture2D(blueNoise, gl_FragCoord.xy / noiseSize).r - 0.5;
+    vec3 srgb = sRGBTransferOETF(vec4(clamp(inputColor.rgb, 0.0, 1.0), 1.0)).rgb;
+    outputColor = vec4(clamp(srgb + noise * amount / 255.0, 0.0, 1.0), inputColor.a);
+}
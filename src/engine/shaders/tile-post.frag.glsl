@@ -0,0 +1,40 @@
+// Bloom → chromatic aberration → vignette for one tile of a tiled export,
+// matching the preview EffectPass but evaluated in full-image coordinates.
+// The bloom map is rendered once for the whole frame; tileRect maps this
+// tile's uv into the full image (xy = origin, zw = extent).
+uniform sampler2D bloomMap;
+uniform float bloomIntensity;
+uniform vec4 tileRect;
+uniform float fullAspect;
+uniform vec2 caOffset;
+uniform float caModulationOffset;
+uniform float vignetteOffset;
+uniform float vignetteDarkness;
+
+vec2 toTileUv(const in vec2 fullUv) {
+    return (fullUv - tileRect.xy) / tileRect.zw;
+}
+
+void mainImage(const in vec4 inputColor, const in vec2 uv, out vec4 outputColor) {
+    const vec2 center = vec2(0.5);
+    vec2 fullUv = tileRect.xy + uv * tileRect.zw;
+
+    // Bloom, screen-blended (BloomEffect + BlendFunction.SCREEN)
+    vec3 bloom = texture2D(bloomMap, fullUv).rgb * bloomIntensity;
+    vec3 color = inputColor.rgb + bloom - min(inputColor.rgb * bloom, 1.0);
+
+    // Chromatic aberration with radial modulation; like the preview it
+    // fetches red and blue from the un-bloomed input
+    vec2 shift = caOffset * vec2(1.0, fullAspect);
+    float d = max(distance(fullUv, center) * 2.0 - caModulationOffset, 0.0);
+    if (d > 0.0 && (shift.x != 0.0 || shift.y != 0.0)) {
+        color.r = texture2D(inputBuffer, toTileUv(fullUv + shift * d)).r;
+        color.b = texture2D(inputBuffer, toTileUv(fullUv - shift * d)).b;
+    }
+
+    // Vignette (VignetteTechnique.DEFAULT)
+    float v = distance(fullUv, center);
+    color *= smoothstep(0.8, vignetteOffset * 0.799, v * (vignetteDarkness + vignetteOffset));
+
+    outputColor = vec4(color, inputColor.a);
+}
@@ -0,0 +1,27 @@
+// Exposure and tone mapping of the half-float HDR frame. mapper: 0 none
+// (clip at 1, like the old 8-bit framebuffer), 1 Reinhard, 2 ACES filmic,
+// 3 AgX, 4 Khronos neutral. Curves are scaled so an exposed value of
+// whitePoint maps to pure white. three's operators multiply by
+// toneMappingExposure, which the renderer leaves at 1.
+#include <tonemapping_pars_fragment>
+
+uniform int mapper;
+uniform float exposure;
+uniform float whitePoint;
+
+vec3 toneCurve(const in vec3 color) {
+    if (mapper == 1) return ReinhardToneMapping(color);
+    if (mapper == 2) return ACESFilmicToneMapping(color);
+    if (mapper == 3) return AgXToneMapping(color);
+    return NeutralToneMapping(color);
+}
+
+void mainImage(const in vec4 inputColor, const in vec2 uv, out vec4 outputColor) {
+    vec3 color = max(inputColor.rgb, 0.0) * exposure;
+    if (mapper == 0) {
+        color = min(color, 1.0);
+    } else {
+        color = clamp(toneCurve(color) / toneCurve(vec3(whitePoint)), 0.0, 1.0);
+    }
+    outputColor = vec4(color, inputColor.a);
+}
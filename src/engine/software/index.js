@@ -0,0 +1,214 @@
+/**
+ * Software renderer — draws the demo scene on the CPU, so stills render in
+ * plain Node without a browser or a GL context (three r163+ needs WebGL2,
+ * which no Node GL binding provides).
+ *
+ * It builds the same structure as createRenderer() (same params, rng
+ * streams, morphing and framing) and draws it in the WebGL pipeline's
+ * order: background gradient, opaque dot spheres, additive glow halos,
+ * faces (additive, or weighted blended OIT), edges and tendrils, then the
+ * postprocessing chain in post.js. Shading ports the demo shaders; see
+ * shading.js. Lines are one pixel wide and anti-aliased; triangles are
+ * sampled once per pixel.
+ *
+ * renderFrame(seed, controls, width, height) →
+ *   { pixels: Uint8ClampedArray (RGBA, top row first), title, altText, nodeCount }
+ */
+
+import * as THREE from 'three';
+import { xmur3, mulberry32 } from '../../core/prng.js';
+import { deriveParams } from '../../core/params.js';
+import { generateTitle, generateAltText } from '../../core/text.js';
+import { structureForSeed } from '../demo/structure.js';
+import { morphDemoStructures } from '../demo/morph.js';
+import { poseCamera, framingAngle } from '../framing.js';
+import { resolveFocusTarget } from '../dof.js';
+import { createProjector, rasterTriangle, rasterLine, rasterDisc } from './raster.js';
+import { createFaceShader, createEdgeShader, shadeBackground, glowAlpha } from './shading.js';
+import { applyDepthOfField, applyToneMap, applyLensEffects, encodeOutput } from './post.js';
+
+// Glow halos are aSize * 350 / depth pixels across (demo-glow.vert.glsl)
+const GLOW_PIXELS = 350;
+// Weighted-OIT coverage cap (demo-face.frag.glsl)
+const OIT_MAX_ALPHA = 0.95;
+
+/**
+ * Build the structure for seed + controls, as createRenderer().build().
+ * @returns {{ seed: string, params: object, structure: object }}
+ */
+function buildStructure(seed, controls) {
+    const morph = controls.seedMorph;
+    const morphing = !!morph && morph.from !== morph.to && morph.t > 0 && morph.t < 1;
+    if (morph) seed = morph.t < 0.5 ? morph.from : morph.to;
+
+    const params = deriveParams(controls, mulberry32(xmur3(seed)()));
+    const structure = morphing
+        ? morphDemoStructures(structureForSeed(params, morph.from), structureForSeed(params, morph.to), morph.t)
+        : structureForSeed(params, seed);
+    return { seed, params, structure };
+}
+
+/**
+ * Render a still of seed + controls.
+ * @param {string} seed
+ * @param {object} controls
+ * @param {number} width - output size in pixels
+ * @param {number} height
+ * @returns {{ pixels: Uint8ClampedArray, title: string, altText: string, nodeCount: number }}
+ */
+export function renderFrame(seed, controls, width, height) {
+    const { seed: builtSeed, params, structure } = buildStructure(seed, controls);
+
+    const camera = new THREE.PerspectiveCamera(params.cameraFov, width / height, 0.1, 100);
+    poseCamera(camera, params, controls.camera, framingAngle(builtSeed, controls.seedMorph));
+    const { project, focalPixels } = createProjector(camera, width, height);
+    const cameraPos = camera.position;
+
+    const pixelCount = width * height;
+    const color = new Float32Array(pixelCount * 3);
+    const dofOn = params.dofFocus !== null;
+    const focusDistance = dofOn ? new Float32Array(pixelCount).fill(Infinity) : null;
+    const oit = params.transparency === 'oit';
+    const accum = oit ? new Float32Array(pixelCount * 4) : null;
+    const reveal = oit ? new Float32Array(pixelCount).fill(1) : null;
+
+    const a = [0, 0, 0], b = [0, 0, 0], c = [0, 0, 0];
+    const frag = new Float64Array(5);
+
+    // --- Background gradient ---
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            shadeBackground((x + 0.5) / width, 1 - (y + 0.5) / height, params.bgInnerColor, params.bgOuterColor, frag);
+            color.set(frag.subarray(0, 3), (y * width + x) * 3);
+        }
+    }
+
+    // --- Dot spheres (opaque, flat colour) and their glow halos ---
+    const { dots, accents } = structure;
+    for (const { sphereInstData } of [dots, accents.dots]) {
+        for (const { position: p, radius, color: sc } of sphereInstData) {
+            if (!project(p.x, p.y, p.z, a)) continue;
+            const r = radius * focalPixels / a[2];
+            // Sub-pixel spheres cover a share of their pixel
+            const area = Math.min(1, Math.PI * r * r);
+            const distance = cameraPos.distanceTo(p) - radius;
+            rasterDisc(width, height, a[0], a[1], r, (i, coverage) => {
+                const t = coverage * area;
+                color[i * 3] += (sc.r - color[i * 3]) * t;
+                color[i * 3 + 1] += (sc.g - color[i * 3 + 1]) * t;
+                color[i * 3 + 2] += (sc.b - color[i * 3 + 2]) * t;
+                if (dofOn) focusDistance[i] = Math.min(focusDistance[i], distance);
+            });
+        }
+    }
+    for (const { glowPointData } of [dots, accents.dots]) {
+        for (const { position: p, size } of glowPointData) {
+            if (!project(p.x, p.y, p.z, a)) continue;
+            const r = size * GLOW_PIXELS / a[2] / 2;
+            rasterDisc(width, height, a[0], a[1], r, (i, coverage, d) => {
+                const glow = glowAlpha(d) * coverage;
+                color[i * 3] += glow;
+                color[i * 3 + 1] += glow;
+                color[i * 3 + 2] += glow;
+            });
+        }
+    }
+
+    // --- Faces, then edges, of the folding chains and the accent chains ---
+    for (const chains of [structure.accum, accents.accum]) {
+        const { faceAccum, edgeAccum } = chains;
+        const shade = createFaceShader(faceAccum, dots.lightUniforms, params, cameraPos);
+        const pos = faceAccum.pos;
+        let tri = 0;
+        const visitFace = (i, b0, b1, b2) => {
+            shade(tri, b0, b1, b2, frag);
+            if (dofOn) focusDistance[i] = Math.min(focusDistance[i], frag[4]);
+            if (oit) {
+                const alpha = Math.min(Math.max(frag[3], 0), OIT_MAX_ALPHA);
+                const z = frag[4];
+                const w = alpha * Math.min(Math.max(10 / (1e-5 + (z / 5) ** 2 + (z / 200) ** 6), 1e-2), 3e3);
+                accum[i * 4] += frag[0] * alpha * w;
+                accum[i * 4 + 1] += frag[1] * alpha * w;
+                accum[i * 4 + 2] += frag[2] * alpha * w;
+                accum[i * 4 + 3] += alpha * w;
+                reveal[i] *= 1 - alpha;
+            } else {
+                color[i * 3] += frag[0] * frag[3];
+                color[i * 3 + 1] += frag[1] * frag[3];
+                color[i * 3 + 2] += frag[2] * frag[3];
+            }
+        };
+        for (tri = 0; tri * 9 < pos.length; tri++) {
+            const o = tri * 9;
+            if (!project(pos[o], pos[o + 1], pos[o + 2], a)
+                || !project(pos[o + 3], pos[o + 4], pos[o + 5], b)
+                || !project(pos[o + 6], pos[o + 7], pos[o + 8], c)) continue;
+            rasterTriangle(width, height, a, b, c, visitFace);
+        }
+
+        const shadeEdge = createEdgeShader(edgeAccum, params, cameraPos);
+        const epos = edgeAccum.pos;
+        let seg = 0;
+        const visitEdge = (i, t, coverage) => {
+            shadeEdge(seg, t, frag);
+            const k = frag[3] * coverage;
+            color[i * 3] += frag[0] * k;
+            color[i * 3 + 1] += frag[1] * k;
+            color[i * 3 + 2] += frag[2] * k;
+        };
+        for (seg = 0; seg * 6 < epos.length; seg++) {
+            const o = seg * 6;
+            if (!project(epos[o], epos[o + 1], epos[o + 2], a)
+                || !project(epos[o + 3], epos[o + 4], epos[o + 5], b)) continue;
+            rasterLine(width, height, a, b, visitEdge);
+        }
+    }
+
+    // --- Tendrils: additive vertex colours, premultiplied by opacity ---
+    const tint = new THREE.Color();
+    for (const { points, hue, sat, opacity } of structure.tendrils) {
+        const cols = points.map((pt) => {
+            const f = Math.exp(-1.5 * pt.lengthSq());
+            tint.setHSL(hue, sat, 0.04 + f * 0.20);
+            return [tint.r * opacity, tint.g * opacity, tint.b * opacity];
+        });
+        for (let k = 0; k < points.length - 1; k++) {
+            const p = points[k], q = points[k + 1];
+            if (!project(p.x, p.y, p.z, a) || !project(q.x, q.y, q.z, b)) continue;
+            const c0 = cols[k], c1 = cols[k + 1];
+            rasterLine(width, height, a, b, (i, t, coverage) => {
+                for (let ch = 0; ch < 3; ch++) color[i * 3 + ch] += (c0[ch] + (c1[ch] - c0[ch]) * t) * coverage;
+            });
+        }
+    }
+
+    // --- Weighted-OIT composite: the faces' average colour over the rest ---
+    if (oit) {
+        for (let i = 0; i < pixelCount; i++) {
+            if (reveal[i] >= 1) continue;
+            const cover = 1 - reveal[i];
+            const norm = 1 / Math.max(accum[i * 4 + 3], 1e-5);
+            for (let ch = 0; ch < 3; ch++) {
+                color[i * 3 + ch] += (accum[i * 4 + ch] * norm - color[i * 3 + ch]) * cover;
+            }
+        }
+    }
+
+    // --- Postprocessing ---
+    if (dofOn) {
+        const target = resolveFocusTarget(structure, camera, params.dofFocus, new THREE.Vector3());
+        applyDepthOfField(color, focusDistance, width, height, {
+            focusDistance: cameraPos.distanceTo(target),
+            focusRange: params.dof.focusRange,
+            bokehScale: params.dof.aperture * height / 1000,
+            far: camera.far,
+        });
+    }
+    applyToneMap(color, params.tone);
+    applyLensEffects(color, width, height, params);
+    const pixels = encodeOutput(color, width, height, params.tone.dither);
+
+    const title = generateTitle(controls, mulberry32(xmur3(builtSeed + ':title')()));
+    const nodeCount = dots.allDotPositions.length;
+    return { pixels, title, altText: generateAltText(controls, nodeCount, title), nodeCount };
+}
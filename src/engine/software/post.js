@@ -0,0 +1,332 @@
+/**
+ * Postprocessing for the software renderer, in the composer's order:
+ * depth of field on the HDR frame, tone map, then bloom, chromatic
+ * aberration and vignette in display range, and the blue-noise dither
+ * into 8-bit sRGB. Frames are Float32Array linear RGB, top row first.
+ *
+ * Bloom, aberration and vignette follow tile-post.frag.glsl, the tiled
+ * export's single-pass version of the preview chain; tone curves port
+ * three's tonemapping_pars_fragment. Depth of field and the bloom blur
+ * are CPU approximations of the postprocessing passes (a 64-tap bokeh
+ * gather; a box-filtered mip pyramid), close in look but not per pixel.
+ */
+
+import { TONE_MAPPERS } from '../../core/tone.js';
+import { BLUE_NOISE_SIZE, generateBlueNoise } from '../blue-noise.js';
+import { smoothstep } from './shading.js';
+
+const LUMA_R = 0.2126, LUMA_G = 0.7152, LUMA_B = 0.0722;
+
+// Preview effect settings (create-renderer.js)
+const BLOOM_SMOOTHING = 0.20;
+const BLOOM_RADIUS = 0.50;
+const BLOOM_LEVELS = 8;
+const CA_MODULATION_OFFSET = 0.15;
+const VIGNETTE_OFFSET = 0.5;
+
+/* ---------------------------
+ * Sampling helpers
+ * ---------------------------
+ */
+
+/** Bilinear sample of an RGB buffer at continuous pixel coordinates (clamped). */
+function sampleRgb(buf, width, height, x, y, out) {
+    const fx = Math.min(Math.max(x - 0.5, 0), width - 1);
+    const fy = Math.min(Math.max(y - 0.5, 0), height - 1);
+    const x0 = Math.floor(fx), y0 = Math.floor(fy);
+    const x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1);
+    const tx = fx - x0, ty = fy - y0;
+    for (let k = 0; k < 3; k++) {
+        const top = buf[(y0 * width + x0) * 3 + k] * (1 - tx) + buf[(y0 * width + x1) * 3 + k] * tx;
+        const bottom = buf[(y1 * width + x0) * 3 + k] * (1 - tx) + buf[(y1 * width + x1) * 3 + k] * tx;
+        out[k] = top * (1 - ty) + bottom * ty;
+    }
+}
+
+/* ---------------------------
+ * Depth of field (dof.js)
+ * ---------------------------
+ */
+
+// Golden-angle disc, as postprocessing's BokehMaterial kernel64
+const BOKEH_KERNEL = (() => {
+    const points = [];
+    for (let i = 0; i < 80; i++) {
+        if (i % 5 === 0) continue;
+        const theta = i * 2.39996323;
+        const r = Math.sqrt(i) / Math.sqrt(80);
+        points.push(r * Math.cos(theta), r * Math.sin(theta));
+    }
+    return points;
+})();
+
+/**
+ * Blur the HDR frame by each pixel's circle of confusion.
+ * @param {Float32Array} color - frame, modified in place
+ * @param {Float32Array} distance - focus-layer distance from the camera per pixel (Infinity = none)
+ * @param {number} width
+ * @param {number} height
+ * @param {{ focusDistance: number, focusRange: number, bokehScale: number, far: number }} dof
+ */
+export function applyDepthOfField(color, distance, width, height, { focusDistance, focusRange, bokehScale, far }) {
+    const src = color.slice();
+    const sample = [0, 0, 0];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const d = Math.min(distance[i], far);
+            // Radius in full-resolution pixels: the effect's kernel runs at half resolution
+            const radius = 2 * bokehScale * smoothstep(0, focusRange, Math.abs(d - focusDistance));
+            if (radius < 0.5) continue;
+            let r = 0, g = 0, b = 0;
+            for (let k = 0; k < BOKEH_KERNEL.length; k += 2) {
+                sampleRgb(src, width, height, x + 0.5 + BOKEH_KERNEL[k] * radius, y + 0.5 + BOKEH_KERNEL[k + 1] * radius, sample);
+                r += sample[0];
+                g += sample[1];
+                b += sample[2];
+            }
+            const n = BOKEH_KERNEL.length / 2;
+            color[i * 3] = r / n;
+            color[i * 3 + 1] = g / n;
+            color[i * 3 + 2] = b / n;
+        }
+    }
+}
+
+/* ---------------------------
+ * Tone mapping (tone-map.frag.glsl)
+ * ---------------------------
+ */
+
+const saturate = (v) => Math.min(Math.max(v, 0), 1);
+
+// Column-major 3×3 products, as GLSL mat3(col0, col1, col2) * v
+function mat3Mul(m, v) {
+    const [x, y, z] = v;
+    v[0] = m[0] * x + m[3] * y + m[6] * z;
+    v[1] = m[1] * x + m[4] * y + m[7] * z;
+    v[2] = m[2] * x + m[5] * y + m[8] * z;
+}
+
+const ACES_INPUT = [0.59719, 0.07600, 0.02840, 0.35458, 0.90834, 0.13383, 0.04823, 0.01566, 0.83777];
+const ACES_OUTPUT = [1.60475, -0.10208, -0.00327, -0.53108, 1.10813, -0.07276, -0.07367, -0.00605, 1.07602];
+const REC2020_TO_SRGB = [1.6605, -0.1246, -0.0182, -0.5876, 1.1329, -0.1006, -0.0728, -0.0083, 1.1187];
+const SRGB_TO_REC2020 = [0.6274, 0.0691, 0.0164, 0.3293, 0.9195, 0.0880, 0.0433, 0.0113, 0.8956];
+const AGX_INSET = [0.856627153315983, 0.137318972929847, 0.11189821299995,
+    0.0951212405381588, 0.761241990602591, 0.0767994186031903,
+    0.0482516061458583, 0.101439036467562, 0.811302368396859];
+const AGX_OUTSET = [1.1271005818144368, -0.1413297634984383, -0.14132976349843826,
+    -0.11060664309660323, 1.157823702216272, -0.11060664309660294,
+    -0.016493938717834573, -0.016493938717834257, 1.2519364065950405];
+const AGX_MIN_EV = -12.47393, AGX_MAX_EV = 4.026069;
+
+const TONE_CURVES = {
+    reinhard(c) {
+        for (let k = 0; k < 3; k++) c[k] = saturate(c[k] / (1 + c[k]));
+    },
+    aces(c) {
+        for (let k = 0; k < 3; k++) c[k] /= 0.6;
+        mat3Mul(ACES_INPUT, c);
+        for (let k = 0; k < 3; k++) {
+            const v = c[k];
+            c[k] = (v * (v + 0.0245786) - 0.000090537) / (v * (0.983729 * v + 0.4329510) + 0.238081);
+        }
+        mat3Mul(ACES_OUTPUT, c);
+        for (let k = 0; k < 3; k++) c[k] = saturate(c[k]);
+    },
+    agx(c) {
+        mat3Mul(SRGB_TO_REC2020, c);
+        mat3Mul(AGX_INSET, c);
+        for (let k = 0; k < 3; k++) {
+            const x = saturate((Math.log2(Math.max(c[k], 1e-10)) - AGX_MIN_EV) / (AGX_MAX_EV - AGX_MIN_EV));
+            const x2 = x * x, x4 = x2 * x2;
+            c[k] = 15.5 * x4 * x2 - 40.14 * x4 * x + 31.96 * x4 - 6.868 * x2 * x + 0.4298 * x2 + 0.1191 * x - 0.00232;
+        }
+        mat3Mul(AGX_OUTSET, c);
+        for (let k = 0; k < 3; k++) c[k] = Math.pow(Math.max(c[k], 0), 2.2);
+        mat3Mul(REC2020_TO_SRGB, c);
+        for (let k = 0; k < 3; k++) c[k] = saturate(c[k]);
+    },
+    neutral(c) {
+        const start = 0.8 - 0.04, desaturation = 0.15;
+        const x = Math.min(c[0], c[1], c[2]);
+        const offset = x < 0.08 ? x - 6.25 * x * x : 0.04;
+        for (let k = 0; k < 3; k++) c[k] -= offset;
+        const peak = Math.max(c[0], c[1], c[2]);
+        if (peak < start) return;
+        const d = 1 - start;
+        const newPeak = 1 - d * d / (peak + d - start);
+        const g = 1 - 1 / (desaturation * (peak - newPeak) + 1);
+        for (let k = 0; k < 3; k++) c[k] = c[k] * newPeak / peak * (1 - g) + newPeak * g;
+    },
+};
+
+/**
+ * Bring the HDR frame into display range (params.tone).
+ * @param {Float32Array} color - frame, modified in place
+ * @param {{ mapper: string, exposure: number, whitePoint: number }} tone
+ */
+export function applyToneMap(color, { mapper, exposure, whitePoint }) {
+    if (!TONE_MAPPERS.includes(mapper)) throw new Error(`unknown tone mapper "${mapper}"`);
+    const curve = TONE_CURVES[mapper];
+    const white = [whitePoint, whitePoint, whitePoint];
+    if (curve) curve(white);
+    const c = [0, 0, 0];
+    for (let i = 0; i < color.length; i += 3) {
+        for (let k = 0; k < 3; k++) c[k] = Math.max(color[i + k], 0) * exposure;
+        if (curve) {
+            curve(c);
+            for (let k = 0; k < 3; k++) c[k] = saturate(c[k] / white[k]);
+        } else {
+            for (let k = 0; k < 3; k++) c[k] = Math.min(c[k], 1);
+        }
+        color[i] = c[0];
+        color[i + 1] = c[1];
+        color[i + 2] = c[2];
+    }
+}
+
+/* ---------------------------
+ * Bloom, aberration, vignette (tile-post.frag.glsl)
+ * ---------------------------
+ */
+
+/** Halve an RGB buffer with a 2×2 box filter. */
+function downsample({ data, width, height }) {
+    const w = Math.max(1, width >> 1), h = Math.max(1, height >> 1);
+    const out = new Float32Array(w * h * 3);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            for (let k = 0; k < 3; k++) {
+                let sum = 0;
+                for (let j = 0; j < 2; j++) {
+                    for (let i = 0; i < 2; i++) {
+                        const sx = Math.min(x * 2 + i, width - 1), sy = Math.min(y * 2 + j, height - 1);
+                        sum += data[(sy * width + sx) * 3 + k];
+                    }
+                }
+                out[(y * w + x) * 3 + k] = sum / 4;
+            }
+        }
+    }
+    return { data: out, width: w, height: h };
+}
+
+/**
+ * Bloom map at half resolution: the luminance-thresholded frame blurred
+ * through a mip pyramid, each level mixed with the upsampled level below
+ * by the bloom radius (as postprocessing's MipmapBlurPass).
+ */
+function bloomMap(color, width, height, threshold) {
+    const bright = new Float32Array(color.length);
+    for (let i = 0; i < color.length; i += 3) {
+        const luma = color[i] * LUMA_R + color[i + 1] * LUMA_G + color[i + 2] * LUMA_B;
+        const w = smoothstep(threshold, threshold + BLOOM_SMOOTHING, luma);
+        bright[i] = color[i] * w;
+        bright[i + 1] = color[i + 1] * w;
+        bright[i + 2] = color[i + 2] * w;
+    }
+    const levels = [downsample({ data: bright, width, height })];
+    while (levels.length < BLOOM_LEVELS && levels.at(-1).width > 1 && levels.at(-1).height > 1) {
+        levels.push(downsample(levels.at(-1)));
+    }
+    const sample = [0, 0, 0];
+    for (let l = levels.length - 2; l >= 0; l--) {
+        const lower = levels[l + 1], level = levels[l];
+        const sx = lower.width / level.width, sy = lower.height / level.height;
+        for (let y = 0; y < level.height; y++) {
+            for (let x = 0; x < level.width; x++) {
+                sampleRgb(lower.data, lower.width, lower.height, (x + 0.5) * sx, (y + 0.5) * sy, sample);
+                const i = (y * level.width + x) * 3;
+                for (let k = 0; k < 3; k++) level.data[i + k] += (sample[k] - level.data[i + k]) * BLOOM_RADIUS;
+            }
+        }
+    }
+    return levels[0];
+}
+
+/**
+ * Bloom (screen-blended), radial chromatic aberration and vignette.
+ * @param {Float32Array} color - display-range frame, modified in place
+ * @param {number} width
+ * @param {number} height
+ * @param {object} params - bloomStrength, bloomThreshold, chromaticAberration, vignetteStrength
+ */
+export function applyLensEffects(color, width, height, params) {
+    const input = color.slice();
+    const bloom = params.bloomStrength > 0 ? bloomMap(input, width, height, params.bloomThreshold) : null;
+    const aspect = width / height;
+    const ca = params.chromaticAberration;
+    const darkness = params.vignetteStrength;
+    const sample = [0, 0, 0];
+
+    for (let y = 0; y < height; y++) {
+        // uv origin is bottom-left, as in the shader
+        const v = 1 - (y + 0.5) / height;
+        for (let x = 0; x < width; x++) {
+            const u = (x + 0.5) / width;
+            const i = (y * width + x) * 3;
+            let r = input[i], g = input[i + 1], b = input[i + 2];
+
+            if (bloom) {
+                sampleRgb(bloom.data, bloom.width, bloom.height, u * bloom.width, (1 - v) * bloom.height, sample);
+                const br = sample[0] * params.bloomStrength, bg = sample[1] * params.bloomStrength, bb = sample[2] * params.bloomStrength;
+                r = r + br - Math.min(r * br, 1);
+                g = g + bg - Math.min(g * bg, 1);
+                b = b + bb - Math.min(b * bb, 1);
+            }
+
+            const centre = Math.hypot(u - 0.5, v - 0.5);
+            const d = Math.max(centre * 2 - CA_MODULATION_OFFSET, 0);
+            if (d > 0 && ca !== 0) {
+                const shiftX = ca * d, shiftY = ca * aspect * d;
+                sampleRgb(input, width, height, (u + shiftX) * width, (1 - (v + shiftY)) * height, sample);
+                r = sample[0];
+                sampleRgb(input, width, height, (u - shiftX) * width, (1 - (v - shiftY)) * height, sample);
+                b = sample[2];
+            }
+
+            const vignette = smoothstep(0.8, VIGNETTE_OFFSET * 0.799, centre * (darkness + VIGNETTE_OFFSET));
+            color[i] = r * vignette;
+            color[i + 1] = g * vignette;
+            color[i + 2] = b * vignette;
+        }
+    }
+}
+
+/* ---------------------------
+ * Output (dither.frag.glsl)
+ * ---------------------------
+ */
+
+let blueNoise = null;
+
+const srgbOetf = (c) => (c <= 0.0031308 ? c * 12.92 : Math.pow(c, 0.41666) * 1.055 - 0.055);
+
+/**
+ * Encode the display-range frame as 8-bit sRGB RGBA, with ±½ step of
+ * blue-noise dither when `dither` is on.
+ * @param {Float32Array} color
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} dither
+ * @returns {Uint8ClampedArray}
+ */
+export function encodeOutput(color, width, height, dither) {
+    blueNoise ??= generateBlueNoise(BLUE_NOISE_SIZE);
+    const out = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        // gl_FragCoord runs bottom-up
+        const row = ((height - 1 - y) % BLUE_NOISE_SIZE) * BLUE_NOISE_SIZE;
+        for (let x = 0; x < width; x++) {
+            const noise = dither ? blueNoise[row + (x % BLUE_NOISE_SIZE)] / 255 - 0.5 : 0;
+            const i = y * width + x;
+            for (let k = 0; k < 3; k++) {
+                const srgb = srgbOetf(saturate(color[i * 3 + k]));
+                out[i * 4 + k] = Math.round(saturate(srgb + noise / 255) * 255);
+            }
+            out[i * 4 + 3] = 255;
+        }
+    }
+    return out;
+}
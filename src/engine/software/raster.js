@@ -0,0 +1,152 @@
+/**
+ * Rasterisation primitives for the software renderer: perspective-correct
+ * triangles, anti-aliased lines, discs and radial sprites, sampled at
+ * pixel centres. Screen space has its origin at the top-left corner, y
+ * down; callers blend into their own buffers from the visit callbacks.
+ */
+
+/**
+ * Projects world points through a posed camera.
+ * project(x, y, z, out) writes [screenX, screenY, viewDepth] and returns
+ * false for points at or behind the near plane.
+ * @param {import('three').PerspectiveCamera} camera - posed, matrices up to date
+ * @param {number} width - frame width in pixels
+ * @param {number} height
+ */
+export function createProjector(camera, width, height) {
+    const v = camera.matrixWorldInverse.elements;
+    const p = camera.projectionMatrix.elements;
+    const near = camera.near;
+
+    function project(x, y, z, out) {
+        const vx = v[0] * x + v[4] * y + v[8] * z + v[12];
+        const vy = v[1] * x + v[5] * y + v[9] * z + v[13];
+        const vz = v[2] * x + v[6] * y + v[10] * z + v[14];
+        const depth = -vz;
+        if (depth <= near) return false;
+        const cx = p[0] * vx + p[4] * vy + p[8] * vz + p[12] * 1;
+        const cy = p[1] * vx + p[5] * vy + p[9] * vz + p[13] * 1;
+        const cw = p[3] * vx + p[7] * vy + p[11] * vz + p[15] * 1;
+        out[0] = (cx / cw * 0.5 + 0.5) * width;
+        out[1] = (0.5 - cy / cw * 0.5) * height;
+        out[2] = depth;
+        return true;
+    }
+
+    /** Pixels per world unit at view depth 1. */
+    const focalPixels = p[5] * height / 2;
+
+    return { project, focalPixels };
+}
+
+/**
+ * Visit the pixels whose centres a triangle covers (either winding).
+ * visit(index, b0, b1, b2) gets the pixel index (y * width + x) and
+ * perspective-correct barycentrics for vertices 0, 1 and 2.
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} a - [screenX, screenY, viewDepth] of vertex 0
+ * @param {number[]} b - vertex 1
+ * @param {number[]} c - vertex 2
+ * @param {Function} visit
+ */
+export function rasterTriangle(width, height, a, b, c, visit) {
+    const [ax, ay, aw] = a, [bx, by, bw] = b, [cx, cy, cw] = c;
+    const area = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+    if (area === 0 || !Number.isFinite(area)) return;
+
+    const x0 = Math.max(0, Math.floor(Math.min(ax, bx, cx))), x1 = Math.min(width - 1, Math.ceil(Math.max(ax, bx, cx)));
+    const y0 = Math.max(0, Math.floor(Math.min(ay, by, cy))), y1 = Math.min(height - 1, Math.ceil(Math.max(ay, by, cy)));
+    if (x0 > x1 || y0 > y1) return;
+
+    const inv = 1 / area;
+    const ia = 1 / aw, ib = 1 / bw, ic = 1 / cw;
+    for (let y = y0; y <= y1; y++) {
+        const py = y + 0.5;
+        for (let x = x0; x <= x1; x++) {
+            const px = x + 0.5;
+            // Screen-space barycentrics; the sign of area covers both windings
+            const l0 = ((bx - px) * (cy - py) - (by - py) * (cx - px)) * inv;
+            const l1 = ((cx - px) * (ay - py) - (cy - py) * (ax - px)) * inv;
+            const l2 = 1 - l0 - l1;
+            if (l0 < 0 || l1 < 0 || l2 < 0) continue;
+            // Perspective correction
+            const w0 = l0 * ia, w1 = l1 * ib, w2 = l2 * ic;
+            const s = 1 / (w0 + w1 + w2);
+            visit(y * width + x, w0 * s, w1 * s, w2 * s);
+        }
+    }
+}
+
+/**
+ * Visit the pixels of a one-pixel-wide anti-aliased line (Xiaolin Wu).
+ * visit(index, t, coverage) gets the pixel index, the perspective-correct
+ * position t along the segment (0 at a, 1 at b) and the pixel's coverage.
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} a - [screenX, screenY, viewDepth]
+ * @param {number[]} b
+ * @param {Function} visit
+ */
+export function rasterLine(width, height, a, b, visit) {
+    let [x0, y0] = a, [x1, y1] = b;
+    const steep = Math.abs(y1 - y0) > Math.abs(x1 - x0);
+    let wa = 1 / a[2], wb = 1 / b[2];
+    let flipped = false;
+    if (steep) [x0, y0, x1, y1] = [y0, x0, y1, x1];
+    if (x0 > x1) {
+        [x0, x1, y0, y1] = [x1, x0, y1, y0];
+        [wa, wb] = [wb, wa];
+        flipped = true;
+    }
+    const dx = x1 - x0;
+    if (dx === 0 && y1 === y0) return;
+    const gradient = dx === 0 ? 0 : (y1 - y0) / dx;
+
+    function plot(major, minor, coverage, s) {
+        const x = steep ? minor : major, y = steep ? major : minor;
+        if (coverage <= 0 || x < 0 || y < 0 || x >= width || y >= height) return;
+        // Screen position s along the line → perspective-correct t
+        const t = (s * wb) / ((1 - s) * wa + s * wb);
+        visit(y * width + x, flipped ? 1 - t : t, coverage);
+    }
+
+    // Pixel centres sit at +0.5; walk the major axis between the end points
+    const start = Math.max(Math.round(x0), 0);
+    const end = Math.min(Math.round(x1), steep ? height : width);
+    for (let major = start; major < end; major++) {
+        const centre = major + 0.5;
+        const s = dx === 0 ? 0 : Math.min(Math.max((centre - x0) / dx, 0), 1);
+        const minor = y0 + (centre - x0) * gradient - 0.5;
+        const base = Math.floor(minor);
+        const frac = minor - base;
+        plot(major, base, 1 - frac, s);
+        plot(major, base + 1, frac, s);
+    }
+}
+
+/**
+ * Visit the pixels of a disc with an anti-aliased rim.
+ * visit(index, coverage, r) gets the pixel index, its coverage and its
+ * distance from the centre in radii (0–1).
+ * @param {number} width
+ * @param {number} height
+ * @param {number} cx - centre, screen pixels
+ * @param {number} cy
+ * @param {number} radius - in pixels
+ * @param {Function} visit
+ */
+export function rasterDisc(width, height, cx, cy, radius, visit) {
+    const reach = radius + 0.5;
+    const x0 = Math.max(0, Math.floor(cx - reach)), x1 = Math.min(width - 1, Math.ceil(cx + reach));
+    const y0 = Math.max(0, Math.floor(cy - reach)), y1 = Math.min(height - 1, Math.ceil(cy + reach));
+    for (let y = y0; y <= y1; y++) {
+        const dy = y + 0.5 - cy;
+        for (let x = x0; x <= x1; x++) {
+            const dx = x + 0.5 - cx;
+            const d = Math.sqrt(dx * dx + dy * dy);
+            const coverage = Math.min(Math.max(reach - d, 0), 1);
+            if (coverage > 0) visit(y * width + x, coverage, radius > 0 ? d / radius : 0);
+        }
+    }
+}
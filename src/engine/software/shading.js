@@ -0,0 +1,301 @@
+/**
+ * Fragment shading for the software renderer — JavaScript ports of the
+ * demo shaders (demo-face.frag.glsl, demo-fog.glsl, the edge material in
+ * materials.js and the background quad in create-renderer.js). Each port
+ * follows its GLSL source line for line so the two stay easy to compare;
+ * keep them in step when either changes.
+ *
+ * Shaders are built per frame from params and the posed camera, and write
+ * into a caller-owned `out` array instead of returning vectors, so the
+ * inner loops never allocate.
+ */
+
+const LUMA_R = 0.2126, LUMA_G = 0.7152, LUMA_B = 0.0722;
+const MAX_LIGHTS = 10;
+
+const fract = (x) => x - Math.floor(x);
+const mix = (a, b, t) => a + (b - a) * t;
+
+/** GLSL smoothstep, including reversed edges (edge0 > edge1). */
+export function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+/* ---------------------------
+ * Procedural patterns (demo-face.frag.glsl)
+ * ---------------------------
+ */
+
+function hash(x, y, z) {
+    x = fract(x * 443.8975);
+    y = fract(y * 397.2973);
+    z = fract(z * 491.1871);
+    const d = x * (y + 19.19) + y * (x + 19.19) + z * (z + 19.19);
+    return fract((x + d + y + d) * (z + d));
+}
+
+function noise3D(px, py, pz) {
+    const ix = Math.floor(px), iy = Math.floor(py), iz = Math.floor(pz);
+    let fx = px - ix, fy = py - iy, fz = pz - iz;
+    fx = fx * fx * (3 - 2 * fx);
+    fy = fy * fy * (3 - 2 * fy);
+    fz = fz * fz * (3 - 2 * fz);
+    return mix(
+        mix(mix(hash(ix, iy, iz), hash(ix + 1, iy, iz), fx),
+            mix(hash(ix, iy + 1, iz), hash(ix + 1, iy + 1, iz), fx), fy),
+        mix(mix(hash(ix, iy, iz + 1), hash(ix + 1, iy, iz + 1), fx),
+            mix(hash(ix, iy + 1, iz + 1), hash(ix + 1, iy + 1, iz + 1), fx), fy),
+        fz,
+    );
+}
+
+function voronoiEdge(px, py) {
+    const nx = Math.floor(px), ny = Math.floor(py);
+    const fx = px - nx, fy = py - ny;
+    let md1 = 8, md2 = 8;
+    for (let j = -1; j <= 1; j++) {
+        for (let i = -1; i <= 1; i++) {
+            const rx = i + hash(nx + i, ny + j, 0) - fx;
+            const ry = j + hash(nx + i, ny + j, 1) - fy;
+            const d = Math.sqrt(rx * rx + ry * ry);
+            if (d < md1) {
+                md2 = md1;
+                md1 = d;
+            } else if (d < md2) {
+                md2 = d;
+            }
+        }
+    }
+    return md2 - md1;
+}
+
+function nebulaCracks(u, v) {
+    const line1 = 1 - smoothstep(0, 0.04, voronoiEdge(u * 2.5 + 3.7, v * 2.5 + 3.7));
+    const line2 = 1 - smoothstep(0, 0.03, voronoiEdge(u * 5.5 + 11.3, v * 5.5 + 11.3));
+    const line3 = 1 - smoothstep(0, 0.025, voronoiEdge(u * 11.0 + 27.1, v * 11.0 + 27.1));
+    return line1 * 0.4 + line2 * 0.25 + line3 * 0.1;
+}
+
+function nebulaDust(u, v) {
+    return noise3D(u * 3.0, v * 3.0, 0) * 0.5
+        + noise3D(u * 6.5, v * 6.5, 3) * 0.3
+        + noise3D(u * 14.0, v * 14.0, 7) * 0.2;
+}
+
+function starSparkle(u, v, scale) {
+    u *= scale;
+    v *= scale;
+    const cx = Math.floor(u), cy = Math.floor(v);
+    const fx = u - cx, fy = v - cy;
+    let sparkle = 0;
+    for (let j = -1; j <= 1; j++) {
+        for (let i = -1; i <= 1; i++) {
+            const brightness = hash(cx + i, cy + j, 30);
+            if (brightness > 0.75) {
+                const dx = fx - i - hash(cx + i, cy + j, 10);
+                const dy = fy - j - hash(cx + i, cy + j, 20);
+                sparkle += smoothstep(0.07, 0, Math.sqrt(dx * dx + dy * dy)) * (brightness - 0.75) * 4;
+            }
+        }
+    }
+    return sparkle;
+}
+
+/* ---------------------------
+ * Depth fog (demo-fog.glsl)
+ * ---------------------------
+ */
+
+function createFog(fogColor, fogDensity, cameraPos) {
+    const [fr, fg, fb] = fogColor;
+    const fogLuma = Math.max(fr * LUMA_R + fg * LUMA_G + fb * LUMA_B, 1e-5);
+    const hueR = mix(1, fr / fogLuma, 0.5), hueG = mix(1, fg / fogLuma, 0.5), hueB = mix(1, fb / fogLuma, 0.5);
+    const camLen = Math.hypot(cameraPos.x, cameraPos.y, cameraPos.z);
+
+    /** demoFogAmount() */
+    function amount(x, y, z) {
+        const behind = Math.hypot(cameraPos.x - x, cameraPos.y - y, cameraPos.z - z) - camLen;
+        return Math.min(Math.max(1 - Math.exp(-fogDensity * Math.max(behind, 0)), 0), 0.85);
+    }
+
+    /** demoFogTint(), in place on out[0..2] */
+    function tint(out, fog) {
+        const luma = out[0] * LUMA_R + out[1] * LUMA_G + out[2] * LUMA_B;
+        const keep = 1 - fog * 0.5;
+        out[0] = mix(out[0], hueR * luma, fog) * keep;
+        out[1] = mix(out[1], hueG * luma, fog) * keep;
+        out[2] = mix(out[2], hueB * luma, fog) * keep;
+    }
+
+    return { amount, tint };
+}
+
+/* ---------------------------
+ * Materials
+ * ---------------------------
+ */
+
+/**
+ * Face shader for one chain accumulator (createDemoFaceMaterial()).
+ * shade(tri, b0, b1, b2, out) takes perspective-correct barycentrics of
+ * the fragment in triangle `tri` and writes [r, g, b, alpha, distance] —
+ * colour and alpha as the additive blend and the OIT passes read them, and
+ * the fragment's distance from the camera.
+ * @param {object} faceAccum - chain accumulator faces (folding-chains.js)
+ * @param {object} lightUniforms - dots.lightUniforms
+ * @param {object} params - derived parameters
+ * @param {{ x: number, y: number, z: number }} cameraPos
+ */
+export function createFaceShader(faceAccum, lightUniforms, params, cameraPos) {
+    const { pos, norm, uv, alpha, color, opacity, noiseScale, noiseStrength, crackExtend } = faceAccum;
+    const lightCount = Math.min(lightUniforms.uLightCount.value, MAX_LIGHTS);
+    const lights = lightUniforms.uLightPositions.value.slice(0, lightCount);
+    const intensities = lightUniforms.uLightIntensities.value.slice(0, lightCount);
+    const { frontLightFactor, backLightFactor, illuminationCap, ambientLight: ambient, edgeFadeThreshold } = params;
+    const fog = createFog(params.fogColor, params.fogDensity, cameraPos);
+
+    // Per-vertex attribute at the fragment
+    const lerp3 = (arr, stride, k, v0, b0, b1, b2) =>
+        arr[(v0) * stride + k] * b0 + arr[(v0 + 1) * stride + k] * b1 + arr[(v0 + 2) * stride + k] * b2;
+
+    return function shade(tri, b0, b1, b2, out) {
+        const v0 = tri * 3;
+        const wx = lerp3(pos, 3, 0, v0, b0, b1, b2);
+        const wy = lerp3(pos, 3, 1, v0, b0, b1, b2);
+        const wz = lerp3(pos, 3, 2, v0, b0, b1, b2);
+        const nx = lerp3(norm, 3, 0, v0, b0, b1, b2);
+        const ny = lerp3(norm, 3, 1, v0, b0, b1, b2);
+        const nz = lerp3(norm, 3, 2, v0, b0, b1, b2);
+        const u = lerp3(uv, 2, 0, v0, b0, b1, b2);
+        const v = lerp3(uv, 2, 1, v0, b0, b1, b2);
+        const fAlpha = lerp3(alpha, 1, 0, v0, b0, b1, b2);
+        const baseOpacity = lerp3(opacity, 1, 0, v0, b0, b1, b2);
+        const nScale = lerp3(noiseScale, 1, 0, v0, b0, b1, b2);
+        const nStrength = lerp3(noiseStrength, 1, 0, v0, b0, b1, b2);
+        const extend = lerp3(crackExtend, 1, 0, v0, b0, b1, b2);
+
+        const n = noise3D(wx * nScale, wy * nScale, wz * nScale);
+        const n2 = noise3D(wx * nScale * 2.7 + 31.7, wy * nScale * 2.7 + 31.7, wz * nScale * 2.7 + 31.7);
+        const noiseMix = n * 0.7 + n2 * 0.3;
+
+        const mod = 1 + (noiseMix - 0.5) * nStrength;
+        const mr = lerp3(color, 3, 0, v0, b0, b1, b2) * mod;
+        const mg = lerp3(color, 3, 1, v0, b0, b1, b2) * mod;
+        const mb = lerp3(color, 3, 2, v0, b0, b1, b2) * mod;
+
+        let illumination = 0;
+        for (let i = 0; i < lightCount; i++) {
+            const tx = lights[i].x - wx, ty = lights[i].y - wy, tz = lights[i].z - wz;
+            const d2 = tx * tx + ty * ty + tz * tz;
+            const inv = 1 / Math.sqrt(d2);
+            const attenuation = intensities[i] / (1 + d2 * 3);
+            const NdotL = (nx * tx + ny * ty + nz * tz) * inv;
+            illumination += (Math.max(NdotL, 0) * frontLightFactor + Math.max(-NdotL, 0) * backLightFactor) * attenuation;
+        }
+        illumination = Math.min(illumination, illuminationCap);
+        const light = ambient + illumination;
+
+        const baseFade = extend;
+        const crackFade = Math.pow(extend, 0.3);
+
+        let r = mr * light * baseFade, g = mg * light * baseFade, b = mb * light * baseFade;
+        let finalAlpha = baseOpacity * fAlpha * light * (1 + (noiseMix - 0.5) * nStrength * 0.5) * baseFade;
+
+        const pu = u * 2 - 1, pv = v * 2 - 1;
+
+        const cracks = nebulaCracks(pu, pv) * 0.6;
+        const crackGlow = cracks * light * 0.7 * crackFade;
+        r += mr * crackGlow * 0.8 + crackGlow * 0.2;
+        g += mg * crackGlow * 0.8 + crackGlow * 0.2;
+        b += mb * crackGlow * 0.8 + crackGlow * 0.2;
+
+        const dust = nebulaDust(pu, pv) * 0.6 * baseFade;
+        const dustGlow = dust * light * 0.1;
+        r += mr * dustGlow;
+        g += mg * dustGlow;
+        b += mb * dustGlow;
+
+        const sparkles = (starSparkle(pu, pv, 7) + starSparkle(pu, pv, 13) * 0.5) * 0.6 * baseFade;
+        const sparkleGlow = sparkles * light * 0.25;
+        r += sparkleGlow * 0.5 + mr * sparkleGlow * 0.5;
+        g += sparkleGlow * 0.5 + mg * sparkleGlow * 0.5;
+        b += sparkleGlow * 0.5 + mb * sparkleGlow * 0.5;
+
+        finalAlpha += cracks * 0.06 * crackFade + dust * 0.015 + sparkles * 0.045;
+
+        // Fade planes that are edge-on to the viewer
+        const vx = cameraPos.x - wx, vy = cameraPos.y - wy, vz = cameraPos.z - wz;
+        const facing = Math.abs(nx * vx + ny * vy + nz * vz)
+            / (Math.hypot(nx, ny, nz) * Math.hypot(vx, vy, vz) || 1);
+        const edgeFade = smoothstep(0, edgeFadeThreshold, facing);
+        finalAlpha *= edgeFade;
+
+        out[0] = r * edgeFade;
+        out[1] = g * edgeFade;
+        out[2] = b * edgeFade;
+        fog.tint(out, fog.amount(wx, wy, wz));
+        out[3] = finalAlpha;
+        out[4] = Math.hypot(vx, vy, vz);
+    };
+}
+
+/**
+ * Edge line shader for one chain accumulator (createDemoEdgeMaterial()).
+ * shade(seg, t, out) takes the perspective-correct position t along
+ * segment `seg` and writes [r, g, b, alpha].
+ * @param {object} edgeAccum - chain accumulator edges (folding-chains.js)
+ * @param {object} params - derived parameters
+ * @param {{ x: number, y: number, z: number }} cameraPos
+ */
+export function createEdgeShader(edgeAccum, params, cameraPos) {
+    const { pos, alpha, color, opacity } = edgeAccum;
+    const [er, eg, eb] = params.edgeColor;
+    const tintLuma = Math.max(er * LUMA_R + eg * LUMA_G + eb * LUMA_B, 1e-5);
+    const tr = er / tintLuma, tg = eg / tintLuma, tb = eb / tintLuma;
+    const strength = params.edgeTintStrength;
+    const fog = createFog(params.fogColor, params.fogDensity, cameraPos);
+
+    return function shade(seg, t, out) {
+        const a = seg * 2, b = a + 1;
+        const at = (arr, stride, k) => arr[a * stride + k] * (1 - t) + arr[b * stride + k] * t;
+        const r = at(color, 3, 0), g = at(color, 3, 1), bl = at(color, 3, 2);
+        const luma = r * LUMA_R + g * LUMA_G + bl * LUMA_B;
+        out[0] = mix(r, tr * luma, strength);
+        out[1] = mix(g, tg * luma, strength);
+        out[2] = mix(bl, tb * luma, strength);
+        fog.tint(out, fog.amount(at(pos, 3, 0), at(pos, 3, 1), at(pos, 3, 2)));
+        out[3] = at(opacity, 1, 0) * at(alpha, 1, 0);
+    };
+}
+
+/**
+ * Background gradient (createBackgroundQuad()): inner colour at the centre
+ * of the frame, outer at the corners' circle.
+ * @param {number} u - frame uv, 0–1
+ * @param {number} v
+ * @param {number[]} inner - params.bgInnerColor
+ * @param {number[]} outer - params.bgOuterColor
+ * @param {Float32Array|number[]} out - receives [r, g, b]
+ */
+export function shadeBackground(u, v, inner, outer, out) {
+    const d = Math.hypot(u - 0.5, v - 0.5) * 2;
+    const t = d * d;
+    out[0] = mix(inner[0], outer[0], t);
+    out[1] = mix(inner[1], outer[1], t);
+    out[2] = mix(inner[2], outer[2], t);
+}
+
+/**
+ * Glow halo opacity at radius r (0 centre, 1 rim) — the radial gradient
+ * createGlowTexture() paints, which the glow material adds as white.
+ * @param {number} r
+ * @returns {number}
+ */
+export function glowAlpha(r) {
+    if (r >= 1) return 0;
+    if (r < 0.1) return mix(0.4, 0.25, r / 0.1);
+    if (r < 0.3) return mix(0.25, 0.10, (r - 0.1) / 0.2);
+    if (r < 0.6) return mix(0.10, 0.03, (r - 0.3) / 0.3);
+    return mix(0.03, 0, (r - 0.6) / 0.4);
+}
@@ -0,0 +1,45 @@
+/**
+ * Postprocessing for tiled high-resolution export.
+ *
+ * The preview chain (bloom, chromatic aberration, vignette) works in the
+ * uv space of whatever it renders, so running it per tile would restart
+ * the vignette and aberration in every tile and blur bloom only within
+ * tile borders. This effect folds the three into one pass evaluated in
+ * full-image coordinates, sampling a bloom map rendered once for the
+ * whole frame. Tiles are rendered with a gutter wide enough for the
+ * aberration offsets, then cropped.
+ */
+
+import * as THREE from 'three';
+import { Effect, EffectAttribute } from 'postprocessing';
+import tilePostFragSrc from './shaders/tile-post.frag.glsl?raw';
+
+/**
+ * @returns {Effect} effect whose uniforms are set per frame/tile by the renderer
+ */
+export function createTileEffect() {
+    return new Effect('TileEffect', tilePostFragSrc, {
+        attributes: EffectAttribute.CONVOLUTION,
+        uniforms: new Map([
+            ['bloomMap', new THREE.Uniform(null)],
+            ['bloomIntensity', new THREE.Uniform(0)],
+            ['tileRect', new THREE.Uniform(new THREE.Vector4(0, 0, 1, 1))],
+            ['fullAspect', new THREE.Uniform(1)],
+            ['caOffset', new THREE.Uniform(new THREE.Vector2())],
+            ['caModulationOffset', new THREE.Uniform(0.15)],
+            ['vignetteOffset', new THREE.Uniform(0.5)],
+            ['vignetteDarkness', new THREE.Uniform(0.5)],
+        ]),
+    });
+}
+
+/**
+ * Gutter (in pixels) each tile needs so aberration fetches near its border
+ * stay inside the rendered area. The shift peaks at the image corners,
+ * where the radial modulation reaches √2 − 0.15.
+ * @param {number} chromaticAberration - params.chromaticAberration
+ * @param {number} width - full image width in pixels
+ */
+export function tileGutter(chromaticAberration, width) {
+    return Math.ceil(Math.abs(chromaticAberration) * 1.3 * width) + 2;
+}
@@ -0,0 +1,53 @@
+/**
+ * HDR output effects: tone mapping of the half-float frame and blue-noise
+ * dithering before it is quantized to 8 bits (settings: core/tone.js).
+ *
+ * The renderer runs the tone map in its own EffectPass ahead of bloom, so
+ * bloom keeps seeing display-range values, and appends the dither as the
+ * last effect of the final pass.
+ */
+
+import * as THREE from 'three';
+import { Effect } from 'postprocessing';
+import { TONE_MAPPERS } from '../core/tone.js';
+import { BLUE_NOISE_SIZE, blueNoiseTexture } from './blue-noise.js';
+import toneMapFragSrc from './shaders/tone-map.frag.glsl?raw';
+import ditherFragSrc from './shaders/dither.frag.glsl?raw';
+
+/** @returns {Effect} tone map effect; see applyTone() */
+export function createToneMapEffect() {
+    return new Effect('ToneMapEffect', toneMapFragSrc, {
+        uniforms: new Map([
+            ['mapper', new THREE.Uniform(0)],
+            ['exposure', new THREE.Uniform(1)],
+            ['whitePoint', new THREE.Uniform(4)],
+        ]),
+    });
+}
+
+/** @returns {Effect} dither effect; must be the last effect before the canvas */
+export function createDitherEffect() {
+    const effect = new Effect('DitherEffect', ditherFragSrc, {
+        uniforms: new Map([
+            ['blueNoise', new THREE.Uniform(blueNoiseTexture())],
+            ['noiseSize', new THREE.Uniform(BLUE_NOISE_SIZE)],
+            ['amount', new THREE.Uniform(1)],
+        ]),
+    });
+    effect.outputColorSpace = THREE.SRGBColorSpace;
+    return effect;
+}
+
+/**
+ * Apply tone settings to the effects.
+ * @param {Effect} toneMapEffect - from createToneMapEffect()
+ * @param {Effect} ditherEffect - from createDitherEffect()
+ * @param {{ mapper: string, exposure: number, whitePoint: number, dither: boolean }} tone - params.tone
+ */
+export function applyTone(toneMapEffect, ditherEffect, tone) {
+    const u = toneMapEffect.uniforms;
+    u.get('mapper').value = TONE_MAPPERS.indexOf(tone.mapper);
+    u.get('exposure').value = tone.exposure;
+    u.get('whitePoint').value = tone.whitePoint;
+    ditherEffect.uniforms.get('amount').value = tone.dither ? 1 : 0;
+}
@@ -8,6 +8,8 @@
  *   influence(position)        → number [0,1]
  */
 
+import * as THREE from 'three';
+import { mulberry32 } from '../../core/prng.js';
 import { createIcosahedral } from './icosahedral.js';
 import { createMobius } from './mobius.js';
 import { createFlowField } from './flow-field.js';
@@ -24,3 +26,65 @@ export function createTopology(mode, opts) {
     const builder = BUILDERS[mode] || BUILDERS['flow-field'];
     return builder(opts);
 }
+
+/** Flip `v` onto the hemisphere of `reference` (frames are sign-ambiguous). */
+function alignedTo(v, reference) {
+    return v.dot(reference) < 0 ? v.clone().negate() : v;
+}
+
+/**
+ * Cross-fade between two topologies for loop transitions.
+ *
+ * Each side is built from its own generator seeded with `seed`, exactly
+ * as createTopology() would be on its own, and keeps that generator for
+ * its sampling. At t=0 the blend therefore reproduces topology `from`
+ * point for point, and at t=1 topology `to` — no pop at either end of the
+ * transition. In between, points are lerped, influences mixed and frames
+ * slerped via their tangent/normal. The rng arguments of the topology
+ * interface are ignored.
+ *
+ * @param {{ from: string, to: string, t: number }} blend
+ * @param {{ seed: number, params: object }} opts
+ */
+export function createBlendedTopology({ from, to, t }, { seed, params }) {
+    const rngA = mulberry32(seed);
+    const a = createTopology(from, { rng: rngA, params });
+    const rngB = mulberry32(seed);
+    const b = createTopology(to, { rng: rngB, params });
+
+    return {
+        scaffoldPoints(count) {
+            const pa = a.scaffoldPoints(count, rngA);
+            const pb = b.scaffoldPoints(count, rngB);
+            const n = t < 0.5 ? pa.length : pb.length;
+            const out = [];
+            for (let i = 0; i < n; i++) {
+                if (pa[i] && pb[i]) out.push(pa[i].clone().lerp(pb[i], t));
+                else out.push((pa[i] || pb[i]).clone());
+            }
+            return out;
+        },
+
+        samplePoint() {
+            return a.samplePoint(rngA).lerp(b.samplePoint(rngB), t);
+        },
+
+        sampleFrame(position) {
+            const fa = a.sampleFrame(position);
+            const fb = b.sampleFrame(position);
+            const tangent = fa.tangent.clone().lerp(alignedTo(fb.tangent, fa.tangent), t);
+            if (tangent.lengthSq() < 1e-12) tangent.copy(t < 0.5 ? fa.tangent : fb.tangent);
+            tangent.normalize();
+            const normal = fa.normal.clone().lerp(alignedTo(fb.normal, fa.normal), t);
+            normal.addScaledVector(tangent, -normal.dot(tangent));
+            if (normal.lengthSq() < 1e-12) normal.copy(fa.normal).addScaledVector(tangent, -fa.normal.dot(tangent));
+            normal.normalize();
+            const binormal = new THREE.Vector3().crossVectors(tangent, normal).normalize();
+            return { tangent, normal, binormal };
+        },
+
+        influence(position) {
+            return a.influence(position) * (1 - t) + b.influence(position) * t;
+        },
+    };
+}
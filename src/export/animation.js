@@ -118,13 +118,13 @@ export function createAnimationController(opts) {
         requestAnimationFrame(tickBuffer);
     }
 
-    function playFromBuffer(frames, durationMs) {
+    function playFromBuffer(frames, durationMs, startT = 0) {
         if (!frames || frames.length === 0) return false;
 
         state.playing = true;
         state.frames = frames;
         state.durationMs = durationMs;
-        state.startMs = performance.now();
+        state.startMs = performance.now() - startT * durationMs;
         state.lastFrameIndex = -1;
 
         onPlayStateChange?.(true);
@@ -137,14 +137,31 @@ export function createAnimationController(opts) {
         onPlayStateChange?.(false);
     }
 
-    function toggle(frames, durationMs) {
+    function toggle(frames, durationMs, startT = 0) {
         if (state.playing) {
             pause();
         } else {
-            return playFromBuffer(frames, durationMs);
+            return playFromBuffer(frames, durationMs, startT);
         }
     }
 
+    /**
+     * Jump to a normalized loop position. Draws the matching frame
+     * immediately; if playing, playback continues from there.
+     */
+    function seek(tNorm) {
+        if (!state.frames || state.frames.length === 0) return;
+        const t = ((tNorm % 1) + 1) % 1;
+        const frameIndex = Math.min(
+            Math.floor(t * state.frames.length),
+            state.frames.length - 1
+        );
+        state.startMs = performance.now() - t * state.durationMs;
+        state.lastFrameIndex = frameIndex;
+        drawFrame(state.frames[frameIndex]);
+        onFrame?.(t, frameIndex);
+    }
+
     function stop() {
         state.playing = false;
         onPlayStateChange?.(false);
@@ -152,7 +169,7 @@ export function createAnimationController(opts) {
 
     function isPlaying() { return state.playing; }
 
-    return { playFromBuffer, pause, toggle, stop, isPlaying };
+    return { playFromBuffer, pause, toggle, seek, stop, isPlaying };
 }
 
 
@@ -5,9 +5,9 @@
 import { xmur3, mulberry32 } from '../core/prng.js';
 import { deriveParams } from '../core/params.js';
 import { generateTitle, generateAltText, generateAnimAltText } from '../core/text.js';
-import { evalControlsAt } from '../core/interpolation.js';
+import { evalControlsAt, TIME_WARP_STRENGTH } from '../core/interpolation.js';
 import { ANIM_FPS, MOTION_BLUR_ENABLED, MB_DECAY, MB_ADD } from './animation.js';
-import { profileToConfig } from '../core/config-schema.js';
+import { profileToConfig, animationToConfig, ENGINE_VERSION } from '../core/config-schema.js';
 
 export function downloadBlob(filename, blob) {
     const url = URL.createObjectURL(blob);
@@ -27,7 +27,10 @@ export function canvasToPngBlob(canvas) {
     return new Promise((resolve) => canvas.toBlob((b) => resolve(b), 'image/png'));
 }
 
-/* ── PNG tEXt chunk injection ── */
+/* ── PNG text chunks (tEXt / iTXt) ── */
+
+/** iTXt keyword under which stills embed their canonical config (JSON). */
+export const PNG_CONFIG_KEYWORD = 'geometric-interior:config';
 
 function crc32Table() {
     const t = new Uint32Array(256);
@@ -41,7 +44,8 @@ function crc32Table() {
 
 const CRC_TABLE = crc32Table();
 
-function crc32(buf) {
+/** CRC-32 of a PNG chunk's type and data. */
+export function crc32(buf) {
     let crc = 0xFFFFFFFF;
     for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
     return (crc ^ 0xFFFFFFFF) >>> 0;
@@ -118,9 +122,10 @@ function makePngItxtChunk(keyword, text) {
 }
 
 /**
- * Inject PNG tEXt metadata chunks (and optional XMP iTXt) into a PNG blob.
+ * Inject PNG text metadata chunks (and optional XMP iTXt) into a PNG blob.
+ * Entries are written as Latin-1 tEXt unless flagged `itxt` (UTF-8).
  * @param {Blob} pngBlob
- * @param {{ keyword: string, text: string }[]} entries
+ * @param {{ keyword: string, text: string, itxt?: boolean }[]} entries
  * @param {{ title: string, description: string }} [xmp] - optional XMP metadata
  * @returns {Promise<Blob>}
  */
@@ -137,7 +142,7 @@ export async function injectPngTextChunks(pngBlob, entries, xmp) {
     }
     if (iendPos < 0) return pngBlob; // couldn't find IEND, return unchanged
 
-    const chunks = entries.map(e => makePngTextChunk(e.keyword, e.text));
+    const chunks = entries.map(e => (e.itxt ? makePngItxtChunk : makePngTextChunk)(e.keyword, e.text));
     if (xmp) {
         chunks.push(makePngItxtChunk('XML:com.adobe.xmp', buildXmpString(xmp.title, xmp.description)));
     }
@@ -150,6 +155,102 @@ export async function injectPngTextChunks(pngBlob, entries, xmp) {
     return new Blob([out], { type: 'image/png' });
 }
 
+/**
+ * Read the tEXt and iTXt chunks of a PNG (compressed iTXt included).
+ * @param {Blob} pngBlob
+ * @returns {Promise<{ keyword: string, text: string }[]>} empty if not a PNG
+ */
+export async function readPngTextChunks(pngBlob) {
+    const src = new Uint8Array(await pngBlob.arrayBuffer());
+    const SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+    if (src.length < 8 || SIGNATURE.some((b, i) => src[i] !== b)) return [];
+
+    const view = new DataView(src.buffer, src.byteOffset, src.byteLength);
+    const latin1 = new TextDecoder('latin1');
+    const utf8 = new TextDecoder();
+    const out = [];
+    let off = 8;
+    while (off + 12 <= src.length) {
+        const len = view.getUint32(off);
+        const type = latin1.decode(src.subarray(off + 4, off + 8));
+        const data = src.subarray(off + 8, Math.min(off + 8 + len, src.length));
+        off += 12 + len;
+        if (type === 'IEND') break;
+        if (type !== 'tEXt' && type !== 'iTXt') continue;
+
+        const kwEnd = data.indexOf(0);
+        if (kwEnd < 0) continue;
+        const keyword = latin1.decode(data.subarray(0, kwEnd));
+        if (type === 'tEXt') {
+            out.push({ keyword, text: latin1.decode(data.subarray(kwEnd + 1)) });
+            continue;
+        }
+        // iTXt: flag, method, language\0, translated keyword\0, text
+        const compressed = data[kwEnd + 1] === 1;
+        const langEnd = data.indexOf(0, kwEnd + 3);
+        const transEnd = langEnd < 0 ? -1 : data.indexOf(0, langEnd + 1);
+        if (transEnd < 0) continue;
+        let text = data.subarray(transEnd + 1);
+        if (compressed) {
+            try {
+                const stream = new Blob([text]).stream().pipeThrough(new DecompressionStream('deflate'));
+                text = new Uint8Array(await new Response(stream).arrayBuffer());
+            } catch { continue; }
+        }
+        out.push({ keyword, text: utf8.decode(text) });
+    }
+    return out;
+}
+
+/**
+ * Canonical still config for embedding/sidecar export: profileToConfig()
+ * plus the engine version that rendered it.
+ */
+export function stillConfigForExport(name, profile) {
+    return { ...profileToConfig(name, profile), engineVersion: ENGINE_VERSION };
+}
+
+/**
+ * Canonical animation config for an anim profile, with every landmark's
+ * still config inlined and the render settings loops are exported with.
+ */
+export function animationConfigForExport(name, animProfile, stillProfiles) {
+    const config = animationToConfig(name, animProfile, stillProfiles, {
+        fps: ANIM_FPS,
+        timeWarpStrength: TIME_WARP_STRENGTH,
+        motionBlur: { enabled: MOTION_BLUR_ENABLED, decay: MB_DECAY, add: MB_ADD },
+    });
+    return { ...config, engineVersion: ENGINE_VERSION };
+}
+
+/**
+ * Text chunks a still PNG carries: Title/Description tEXt plus the
+ * canonical config as UTF-8 iTXt, so the image alone reproduces itself.
+ */
+export function stillPngTextEntries(meta, config) {
+    return [
+        { keyword: 'Title', text: meta.title },
+        { keyword: 'Description', text: meta.altText },
+        { keyword: PNG_CONFIG_KEYWORD, text: JSON.stringify(config), itxt: true },
+    ];
+}
+
+/**
+ * Extract the embedded still config from a PNG exported by the studio or CLI.
+ * @param {Blob} pngBlob
+ * @returns {Promise<object|null>} parsed config (unvalidated), or null if absent
+ */
+export async function readConfigFromPng(pngBlob) {
+    const chunks = await readPngTextChunks(pngBlob);
+    const entry = chunks.find(c => c.keyword === PNG_CONFIG_KEYWORD);
+    if (!entry) return null;
+    try {
+        return JSON.parse(entry.text);
+    } catch {
+        return null;
+    }
+}
+
 export function safeName(s) {
     return (s || 'seed').replace(/[^a-z0-9_-]+/gi, '_').slice(0, 80);
 }
@@ -193,15 +294,14 @@ export function computeLoopSummaryTitleAlt(seed, landmarks, durationSecs) {
 /**
  * Package and download a still image ZIP.
  */
-export async function packageStillZip(canvas, { seed, controls, paletteTweaks, name, meta }) {
+export async function packageStillZip(canvas, { seed, controls, paletteTweaks, paletteRef, name, meta }) {
     const JSZip = window.JSZip;
     if (!JSZip) throw new Error('JSZip not loaded');
 
+    const metadata = stillConfigForExport(name, { seed, controls, paletteTweaks, paletteRef });
     const rawPng = await canvasToPngBlob(canvas);
-    const pngBlob = await injectPngTextChunks(rawPng, [
-        { keyword: 'Title', text: meta.title },
-        { keyword: 'Description', text: meta.altText },
-    ], { title: meta.title, description: meta.altText });
+    const pngBlob = await injectPngTextChunks(rawPng, stillPngTextEntries(meta, metadata),
+        { title: meta.title, description: meta.altText });
     const ts = toIsoLocalish(new Date());
     const base = `still_${safeName(seed)}_${ts}`;
 
@@ -209,8 +309,6 @@ export async function packageStillZip(canvas, { seed, controls, paletteTweaks, n
     zip.file(`${base}/image.png`, pngBlob);
     zip.file(`${base}/title.txt`, meta.title + '\n');
     zip.file(`${base}/alt-text.txt`, meta.altText + '\n');
-
-    const metadata = profileToConfig(name, { seed, controls, paletteTweaks });
     zip.file(`${base}/metadata.json`, JSON.stringify(metadata, null, 2) + '\n');
 
     const zipBlob = await zip.generateAsync({ type: 'blob' });
@@ -221,14 +319,13 @@ export async function packageStillZip(canvas, { seed, controls, paletteTweaks, n
  * Package and download a still image ZIP from a pre-rendered PNG blob
  * (used when canvas is owned by a Web Worker via OffscreenCanvas).
  */
-export async function packageStillZipFromBlob(pngBlob, { seed, controls, paletteTweaks, name, meta, canvasWidth, canvasHeight }) {
+export async function packageStillZipFromBlob(pngBlob, { seed, controls, paletteTweaks, paletteRef, name, meta, canvasWidth, canvasHeight }) {
     const JSZip = window.JSZip;
     if (!JSZip) throw new Error('JSZip not loaded');
 
-    const enrichedPng = await injectPngTextChunks(pngBlob, [
-        { keyword: 'Title', text: meta.title },
-        { keyword: 'Description', text: meta.altText },
-    ], { title: meta.title, description: meta.altText });
+    const metadata = stillConfigForExport(name, { seed, controls, paletteTweaks, paletteRef });
+    const enrichedPng = await injectPngTextChunks(pngBlob, stillPngTextEntries(meta, metadata),
+        { title: meta.title, description: meta.altText });
     const ts = toIsoLocalish(new Date());
     const base = `still_${safeName(seed)}_${ts}`;
 
@@ -236,8 +333,6 @@ export async function packageStillZipFromBlob(pngBlob, { seed, controls, palette
     zip.file(`${base}/image.png`, enrichedPng);
     zip.file(`${base}/title.txt`, meta.title + '\n');
     zip.file(`${base}/alt-text.txt`, meta.altText + '\n');
-
-    const metadata = profileToConfig(name, { seed, controls, paletteTweaks });
     zip.file(`${base}/metadata.json`, JSON.stringify(metadata, null, 2) + '\n');
 
     const zipBlob = await zip.generateAsync({ type: 'blob' });
@@ -245,9 +340,11 @@ export async function packageStillZipFromBlob(pngBlob, { seed, controls, palette
 }
 
 /**
- * Package and download an animation ZIP.
+ * Package and download an animation ZIP. `config` (see
+ * animationConfigForExport) is written as metadata.json so the loop can be
+ * imported elsewhere.
  */
-export async function packageAnimZip(rec, { landmarks, loopLandmarkNames, timeWarpStrength }) {
+export async function packageAnimZip(rec, { landmarks, loopLandmarkNames, timeWarpStrength, seedMorph = false, config = null }) {
     const JSZip = window.JSZip;
     if (!JSZip) throw new Error('JSZip not loaded');
 
@@ -277,6 +374,7 @@ export async function packageAnimZip(rec, { landmarks, loopLandmarkNames, timeWa
     zip.file(`${base}/title.txt`, summary.title + '\n');
     zip.file(`${base}/alt-text.txt`, summary.altText + '\n');
     zip.file(`${base}/keyframes.json`, JSON.stringify(keyframes, null, 2) + '\n');
+    if (config) zip.file(`${base}/metadata.json`, JSON.stringify(config, null, 2) + '\n');
 
     const manifest = {
         kind: 'animation',
@@ -285,17 +383,27 @@ export async function packageAnimZip(rec, { landmarks, loopLandmarkNames, timeWa
         fps: rec.fps,
         duration_ms: rec.durationMs,
         total_frames: rec.totalFrames,
-        time_warp_strength: timeWarpStrength,
+        time_warp_strength: timeWarpStrength, // untimed loops only
         motion_blur: {
             enabled: MOTION_BLUR_ENABLED,
             decay: MB_DECAY,
             add: MB_ADD
         },
         landmarks: loopLandmarkNames.slice(),
+        landmark_timing: landmarks.map(({ name, holdMs, transitionMs, easing }) => ({
+            name,
+            hold_ms: holdMs ?? null,
+            transition_ms: transitionMs ?? null,
+            easing: easing ?? null,
+        })),
+        seed_morph: seedMorph,
+        landmark_seeds: seedMorph ? landmarks.map(lm => lm.seed) : null,
         generated_at: new Date().toISOString(),
-        files: rec.kind === 'video'
-            ? [`animation.${rec.ext}`, 'title.txt', 'alt-text.txt', 'keyframes.json', 'manifest.json']
-            : ['frames/*', 'title.txt', 'alt-text.txt', 'keyframes.json', 'manifest.json']
+        files: [
+            rec.kind === 'video' ? `animation.${rec.ext}` : 'frames/*',
+            'title.txt', 'alt-text.txt', 'keyframes.json', 'manifest.json',
+            ...(config ? ['metadata.json'] : []),
+        ]
     };
     zip.file(`${base}/manifest.json`, JSON.stringify(manifest, null, 2) + '\n');
 
@@ -4,14 +4,28 @@
  */
 
 import { createRenderer } from './engine/create-renderer.js';
-import { PALETTE_KEYS, updatePalette, resetPalette, getPaletteDefaults, getPalette } from './core/palettes.js';
-import { loadProfiles, saveProfiles, deleteProfile, ensureStarterProfiles, loadPortraits, getPortraitNames, loadProfileOrder, saveProfileOrder, syncProfileOrder } from './ui/profiles.js';
-import { packageStillZip, packageStillZipFromBlob } from './export/export.js';
+import { PALETTE_KEYS, updatePalette, resetPalette, getPaletteDefaults, getPalette, gradientFromArc, customPalette, HARMONY_KEYS, DEFAULT_HARMONY } from './core/palettes.js';
+import { loadProfiles, saveProfiles, deleteProfile, ensureStarterProfiles, loadPortraits, getPortraitNames, loadProfileOrder, saveProfileOrder, syncProfileOrder, loadAnimProfiles, saveAnimProfiles, deleteAnimProfile, removeImageFromAnimProfiles, renderLoopList, createLandmark, syncAnimDuration, scaleAnimTiming, MIN_LOOP_DURATION_MS, MAX_LOOP_DURATION_MS } from './ui/profiles.js';
+import { packageStillZip, packageStillZipFromBlob, packageAnimZip, animationConfigForExport, readConfigFromPng, downloadBlob } from './export/export.js';
+import { preRenderFrames, createAnimationController, exportFromBuffer, ANIM_FPS, MB_DECAY, MB_ADD } from './export/animation.js';
+import { createMotionBlur } from './export/motion-blur.js';
+import { TIME_WARP_STRENGTH } from './core/interpolation.js';
 import { initTheme } from './ui/theme.js';
+import { createOrbitControls } from './ui/orbit-controls.js';
+import { createAdvancedPanel } from './ui/advanced-panel.js';
+import { createGradientEditor, gradientCss } from './ui/gradient-editor.js';
+import { createImagePaletteImport } from './ui/image-palette-import.js';
+import { loadPaletteLibrary, savePaletteLibrary, createLibraryEntry, entryTweaks, uniquePaletteName, profilePaletteTweaks, withLibraryPalette, adoptProfilePalette, renderPaletteLibrary } from './ui/palette-library.js';
 import { createFaviconAnimation } from './ui/animated-favicon.js';
 import { generateTitle, generateAltText } from './core/text.js';
 import { xmur3, mulberry32 } from './core/prng.js';
-import { validateStillConfig, configToProfile } from './core/config-schema.js';
+import { validateStillConfig, validateAnimationConfig, configToProfile, configToAnimation } from './core/config-schema.js';
+import { normalizeCameraPose, isDefaultCameraPose } from './core/camera-pose.js';
+import { encodeDeepLink, decodeDeepLink } from './core/deep-link.js';
+import { TRANSPARENCY_MODES } from './core/params.js';
+import { normalizeTone, isDefaultTone } from './core/tone.js';
+import { normalizeDof } from './core/depth-of-field.js';
+import { DEFAULT_MAPPING_SET, NEUTRAL_TENSION, setMappingSet, getMappingSet, validateMappingSet } from './core/mappings.js';
 
 /* ---------------------------
  * DOM references
@@ -45,12 +59,24 @@ const el = {
     fracture: document.getElementById('fracture'),
     depth: document.getElementById('depth'),
     coherence: document.getElementById('coherence'),
+    tension: document.getElementById('tension'),
+    transparency: document.getElementById('transparency'),
+    toneMapper: document.getElementById('toneMapper'),
+    toneExposure: document.getElementById('toneExposure'),
+    toneWhitePoint: document.getElementById('toneWhitePoint'),
+    toneDither: document.getElementById('toneDither'),
+    toneExposureLabel: document.getElementById('toneExposureLabel'),
+    toneWhitePointLabel: document.getElementById('toneWhitePointLabel'),
+    dofEnabled: document.getElementById('dofEnabled'),
+    dofHeroBtn: document.getElementById('dofHeroBtn'),
+    dofPickBtn: document.getElementById('dofPickBtn'),
 
     densityLabel: document.getElementById('densityLabel'),
     luminosityLabel: document.getElementById('luminosityLabel'),
     fractureLabel: document.getElementById('fractureLabel'),
     depthLabel: document.getElementById('depthLabel'),
     coherenceLabel: document.getElementById('coherenceLabel'),
+    tensionLabel: document.getElementById('tensionLabel'),
 
     profileNameField: document.getElementById('profileNameField'),
     saveProfile: document.getElementById('saveProfile'),
@@ -89,6 +115,42 @@ const el = {
     canvasOverlay: document.getElementById('canvasOverlay'),
     canvasOverlayText: document.getElementById('canvasOverlayText'),
     exportBtn: document.getElementById('exportBtn'),
+    exportSize: document.getElementById('exportSize'),
+    copyLinkBtn: document.getElementById('copyLinkBtn'),
+
+    // Animation loop editor + timeline
+    loopToggle: document.getElementById('loopToggle'),
+    loopContent: document.getElementById('loopContent'),
+    loopList: document.getElementById('loopList'),
+    animProfileSelect: document.getElementById('animProfileSelect'),
+    animNewBtn: document.getElementById('animNewBtn'),
+    animDeleteBtn: document.getElementById('animDeleteBtn'),
+    animSeed: document.getElementById('animSeed'),
+    animMorphSeeds: document.getElementById('animMorphSeeds'),
+    animDuration: document.getElementById('animDuration'),
+    animPreviewBtn: document.getElementById('animPreviewBtn'),
+    animExportBtn: document.getElementById('animExportBtn'),
+    animTimeline: document.getElementById('animTimeline'),
+    animPlayBtn: document.getElementById('animPlayBtn'),
+    animScrub: document.getElementById('animScrub'),
+    animTimeLabel: document.getElementById('animTimeLabel'),
+    animCloseBtn: document.getElementById('animCloseBtn'),
+    animCanvas: document.getElementById('animCanvas'),
+
+    // Camera orbit
+    canvasWrapper: document.querySelector('#renderCard .canvas-wrapper'),
+    orbitBtn: document.getElementById('orbitBtn'),
+    cameraResetBtn: document.getElementById('cameraResetBtn'),
+
+    // Advanced parameter overrides
+    advancedToggle: document.getElementById('advancedToggle'),
+    advancedContent: document.getElementById('advancedContent'),
+    advancedPane: document.getElementById('advancedPane'),
+    overridesResetBtn: document.getElementById('overridesResetBtn'),
+    mappingSetSelect: document.getElementById('mappingSetSelect'),
+    mappingLoadBtn: document.getElementById('mappingLoadBtn'),
+    mappingFile: document.getElementById('mappingFile'),
+    mappingDownloadBtn: document.getElementById('mappingDownloadBtn'),
 
     infoModal: document.getElementById('infoModal'),
     infoModalTitle: document.getElementById('infoModalTitle'),
@@ -100,10 +162,23 @@ const el = {
     customHue: document.getElementById('customHue'),
     customHueRange: document.getElementById('customHueRange'),
     customSat: document.getElementById('customSat'),
+    paletteHarmony: document.getElementById('paletteHarmony'),
     customHueLabel: document.getElementById('customHueLabel'),
     customHueRangeLabel: document.getElementById('customHueRangeLabel'),
     customSatLabel: document.getElementById('customSatLabel'),
     customPalGradient: document.getElementById('customPalGradient'),
+    gradientToggle: document.getElementById('gradientToggle'),
+    gradientEditor: document.getElementById('gradientEditor'),
+    paletteRow: document.getElementById('paletteRow'),
+    paletteFromImage: document.getElementById('paletteFromImage'),
+    paletteLibrary: document.getElementById('paletteLibrary'),
+    paletteLibraryList: document.getElementById('paletteLibraryList'),
+    paletteLibraryName: document.getElementById('paletteLibraryName'),
+    paletteLibLeft: document.getElementById('paletteLibLeft'),
+    paletteLibRight: document.getElementById('paletteLibRight'),
+    paletteLibNew: document.getElementById('paletteLibNew'),
+    paletteLibDuplicate: document.getElementById('paletteLibDuplicate'),
+    paletteLibDelete: document.getElementById('paletteLibDelete'),
 };
 
 /* Auto-grow textareas (fallback for browsers without field-sizing: content) */
@@ -116,9 +191,35 @@ for (const ta of document.querySelectorAll('textarea.auto-grow')) {
     autoGrow(ta);
 }
 
-const SLIDER_KEYS = ['density', 'luminosity', 'fracture', 'depth', 'coherence'];
+const SLIDER_KEYS = ['density', 'luminosity', 'fracture', 'depth', 'coherence', 'tension'];
 const TOPOLOGY_VALUES = ['flow-field', 'icosahedral', 'mobius', 'multi-attractor'];
 
+/* ---------------------------
+ * Mapping sets
+ * ---------------------------
+ */
+// { set, active }: the last loaded mapping set and whether it's in use
+const MAPPING_SET_LS_KEY = 'geo_self_portrait_mapping_set';
+
+let loadedMappingSet = null;
+// Bumped whenever the active set changes; part of thumbnail/loop cache keys
+let mappingSetId = 0;
+
+function restoreMappingSet() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(MAPPING_SET_LS_KEY));
+        if (stored && validateMappingSet(stored.set).ok) {
+            loadedMappingSet = stored.set;
+            if (stored.active) setMappingSet(loadedMappingSet);
+        }
+    } catch { /* ignore */ }
+}
+restoreMappingSet();
+
+function activeMappingSetOrNull() {
+    return getMappingSet() === DEFAULT_MAPPING_SET ? null : getMappingSet();
+}
+
 /* ---------------------------
  * Module instances
  * ---------------------------
@@ -171,6 +272,7 @@ function initWorkerRenderer() {
             width: rect.width,
             height: rect.height,
             dpr: window.devicePixelRatio,
+            mappings: activeMappingSetOrNull(),
         }, [offscreen]);
 
         // Timeout: if worker doesn't respond within 8s, fall back
@@ -208,6 +310,9 @@ function onWorkerMessage(e) {
             if (cb) { pendingCallbacks.delete(msg.requestId); cb(msg.blob); }
             break;
         }
+        case 'export-progress':
+            toast(`Rendering tile ${msg.done} of ${msg.total}…`);
+            break;
         case 'export-error': {
             const cb = pendingCallbacks.get(msg.requestId);
             if (cb) { pendingCallbacks.delete(msg.requestId); cb(null); }
@@ -268,7 +373,7 @@ const thumbQueue = [];
 let thumbProcessing = false;
 
 function thumbCacheKey(seed, controls, paletteTweaks) {
-    let k = seed + '|' + JSON.stringify(controls);
+    let k = mappingSetId + '|' + seed + '|' + JSON.stringify(controls);
     if (paletteTweaks) k += '|' + JSON.stringify(paletteTweaks);
     return k;
 }
@@ -369,10 +474,16 @@ function restoreChipGradient(key) {
 function updateActiveChipGradient(key, settings) {
     const chip = el.paletteSelector.querySelector(`.pal-chip[data-value="${key}"]`);
     const g = chip?.querySelector('.pal-gradient');
-    if (!g) return;
+    if (g) g.style.background = paletteChipCss(settings);
+}
+
+/** Chip background for palette tweaks ({ baseHue, hueRange, saturation, gradient? }). */
+function paletteChipCss(settings) {
     const h = settings.baseHue;
     const hr = settings.hueRange;
-    if (hr >= 180) {
+    if (settings.gradient) {
+        return gradientCss(settings.gradient, '135deg');
+    } else if (hr >= 180) {
         // Wide hue range: 5-stop rainbow across the full span
         const stops = [];
         for (let i = 0; i < 5; i++) {
@@ -381,12 +492,11 @@ function updateActiveChipGradient(key, settings) {
             const lit = 15 + t * 55;
             stops.push(`hsl(${hue} 65% ${lit}%)`);
         }
-        g.style.background = `linear-gradient(135deg, ${stops.join(', ')})`;
+        return `linear-gradient(135deg, ${stops.join(', ')})`;
     } else {
         const h1 = ((h - hr / 2) + 360) % 360;
         const h3 = (h + hr / 2) % 360;
-        g.style.background =
-            `linear-gradient(135deg, hsl(${h1} 50% 15%), hsl(${h} 60% 45%), hsl(${h3} 60% 70%))`;
+        return `linear-gradient(135deg, hsl(${h1} 50% 15%), hsl(${h} 60% 45%), hsl(${h3} 60% 70%))`;
     }
 }
 
@@ -395,12 +505,147 @@ function updateActiveChipGradient(key, settings) {
 const PAL_LS_PREFIX = 'geo_self_portrait_palette_v2_';
 function paletteLSKey(key) { return PAL_LS_PREFIX + key; }
 
+/* ── Custom palette library (see ui/palette-library.js) ── */
+
+// Saved custom palettes, in library order; the active entry is the one the
+// custom slot shows and edits write back to (null = an unsaved palette)
+let paletteLibrary = [];
+let activeCustomId = null;
+
+function libraryEntry(id) {
+    return paletteLibrary.find(e => e.id === id) || null;
+}
+
+/** Reference stored with a profile that uses the active library palette. */
+function currentPaletteRef() {
+    const entry = el.palette.value === 'custom' ? libraryEntry(activeCustomId) : null;
+    return entry ? { id: entry.id, name: entry.name } : undefined;
+}
+
+/** Make a library entry (or none) the custom palette; names the custom chip after it. */
+function setActiveCustomPalette(id) {
+    const entry = libraryEntry(id);
+    activeCustomId = entry ? entry.id : null;
+    customPalette.label = entry ? entry.name : 'Custom';
+    const label = el.paletteSelector.querySelector('.pal-chip[data-value="custom"] .pal-name');
+    if (label) label.textContent = customPalette.label;
+    try {
+        if (entry) localStorage.setItem(paletteLSKey('custom-id'), entry.id);
+        else localStorage.removeItem(paletteLSKey('custom-id'));
+    } catch { /* ignore */ }
+    refreshPaletteLibraryUI();
+}
+
+/** Save palette tweaks as a new library entry (name made unique). */
+function addLibraryPalette(name, tweaks) {
+    const entry = createLibraryEntry(uniquePaletteName(paletteLibrary, name), tweaks);
+    paletteLibrary.push(entry);
+    savePaletteLibrary(paletteLibrary);
+    return entry;
+}
+
+function refreshPaletteLibraryUI() {
+    renderPaletteLibrary(el.paletteLibraryList, paletteLibrary, activeCustomId, {
+        onSelect: (entry) => selectLibraryPalette(entry.id),
+        swatchCss: paletteChipCss,
+    });
+    const entry = libraryEntry(activeCustomId);
+    const idx = entry ? paletteLibrary.indexOf(entry) : -1;
+    el.paletteLibraryName.value = entry ? entry.name : '';
+    el.paletteLibraryName.disabled = !entry;
+    el.paletteLibLeft.disabled = idx <= 0;
+    el.paletteLibRight.disabled = idx < 0 || idx === paletteLibrary.length - 1;
+    el.paletteLibDelete.disabled = !entry;
+}
+
+function selectLibraryPalette(id) {
+    const entry = libraryEntry(id);
+    if (!entry) return;
+    setActiveCustomPalette(id);
+    setPaletteEditorValues(entryTweaks(entry));
+    syncPaletteEditor();
+    onControlChange();
+}
+
+function initPaletteLibrary() {
+    el.paletteLibNew.addEventListener('click', () => {
+        const entry = addLibraryPalette('New palette', getPaletteDefaults('custom'));
+        selectLibraryPalette(entry.id);
+    });
+
+    // With no active entry this saves the unsaved palette
+    el.paletteLibDuplicate.addEventListener('click', () => {
+        const active = libraryEntry(activeCustomId);
+        const entry = addLibraryPalette(active ? `${active.name} copy` : 'Custom palette', readPaletteFromUI());
+        selectLibraryPalette(entry.id);
+        toast(`Saved palette "${entry.name}".`);
+    });
+
+    // Profiles using a deleted palette keep their embedded copy of it
+    el.paletteLibDelete.addEventListener('click', async () => {
+        const entry = libraryEntry(activeCustomId);
+        if (!entry) return;
+        const result = await showConfirm('Delete Palette',
+            `Delete "${entry.name}"? Profiles that use it keep their own copy of its colours.`, [
+                { label: 'Cancel', value: 'cancel' },
+                { label: 'Delete', value: 'delete', primary: true },
+            ]);
+        if (result !== 'delete') return;
+        const idx = paletteLibrary.indexOf(entry);
+        paletteLibrary.splice(idx, 1);
+        savePaletteLibrary(paletteLibrary);
+        const next = paletteLibrary[Math.min(idx, paletteLibrary.length - 1)];
+        if (next) selectLibraryPalette(next.id);
+        else setActiveCustomPalette(null);
+    });
+
+    el.paletteLibraryName.addEventListener('change', () => {
+        const entry = libraryEntry(activeCustomId);
+        if (!entry) return;
+        entry.name = uniquePaletteName(paletteLibrary.filter(e => e !== entry), el.paletteLibraryName.value);
+        savePaletteLibrary(paletteLibrary);
+        setActiveCustomPalette(entry.id);
+    });
+
+    const move = (delta) => {
+        const idx = paletteLibrary.findIndex(e => e.id === activeCustomId);
+        const to = idx + delta;
+        if (idx < 0 || to < 0 || to >= paletteLibrary.length) return;
+        [paletteLibrary[idx], paletteLibrary[to]] = [paletteLibrary[to], paletteLibrary[idx]];
+        savePaletteLibrary(paletteLibrary);
+        refreshPaletteLibraryUI();
+    };
+    el.paletteLibLeft.addEventListener('click', () => move(-1));
+    el.paletteLibRight.addEventListener('click', () => move(1));
+}
+
+// Colour stops replacing the hue arc (see core/palettes.js); null = none
+const gradientEditor = createGradientEditor(el.gradientEditor, {
+    onChange() {
+        syncPaletteEditor();
+        onControlChange();
+    },
+});
+
 function readPaletteFromUI() {
-    return {
+    const tweaks = {
         baseHue: parseInt(el.customHue.value, 10),
         hueRange: parseInt(el.customHueRange.value, 10),
         saturation: parseFloat(el.customSat.value),
     };
+    const gradient = gradientEditor.get();
+    if (gradient) tweaks.gradient = gradient;
+    if (el.paletteHarmony.value !== DEFAULT_HARMONY) tweaks.harmony = el.paletteHarmony.value;
+    return tweaks;
+}
+
+/** Show palette tweaks ({ baseHue, hueRange, saturation, gradient?, harmony? }) in the editor. */
+function setPaletteEditorValues(tweaks) {
+    el.customHue.value = tweaks.baseHue;
+    el.customHueRange.value = tweaks.hueRange;
+    el.customSat.value = tweaks.saturation;
+    gradientEditor.set(tweaks.gradient ?? null);
+    el.paletteHarmony.value = HARMONY_KEYS.includes(tweaks.harmony) ? tweaks.harmony : DEFAULT_HARMONY;
 }
 
 function loadPaletteIntoEditor(key) {
@@ -408,7 +653,9 @@ function loadPaletteIntoEditor(key) {
     let vals = defaults;
     // Only restore localStorage tweaks for the custom palette;
     // built-in palettes always reset to their defaults when selected
-    if (key === 'custom') {
+    if (key === 'custom' && libraryEntry(activeCustomId)) {
+        vals = entryTweaks(libraryEntry(activeCustomId));
+    } else if (key === 'custom') {
         try {
             const raw = localStorage.getItem(paletteLSKey(key));
             if (raw) {
@@ -417,6 +664,8 @@ function loadPaletteIntoEditor(key) {
                     baseHue: s.baseHue ?? defaults.baseHue,
                     hueRange: s.hueRange ?? defaults.hueRange,
                     saturation: s.saturation ?? defaults.saturation,
+                    gradient: s.gradient ?? null,
+                    harmony: s.harmony,
                 };
             }
         } catch { /* ignore */ }
@@ -425,9 +674,7 @@ function loadPaletteIntoEditor(key) {
         resetPalette(key);
         localStorage.removeItem(paletteLSKey(key));
     }
-    el.customHue.value = vals.baseHue;
-    el.customHueRange.value = vals.hueRange;
-    el.customSat.value = vals.saturation;
+    setPaletteEditorValues(vals);
     syncPaletteEditor();
 }
 
@@ -441,10 +688,20 @@ function syncPaletteEditor() {
     el.customHueLabel.textContent = settings.baseHue;
     el.customHueRangeLabel.textContent = settings.hueRange;
     el.customSatLabel.textContent = settings.saturation.toFixed(2);
+    el.gradientToggle.textContent = settings.gradient ? 'Clear' : 'Use stops';
 
     // Only update the custom chip dynamically; built-in chips keep cached originals
     if (key === 'custom') updateActiveChipGradient(key, settings);
 
+    // Edits to a saved custom palette go straight back to the library
+    const entry = key === 'custom' ? libraryEntry(activeCustomId) : null;
+    if (entry) {
+        paletteLibrary[paletteLibrary.indexOf(entry)] = { id: entry.id, name: entry.name, ...entryTweaks(settings) };
+        savePaletteLibrary(paletteLibrary);
+        refreshPaletteLibraryUI();
+    }
+    el.paletteLibrary.classList.toggle('hidden', key !== 'custom');
+
     // Show/hide "Write to Custom" button
     const wtc = document.getElementById('writeToCustom');
     if (wtc) wtc.classList.toggle('wtc-collapsed', key === 'custom');
@@ -500,6 +757,10 @@ function initPaletteSelector() {
             onControlChange();
         });
     }
+    el.paletteHarmony.addEventListener('change', () => {
+        syncPaletteEditor();
+        onControlChange();
+    });
 
     // "Reset" button — restore palette to factory defaults
     const resetBtn = document.getElementById('resetPalette');
@@ -507,37 +768,61 @@ function initPaletteSelector() {
         resetBtn.addEventListener('click', () => {
             const key = el.palette.value;
             if (key !== 'custom') resetPalette(key);
+            // A saved palette stays in the library; the editor starts an unsaved one
+            else setActiveCustomPalette(null);
             localStorage.removeItem(paletteLSKey(key));
             restoreChipGradient(key);
-            const defaults = getPaletteDefaults(key);
-            el.customHue.value = defaults.baseHue;
-            el.customHueRange.value = defaults.hueRange;
-            el.customSat.value = defaults.saturation;
+            setPaletteEditorValues(getPaletteDefaults(key));
             syncPaletteEditor();
             onControlChange();
         });
     }
 
+    // Gradient on/off — starts from the current hue arc
+    el.gradientToggle.addEventListener('click', () => {
+        gradientEditor.set(gradientEditor.get() ? null : gradientFromArc(readPaletteFromUI()));
+        syncPaletteEditor();
+        onControlChange();
+    });
+
+    // Save settings as a new library palette and switch to it
+    function writeToCustom(settings, name) {
+        const entry = addLibraryPalette(name, settings);
+        setActiveCustomPalette(entry.id);
+        updatePalette('custom', settings);
+        localStorage.setItem(paletteLSKey('custom'), JSON.stringify(settings));
+        // Reset the current built-in palette
+        const prevKey = el.palette.value;
+        if (prevKey !== 'custom') {
+            resetPalette(prevKey);
+            restoreChipGradient(prevKey);
+        }
+        // Switch UI to custom
+        el.palette.value = 'custom';
+        chips.forEach(c => c.classList.toggle('active', c.dataset.value === 'custom'));
+        setPaletteEditorValues(settings);
+        syncPaletteEditor();
+        onControlChange();
+    }
+
     // "Write to Custom" button
     const wtc = document.getElementById('writeToCustom');
     if (wtc) {
         wtc.addEventListener('click', () => {
-            const settings = readPaletteFromUI();
-            updatePalette('custom', settings);
-            localStorage.setItem(paletteLSKey('custom'), JSON.stringify(settings));
-            // Reset the current built-in palette
-            const prevKey = el.palette.value;
-            if (prevKey !== 'custom') {
-                resetPalette(prevKey);
-                restoreChipGradient(prevKey);
-            }
-            // Switch UI to custom
-            el.palette.value = 'custom';
-            chips.forEach(c => c.classList.toggle('active', c.dataset.value === 'custom'));
-            syncPaletteEditor();
-            onControlChange();
+            writeToCustom(readPaletteFromUI(), `${getPalette(el.palette.value).label} variant`);
         });
     }
+
+    // "From image" button / image dropped on the palettes
+    createImagePaletteImport(el.paletteRow, {
+        button: el.paletteFromImage,
+        onImport(tweaks, name) {
+            writeToCustom(tweaks, name);
+            el.customPaletteEditor.classList.remove('collapsed');
+            toast(`Saved palette "${customPalette.label}" from image.`);
+        },
+        onError: toast,
+    });
 }
 
 function setPaletteUI(value) {
@@ -573,6 +858,24 @@ function restorePaletteTweaksFromStorage() {
         }
     } catch { /* ignore */ }
 
+    // Restore the palette library; on first run the single custom palette
+    // kept so far becomes its first entry
+    const stored = loadPaletteLibrary();
+    paletteLibrary = stored ?? [];
+    let activeId = null;
+    try {
+        activeId = localStorage.getItem(paletteLSKey('custom-id'));
+        const raw = localStorage.getItem(paletteLSKey('custom'));
+        if (!stored && raw) {
+            const name = localStorage.getItem(paletteLSKey('custom-name')) || 'Custom';
+            activeId = addLibraryPalette(name, { ...getPaletteDefaults('custom'), ...JSON.parse(raw) }).id;
+        } else if (!stored) {
+            savePaletteLibrary(paletteLibrary);
+        }
+        localStorage.removeItem(paletteLSKey('custom-name'));
+    } catch { /* ignore */ }
+    setActiveCustomPalette(activeId);
+
     // Restore active built-in palette tweaks
     const activeKey = el.palette.value;
     if (activeKey && activeKey !== 'custom') {
@@ -590,6 +893,9 @@ function restorePaletteTweaksFromStorage() {
 let stillRendered = false;
 let loadedProfileName = '';
 let loadedFromPortrait = false;
+let cameraPose = null;  // null = default framing (see core/camera-pose.js)
+let paramOverrides = null;  // null = none; { path: value } (see core/params.js)
+let advancedPanel = null;   // created on first expand of the Advanced section
 
 /* ---------------------------
  * Render dispatch
@@ -610,6 +916,7 @@ const RENDER_THROTTLE_MS = 150;
  */
 function sendRenderRequest(seed, controls, { deliberate = false, callback = null } = {}) {
     const id = ++requestIdCounter;
+    syncAdvancedPanel(controls);
     if (callback) pendingCallbacks.set(id, callback);
 
     if (renderWorker && workerReady) {
@@ -634,6 +941,18 @@ function sendRenderRequest(seed, controls, { deliberate = false, callback = null
     }
 }
 
+/**
+ * Re-frame the current still from a new camera pose without rebuilding
+ * its geometry (worker or fallback renderer).
+ */
+function sendCameraPose(pose) {
+    if (renderWorker && workerReady) {
+        renderWorker.postMessage({ type: 'camera', pose });
+    } else if (fallbackRenderer) {
+        fallbackRenderer.setCameraPose(pose);
+    }
+}
+
 function scheduleRender() {
     if (renderPending) return;
     renderPending = true;
@@ -666,15 +985,42 @@ function cancelPendingRender() {
  * ---------------------------
  */
 function readControlsFromUI() {
-    return {
-        topology: 'flow-field',
+    const controls = {
+        topology: el.topology.value || 'flow-field',
         palette: el.palette.value,
         density: parseFloat(el.density.value),
         luminosity: parseFloat(el.luminosity.value),
         fracture: parseFloat(el.fracture.value),
         depth: parseFloat(el.depth.value),
         coherence: parseFloat(el.coherence.value),
+        tension: parseFloat(el.tension.value),
     };
+    // Only a moved camera is recorded, so unposed profiles stay unchanged
+    if (!isDefaultCameraPose(cameraPose)) controls.camera = normalizeCameraPose(cameraPose);
+    if (paramOverrides) controls.overrides = { ...paramOverrides };
+    if (el.transparency.value !== 'additive') controls.transparency = el.transparency.value;
+    const tone = readToneFromUI();
+    if (!isDefaultTone(tone)) controls.tone = tone;
+    if (el.dofEnabled.checked) controls.dof = dofFocusPoint ? { focus: { ...dofFocusPoint } } : {};
+    return controls;
+}
+
+function readToneFromUI() {
+    return normalizeTone({
+        mapper: el.toneMapper.value,
+        exposure: parseFloat(el.toneExposure.value),
+        whitePoint: parseFloat(el.toneWhitePoint.value),
+        dither: el.toneDither.checked,
+    });
+}
+
+function setToneInUI(tone) {
+    const t = normalizeTone(tone);
+    el.toneMapper.value = t.mapper;
+    el.toneExposure.value = t.exposure;
+    el.toneWhitePoint.value = t.whitePoint;
+    el.toneWhitePoint.disabled = t.mapper === 'none';
+    el.toneDither.checked = t.dither;
 }
 
 function updateSliderLabels(controls) {
@@ -683,6 +1029,10 @@ function updateSliderLabels(controls) {
     el.fractureLabel.textContent = controls.fracture.toFixed(2);
     el.depthLabel.textContent = controls.depth.toFixed(2);
     el.coherenceLabel.textContent = controls.coherence.toFixed(2);
+    el.tensionLabel.textContent = (controls.tension ?? NEUTRAL_TENSION).toFixed(2);
+    const tone = normalizeTone(controls.tone);
+    el.toneExposureLabel.textContent = tone.exposure.toFixed(2);
+    el.toneWhitePointLabel.textContent = tone.whitePoint.toFixed(1);
 }
 
 function setControlsInUI(controls) {
@@ -693,6 +1043,19 @@ function setControlsInUI(controls) {
             el[key].value = controls[key];
         }
     }
+    // Profiles from before the tension slider read as neutral
+    if (controls.tension === undefined) el.tension.value = NEUTRAL_TENSION;
+    el.transparency.value = TRANSPARENCY_MODES.includes(controls.transparency) ? controls.transparency : 'additive';
+    setToneInUI(controls.tone);
+    const dof = normalizeDof(controls.dof);
+    el.dofEnabled.checked = !!dof;
+    dofFocusPoint = dof?.focus || null;
+    setDofPicking(false);
+    cameraPose = controls.camera ? normalizeCameraPose(controls.camera) : null;
+    syncCameraUI();
+    paramOverrides = controls.overrides && Object.keys(controls.overrides).length > 0
+        ? { ...controls.overrides } : null;
+    syncAdvancedPanel(readControlsFromUI());
     updateSliderLabels(readControlsFromUI());
 }
 
@@ -730,20 +1093,17 @@ function loadProfileDataIntoUI(name, p) {
         // (setControlsInUI calls loadPaletteIntoEditor which reads from
         // localStorage and would overwrite profile-specific tweaks)
         const palKey = p.controls.palette || 'violet-depth';
-        const tweaks = p.paletteTweaks || (palKey === 'custom' ? p.customPalette : null);
+        const tweaks = profilePaletteTweaks(p, paletteLibrary);
+        if (palKey === 'custom') setActiveCustomPalette(p.paletteRef?.id ?? null);
         if (tweaks) {
-            el.customHue.value = tweaks.baseHue;
-            el.customHueRange.value = tweaks.hueRange;
-            el.customSat.value = tweaks.saturation;
+            setPaletteEditorValues(tweaks);
             updatePalette(palKey, tweaks);
             updateActiveChipGradient(palKey, tweaks);
         } else {
             // No stored tweaks — reset to factory defaults so thumbnail
             // and main canvas match (thumbnails use defaults when no tweaks)
             const defaults = getPaletteDefaults(palKey);
-            el.customHue.value = defaults.baseHue;
-            el.customHueRange.value = defaults.hueRange;
-            el.customSat.value = defaults.saturation;
+            setPaletteEditorValues(defaults);
             resetPalette(palKey);
             updateActiveChipGradient(palKey, defaults);
         }
@@ -765,7 +1125,18 @@ function loadProfileIntoUI(name) {
     loadedFromPortrait = false;
 }
 
-function loadProfileFromData(name, isPortrait) {
+/**
+ * Load a stored profile into the UI — or, given `data` (e.g. a decoded
+ * deep link), load that directly as an unsaved piece named `name`.
+ */
+function loadProfileFromData(name, isPortrait, data = null) {
+    if (data) {
+        loadProfileDataIntoUI(name, data);
+        loadedProfileName = '';
+        loadedFromPortrait = false;
+        setDirty(true);
+        return;
+    }
     if (isPortrait) {
         const portraits = loadPortraits();
         const p = portraits[name];
@@ -979,6 +1350,15 @@ function onControlChange() {
 for (const id of SLIDER_KEYS) {
     el[id].addEventListener('input', onControlChange);
 }
+el.transparency.addEventListener('change', onControlChange);
+el.toneMapper.addEventListener('change', () => {
+    // The white point only shapes the curves; 'none' clips
+    el.toneWhitePoint.disabled = el.toneMapper.value === 'none';
+    onControlChange();
+});
+el.toneExposure.addEventListener('input', onControlChange);
+el.toneWhitePoint.addEventListener('input', onControlChange);
+el.toneDither.addEventListener('change', onControlChange);
 el.seed.addEventListener('change', onControlChange);
 el.seed.addEventListener('input', () => {
     syncDisplayFields();
@@ -1034,6 +1414,8 @@ async function saveCurrentProfile() {
         profileData.paletteTweaks = readPaletteFromUI();
         if (controls.palette === 'custom') {
             profileData.customPalette = profileData.paletteTweaks;
+            const paletteRef = currentPaletteRef();
+            if (paletteRef) profileData.paletteRef = paletteRef;
         }
         profiles[name] = profileData;
         saveProfiles(profiles);
@@ -1137,6 +1519,7 @@ function captureSnapshot() {
         name: el.profileNameField.value.trim(),
         controls: readControlsFromUI(),
         paletteTweaks: readPaletteFromUI(),
+        paletteRef: currentPaletteRef(),
         profileName: loadedProfileName || '',
         isPortrait: loadedFromPortrait,
         wasDirty: dirty,
@@ -1153,9 +1536,8 @@ function restoreSnapshot(snap) {
     el.profileNameField.value = snap.name;
     autoGrow(el.profileNameField);
     setControlsInUI(snap.controls);
-    el.customHue.value = snap.paletteTweaks.baseHue;
-    el.customHueRange.value = snap.paletteTweaks.hueRange;
-    el.customSat.value = snap.paletteTweaks.saturation;
+    if (snap.controls.palette === 'custom') setActiveCustomPalette(snap.paletteRef?.id ?? null);
+    setPaletteEditorValues(snap.paletteTweaks);
     syncPaletteEditor();
     updateSliderLabels(snap.controls);
     syncDisplayFields();
@@ -1249,13 +1631,16 @@ function randomizeUI() {
     el.seed.value = generateIntent();
     autoGrow(el.seed);
 
-    // Topology hidden — always flow-field
-    setTopologyUI('flow-field');
+    setTopologyUI(TOPOLOGY_VALUES[Math.floor(Math.random() * TOPOLOGY_VALUES.length)]);
     const chosenPalette = PALETTE_KEYS[Math.floor(Math.random() * PALETTE_KEYS.length)];
+    // A random custom palette is a new, unsaved one — never a library edit
+    if (chosenPalette === 'custom') setActiveCustomPalette(null);
     setPaletteUI(chosenPalette);
     el.customHue.value = Math.floor(Math.random() * 360);
     el.customHueRange.value = Math.floor(20 + Math.random() * 140);
     el.customSat.value = (0.3 + Math.random() * 0.5).toFixed(2);
+    gradientEditor.set(null);
+    el.paletteHarmony.value = HARMONY_KEYS[Math.floor(Math.random() * HARMONY_KEYS.length)];
     syncPaletteEditor();
     el.customPaletteEditor.classList.remove('collapsed');
     for (const id of SLIDER_KEYS) {
@@ -1431,6 +1816,11 @@ function buildProfileCard(name, p, { isPortrait = false, index = 0, total = 1 }
     card.className = 'profile-card';
     if (isPortrait) card.classList.add('portrait-card');
     card.dataset.profileName = name;
+    card.draggable = true;
+    card.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData(LOOP_DRAG_TYPE, card.dataset.profileName);
+        e.dataTransfer.effectAllowed = 'copy';
+    });
 
     // Header (clickable area)
     const header = document.createElement('div');
@@ -1443,7 +1833,7 @@ function buildProfileCard(name, p, { isPortrait = false, index = 0, total = 1 }
     thumbWrap.appendChild(thumbImg);
     header.appendChild(thumbWrap);
     if (p.seed && p.controls) {
-        queueThumbnail(p.seed, p.controls, thumbImg, p.paletteTweaks);
+        queueThumbnail(p.seed, p.controls, thumbImg, profilePaletteTweaks(p, paletteLibrary));
     }
 
     const body = document.createElement('div');
@@ -1508,6 +1898,8 @@ function buildProfileCard(name, p, { isPortrait = false, index = 0, total = 1 }
                     loadedFromPortrait = false;
                     setDirty(true);
                 }
+                // A same-named portrait still satisfies loop landmarks
+                if (!getPortraitNames().includes(realName)) removeImageFromAnimProfiles(realName);
             }
             refreshProfileGallery();
         });
@@ -1565,6 +1957,7 @@ function refreshProfileGallery() {
     }
 
     updateActiveSection();
+    refreshLoopEditor();
 }
 
 /* ---------------------------
@@ -1581,6 +1974,7 @@ el.exportBtn.addEventListener('click', async () => {
         const seed = el.seed.value.trim() || 'seed';
         const controls = readControlsFromUI();
         const paletteTweaks = readPaletteFromUI();
+        const paletteRef = currentPaletteRef();
         const name = el.profileNameField.value.trim() || 'Untitled';
 
         // Generate metadata on main thread (cheap text generation)
@@ -1589,19 +1983,41 @@ el.exportBtn.addEventListener('click', async () => {
         const altText = generateAltText(controls, lastNodeCount, title);
         const meta = { title, altText, nodeCount: lastNodeCount };
 
+        // Print sizes: long edge in pixels, canvas aspect kept
+        const rect = canvas.getBoundingClientRect();
+        const longEdge = Number(el.exportSize.value) || 0;
+        const scale = longEdge / Math.max(rect.width, rect.height);
+        const size = longEdge
+            ? { width: Math.round(rect.width * scale), height: Math.round(rect.height * scale) }
+            : null;
+
         if (renderWorker && workerReady) {
             // Request blob from worker
             const exportId = ++requestIdCounter;
             try {
                 const blob = await new Promise((resolve, reject) => {
                     pendingCallbacks.set(exportId, (b) => b ? resolve(b) : reject(new Error('Export failed')));
-                    renderWorker.postMessage({ type: 'export', requestId: exportId });
+                    renderWorker.postMessage({ type: 'export', requestId: exportId, ...size });
+                });
+                await packageStillZipFromBlob(blob, {
+                    seed, controls, paletteTweaks, paletteRef, name, meta,
+                    canvasWidth: size ? size.width : Math.round(rect.width * window.devicePixelRatio),
+                    canvasHeight: size ? size.height : Math.round(rect.height * window.devicePixelRatio),
+                });
+                toast('Exported still ZIP.');
+            } catch (err) {
+                console.error(err);
+                toast('Still export failed.');
+            }
+        } else if (size && fallbackRenderer) {
+            try {
+                const blob = await fallbackRenderer.renderTiledBlob(size.width, size.height, {
+                    onProgress: (done, total) => toast(`Rendering tile ${done} of ${total}…`),
                 });
-                const rect = canvas.getBoundingClientRect();
                 await packageStillZipFromBlob(blob, {
-                    seed, controls, paletteTweaks, name, meta,
-                    canvasWidth: Math.round(rect.width * window.devicePixelRatio),
-                    canvasHeight: Math.round(rect.height * window.devicePixelRatio),
+                    seed, controls, paletteTweaks, paletteRef, name, meta,
+                    canvasWidth: size.width,
+                    canvasHeight: size.height,
                 });
                 toast('Exported still ZIP.');
             } catch (err) {
@@ -1610,7 +2026,7 @@ el.exportBtn.addEventListener('click', async () => {
             }
         } else {
             try {
-                await packageStillZip(canvas, { seed, controls, paletteTweaks, name, meta });
+                await packageStillZip(canvas, { seed, controls, paletteTweaks, paletteRef, name, meta });
                 toast('Exported still ZIP.');
             } catch (err) {
                 console.error(err);
@@ -1622,6 +2038,623 @@ el.exportBtn.addEventListener('click', async () => {
     }
 });
 
+/* ---------------------------
+ * Deep links
+ * ---------------------------
+ */
+const LINKED_PIECE_NAME = 'Shared piece';
+
+function currentDeepLink() {
+    return encodeDeepLink({
+        name: el.profileNameField.value.trim(),
+        seed: el.seed.value.trim() || 'seed',
+        controls: readControlsFromUI(),
+        paletteTweaks: readPaletteFromUI(),
+    });
+}
+
+el.copyLinkBtn.addEventListener('click', async () => {
+    const hash = currentDeepLink();
+    // Keep the address bar on the piece being shared (no hashchange fires)
+    history.replaceState(null, '', `#${hash}`);
+    try {
+        await navigator.clipboard.writeText(`${location.origin}${location.pathname}${location.search}#${hash}`);
+        toast('Link copied.');
+    } catch {
+        toast('Could not copy link.');
+    }
+});
+
+// Following a link while the studio is open
+window.addEventListener('hashchange', () => {
+    const piece = decodeDeepLink(location.hash);
+    if (!piece || !initComplete) return;
+    captureCurrentBeforeNavigating();
+    loadProfileFromData(piece.name || LINKED_PIECE_NAME, false, piece);
+    pushToHistory();
+    refreshProfileGallery();
+    renderAndUpdate(el.seed.value.trim() || 'seed', readControlsFromUI(), { animate: true });
+    setStillRendered(true);
+});
+
+/* ---------------------------
+ * Camera orbit
+ * ---------------------------
+ */
+function syncCameraUI() {
+    el.cameraResetBtn.disabled = isDefaultCameraPose(cameraPose);
+}
+
+const orbitControls = createOrbitControls(el.canvasWrapper, {
+    getPose: () => cameraPose,
+    onChange(pose) {
+        cameraPose = pose;
+        sendCameraPose(pose);
+        syncCameraUI();
+    },
+    onCommit() {
+        setUserEdited(true);
+        setDirty(true);
+    },
+});
+
+function setOrbitMode(on) {
+    if (on) setDofPicking(false);
+    orbitControls.setEnabled(on);
+    el.orbitBtn.classList.toggle('active', on);
+    el.orbitBtn.setAttribute('aria-pressed', on ? 'true' : 'false');
+}
+
+el.orbitBtn.addEventListener('click', () => {
+    setOrbitMode(!orbitControls.isEnabled());
+});
+
+el.cameraResetBtn.addEventListener('click', () => {
+    if (isDefaultCameraPose(cameraPose)) return;
+    cameraPose = null;
+    sendCameraPose(normalizeCameraPose(null));
+    syncCameraUI();
+    setUserEdited(true);
+    setDirty(true);
+});
+
+/* ---------------------------
+ * Depth-of-field focus
+ * ---------------------------
+ */
+// Picked focus point (frame uv from the top-left); null = hero-dot cluster
+let dofFocusPoint = null;
+let dofPicking = false;
+
+function syncDofUI() {
+    const on = el.dofEnabled.checked;
+    el.dofHeroBtn.disabled = !on;
+    el.dofPickBtn.disabled = !on;
+    el.dofHeroBtn.classList.toggle('active', on && !dofFocusPoint);
+    el.dofPickBtn.classList.toggle('active', dofPicking || (on && !!dofFocusPoint));
+}
+
+function setDofPicking(on) {
+    dofPicking = on;
+    el.canvasWrapper.classList.toggle('dof-picking', on);
+    if (on) setOrbitMode(false);
+    syncDofUI();
+}
+
+el.dofEnabled.addEventListener('change', () => {
+    if (!el.dofEnabled.checked) setDofPicking(false);
+    syncDofUI();
+    onControlChange();
+});
+
+el.dofHeroBtn.addEventListener('click', () => {
+    dofFocusPoint = null;
+    setDofPicking(false);
+    onControlChange();
+});
+
+el.dofPickBtn.addEventListener('click', () => {
+    setDofPicking(!dofPicking);
+});
+
+el.canvasWrapper.addEventListener('click', (e) => {
+    if (!dofPicking) return;
+    const rect = canvas.getBoundingClientRect();
+    if (rect.width <= 0 || rect.height <= 0) return;
+    const at = (v) => Math.round(Math.max(0, Math.min(1, v)) * 1000) / 1000;
+    dofFocusPoint = { x: at((e.clientX - rect.left) / rect.width), y: at((e.clientY - rect.top) / rect.height) };
+    setDofPicking(false);
+    onControlChange();
+});
+
+/* ---------------------------
+ * Advanced parameter overrides
+ * ---------------------------
+ */
+function syncAdvancedPanel(controls) {
+    el.overridesResetBtn.disabled = !paramOverrides;
+    if (advancedPanel && !el.advancedContent.classList.contains('collapsed')) {
+        advancedPanel.update(controls);
+    }
+}
+
+el.advancedToggle.addEventListener('click', () => {
+    const expanded = el.advancedToggle.getAttribute('aria-expanded') === 'true';
+    el.advancedToggle.setAttribute('aria-expanded', String(!expanded));
+    el.advancedContent.classList.toggle('collapsed', expanded);
+    if (expanded) return;
+    if (!advancedPanel) {
+        advancedPanel = createAdvancedPanel(el.advancedPane, {
+            onChange(overrides) {
+                paramOverrides = overrides;
+                onControlChange();
+            },
+        });
+    }
+    syncAdvancedPanel(readControlsFromUI());
+});
+
+el.overridesResetBtn.addEventListener('click', () => {
+    if (!paramOverrides) return;
+    paramOverrides = null;
+    syncAdvancedPanel(readControlsFromUI());
+    onControlChange();
+});
+
+function syncMappingSetUI() {
+    el.mappingSetSelect.innerHTML = '';
+    for (const [value, label] of [['default', 'Default mappings'], ['loaded', loadedMappingSet?.name || 'Loaded mappings']]) {
+        if (value === 'loaded' && !loadedMappingSet) continue;
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        el.mappingSetSelect.appendChild(opt);
+    }
+    el.mappingSetSelect.value = activeMappingSetOrNull() ? 'loaded' : 'default';
+    el.mappingSetSelect.disabled = !loadedMappingSet;
+}
+
+/** Switch the active mapping set (null = default) everywhere it's read. */
+function applyMappingSet(set) {
+    setMappingSet(set);
+    mappingSetId++;
+    if (renderWorker) renderWorker.postMessage({ type: 'mappings', set: activeMappingSetOrNull() });
+    try {
+        localStorage.setItem(MAPPING_SET_LS_KEY, JSON.stringify({ set: loadedMappingSet, active: !!set }));
+    } catch { /* ignore */ }
+    syncMappingSetUI();
+    refreshProfileGallery();
+    if (initComplete) {
+        setStillRendered(false);
+        scheduleRender();
+    }
+}
+
+el.mappingSetSelect.addEventListener('change', () => {
+    applyMappingSet(el.mappingSetSelect.value === 'loaded' ? loadedMappingSet : null);
+});
+
+el.mappingLoadBtn.addEventListener('click', () => el.mappingFile.click());
+
+el.mappingFile.addEventListener('change', async () => {
+    const file = el.mappingFile.files[0];
+    el.mappingFile.value = '';
+    if (!file) return;
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch {
+        toast('Mapping set: invalid JSON.');
+        return;
+    }
+    const { ok, errors } = validateMappingSet(data);
+    if (!ok) {
+        console.warn('[mappings]', errors.join('\n'));
+        toast(`Mapping set: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`);
+        return;
+    }
+    loadedMappingSet = { ...data, name: data.name || file.name.replace(/\.json$/i, '').slice(0, 40) };
+    applyMappingSet(loadedMappingSet);
+    toast(`Using mapping set "${loadedMappingSet.name}".`);
+});
+
+el.mappingDownloadBtn.addEventListener('click', () => {
+    const set = getMappingSet();
+    // Partial sets are saved complete, so the file is a full starting point
+    const full = { name: set.name, mappings: { ...DEFAULT_MAPPING_SET.mappings, ...set.mappings } };
+    downloadBlob(`mappings_${full.name.replace(/[^\w-]+/g, '_')}.json`,
+        new Blob([JSON.stringify(full, null, 2) + '\n'], { type: 'application/json' }));
+});
+
+syncMappingSetUI();
+
+/* ---------------------------
+ * Animation loop
+ * ---------------------------
+ */
+const LOOP_DRAG_TYPE = 'application/x-geo-profile';
+const ANIM_MAX_DIM = 1280;
+const DEFAULT_LOOP_DURATION_MS = 7000;
+
+let loadedAnimName = '';
+let animBuilding = false;
+let animBuild = null;   // { key, frames, landmarks, seed, durationMs }
+let animT = 0;
+
+// Loop frames render on the main thread into a detached WebGL canvas and
+// are copied into the 2D overlay canvas, where motion blur accumulates.
+let animGlCanvas = null;
+let animRenderer = null;
+const animCtx = el.animCanvas.getContext('2d');
+const animMotionBlur = createMotionBlur(el.animCanvas, animCtx, { decay: MB_DECAY, add: MB_ADD });
+
+const animController = createAnimationController({
+    drawFrame: (bitmap) => {
+        animCtx.clearRect(0, 0, el.animCanvas.width, el.animCanvas.height);
+        animCtx.drawImage(bitmap, 0, 0);
+    },
+    onFrame: (tNorm) => {
+        animT = tNorm;
+        syncTimelineUI();
+    },
+    onPlayStateChange: (playing) => {
+        el.animPlayBtn.classList.toggle('playing', playing);
+        el.animPlayBtn.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+    },
+});
+
+function getAnimRenderer(width, height) {
+    if (!animRenderer) {
+        // Detached canvas: clientWidth stays 0, so syncSize() never
+        // overrides the explicit frame size.
+        animGlCanvas = document.createElement('canvas');
+        animRenderer = createRenderer(animGlCanvas, { dpr: 1 });
+    }
+    animRenderer.resize(width, height);
+    return animRenderer;
+}
+
+/** Frame size matching the stage canvas, capped and kept even for H.264. */
+function animFrameSize() {
+    const rect = canvas.getBoundingClientRect();
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    const w = Math.round(rect.width * dpr) || 1400;
+    const h = Math.round(rect.height * dpr) || 900;
+    const scale = Math.min(1, ANIM_MAX_DIM / Math.max(w, h));
+    return {
+        width: Math.max(2, Math.round(w * scale) & ~1),
+        height: Math.max(2, Math.round(h * scale) & ~1),
+    };
+}
+
+/** Still profiles a loop can reference: portraits, overridden by same-named user profiles. */
+function loopProfileSources() {
+    const sources = { ...loadPortraits(), ...loadProfiles() };
+    for (const [name, p] of Object.entries(sources)) sources[name] = withLibraryPalette(p, paletteLibrary);
+    return sources;
+}
+
+function currentAnimProfile() {
+    return loadAnimProfiles()[loadedAnimName] || null;
+}
+
+function resolveLoopLandmarks(ap) {
+    const sources = loopProfileSources();
+    return ap.landmarks
+        .filter(lm => sources[lm.name]?.controls)
+        .map(lm => {
+            const p = sources[lm.name];
+            const palKey = p.controls.palette;
+            // Frames resolve palettes from these tweaks (see evalControlsAt),
+            // leaving the shared palette state to the still editor.
+            const resolved = {
+                ...lm,
+                controls: p.controls,
+                paletteTweaks: p.paletteTweaks || (palKey === 'custom' ? p.customPalette : null),
+            };
+            // Each landmark's own intent replaces the loop seed
+            if (ap.morphSeeds) resolved.seed = p.seed || ap.seed || 'seed';
+            return resolved;
+        });
+}
+
+function updateAnimProfile(mutate) {
+    const all = loadAnimProfiles();
+    const ap = all[loadedAnimName];
+    if (!ap) return;
+    mutate(ap);
+    syncAnimDuration(ap);
+    saveAnimProfiles(all);
+    refreshLoopEditor();
+}
+
+function createAnimProfile() {
+    const all = loadAnimProfiles();
+    let n = Object.keys(all).length + 1;
+    while (all[`Loop ${n}`]) n++;
+    const name = `Loop ${n}`;
+    all[name] = {
+        landmarks: [],
+        durationMs: DEFAULT_LOOP_DURATION_MS,
+        seed: el.seed.value.trim() || 'seed',
+    };
+    saveAnimProfiles(all);
+    loadedAnimName = name;
+    refreshLoopEditor();
+}
+
+function addLoopLandmark(name) {
+    if (!loadedAnimName) createAnimProfile();
+    updateAnimProfile(ap => { ap.landmarks.push(createLandmark(name)); });
+}
+
+function refreshAnimProfileSelect() {
+    const all = loadAnimProfiles();
+    const names = Object.keys(all).sort((a, b) => a.localeCompare(b));
+    if (!all[loadedAnimName]) loadedAnimName = names[0] || '';
+
+    el.animProfileSelect.innerHTML = '';
+    if (names.length === 0) {
+        const opt = document.createElement('option');
+        opt.value = '';
+        opt.textContent = 'No loops yet';
+        el.animProfileSelect.appendChild(opt);
+    }
+    for (const name of names) {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = name;
+        el.animProfileSelect.appendChild(opt);
+    }
+    el.animProfileSelect.value = loadedAnimName;
+    el.animProfileSelect.disabled = names.length === 0;
+    el.animDeleteBtn.disabled = !loadedAnimName;
+}
+
+function refreshLoopEditor() {
+    refreshAnimProfileSelect();
+    const ap = currentAnimProfile();
+
+    el.animSeed.value = ap?.seed || '';
+    el.animSeed.disabled = !ap || !!ap.morphSeeds;
+    el.animMorphSeeds.checked = !!ap?.morphSeeds;
+    el.animMorphSeeds.disabled = !ap;
+    autoGrow(el.animSeed);
+    el.animDuration.value = ((ap?.durationMs || DEFAULT_LOOP_DURATION_MS) / 1000).toString();
+    el.animDuration.disabled = !ap;
+
+    renderLoopList(el.loopList, ap?.landmarks || [], loopProfileSources(), {
+        onReorder: (landmarks) => updateAnimProfile(p => { p.landmarks = landmarks; }),
+        onRemove: (idx) => updateAnimProfile(p => { p.landmarks.splice(idx, 1); }),
+        onTimingChange: (idx, patch) => updateAnimProfile(p => { Object.assign(p.landmarks[idx], patch); }),
+    }, queueThumbnail);
+
+    updateLoopButtons();
+}
+
+function updateLoopButtons() {
+    const ap = currentAnimProfile();
+    const ready = !!ap && resolveLoopLandmarks(ap).length >= 2;
+    el.animPreviewBtn.disabled = !ready || animBuilding;
+    el.animExportBtn.disabled = !ready || animBuilding;
+}
+
+function releaseAnimBuild() {
+    if (!animBuild) return;
+    animController.stop();
+    for (const bm of animBuild.frames) bm.close();
+    animBuild = null;
+}
+
+/**
+ * Pre-render the selected loop into an ImageBitmap buffer. Reuses the
+ * previous buffer when nothing that affects the frames has changed.
+ * @returns {Promise<object|null>} animBuild, or null if the loop can't be built
+ */
+async function buildLoopFrames() {
+    const ap = currentAnimProfile();
+    const landmarks = ap ? resolveLoopLandmarks(ap) : [];
+    if (landmarks.length < 2) { toast('Add 2+ images to the loop.'); return null; }
+    if (animBuilding) return null;
+
+    const seed = ap.seed || 'seed';
+    const durationMs = ap.durationMs || DEFAULT_LOOP_DURATION_MS;
+    const { width, height } = animFrameSize();
+    const key = JSON.stringify({ landmarks, seed, durationMs, width, height, mappingSetId });
+    if (animBuild && animBuild.key === key) return animBuild;
+
+    releaseAnimBuild();
+    animBuilding = true;
+    updateLoopButtons();
+
+    const renderer = getAnimRenderer(width, height);
+    el.animCanvas.width = width;
+    el.animCanvas.height = height;
+    animMotionBlur.resizeToMatch();
+
+    showCanvasOverlay('Rendering loop…');
+    try {
+        const frames = await preRenderFrames({
+            canvas: el.animCanvas,
+            renderer: {
+                renderWith(s, controls) {
+                    const meta = renderer.renderWith(s, controls);
+                    animCtx.drawImage(animGlCanvas, 0, 0);
+                    return meta;
+                },
+            },
+            motionBlur: animMotionBlur,
+            landmarks,
+            seed,
+            durationMs,
+            fps: ANIM_FPS,
+            onProgress: (done, total) => {
+                el.canvasOverlayText.textContent = `Rendering loop… ${done}/${total}`;
+            },
+        });
+        if (frames) animBuild = { key, frames, landmarks, seed, durationMs };
+    } catch (err) {
+        console.error('[anim] pre-render failed:', err);
+        toast('Loop render failed.');
+    } finally {
+        hideCanvasOverlay();
+        animBuilding = false;
+        updateLoopButtons();
+    }
+    return animBuild;
+}
+
+function setLoopViewVisible(visible) {
+    // Loops use the default framing; orbiting would move the hidden still
+    if (visible) setOrbitMode(false);
+    el.animTimeline.classList.toggle('hidden', !visible);
+    el.animCanvas.classList.toggle('hidden', !visible);
+}
+
+function syncTimelineUI() {
+    const durationMs = animBuild?.durationMs || 0;
+    el.animScrub.value = String(Math.round(animT * 1000));
+    el.animTimeLabel.textContent = `${(animT * durationMs / 1000).toFixed(1)}s`;
+}
+
+async function previewLoop() {
+    const build = await buildLoopFrames();
+    if (!build) return;
+    animT = 0;
+    setLoopViewVisible(true);
+    animController.playFromBuffer(build.frames, build.durationMs, 0);
+}
+
+function closeLoopPreview() {
+    animController.stop();
+    setLoopViewVisible(false);
+}
+
+async function exportLoop() {
+    if (!window.JSZip) { toast('JSZip missing (offline?).'); return; }
+    const build = await buildLoopFrames();
+    if (!build) return;
+
+    const wasPlaying = animController.isPlaying();
+    if (wasPlaying) animController.pause();
+    animBuilding = true;
+    updateLoopButtons();
+    showCanvasOverlay('Encoding loop…');
+    try {
+        const rec = await exportFromBuffer({
+            frames: build.frames,
+            fps: ANIM_FPS,
+            durationMs: build.durationMs,
+            seed: build.seed,
+            canvas: el.animCanvas,
+            onProgress: (t) => {
+                el.canvasOverlayText.textContent = `Encoding loop… ${Math.round(t * 100)}%`;
+            },
+        });
+        await packageAnimZip(rec, {
+            landmarks: build.landmarks,
+            loopLandmarkNames: build.landmarks.map(lm => lm.name),
+            timeWarpStrength: TIME_WARP_STRENGTH,
+            seedMorph: build.landmarks.some(lm => lm.seed != null),
+            config: animationConfigForExport(loadedAnimName, currentAnimProfile(), loopProfileSources()),
+        });
+        toast(rec.kind === 'video' ? 'Exported loop ZIP.' : 'Exported loop frames ZIP.');
+    } catch (err) {
+        console.error(err);
+        toast('Loop export failed.');
+    } finally {
+        hideCanvasOverlay();
+        animBuilding = false;
+        updateLoopButtons();
+        if (wasPlaying) animController.playFromBuffer(build.frames, build.durationMs, animT);
+    }
+}
+
+function initLoopEditor() {
+    el.loopToggle.addEventListener('click', () => {
+        const expanded = el.loopToggle.getAttribute('aria-expanded') === 'true';
+        el.loopToggle.setAttribute('aria-expanded', String(!expanded));
+        el.loopContent.classList.toggle('collapsed', expanded);
+    });
+
+    el.animProfileSelect.addEventListener('change', () => {
+        loadedAnimName = el.animProfileSelect.value;
+        refreshLoopEditor();
+    });
+
+    el.animNewBtn.addEventListener('click', createAnimProfile);
+
+    el.animDeleteBtn.addEventListener('click', async () => {
+        if (!loadedAnimName) return;
+        const result = await showConfirm('Delete Loop', `Delete "${loadedAnimName}"?`, [
+            { label: 'Cancel', value: 'cancel' },
+            { label: 'Delete', value: 'delete', primary: true },
+        ]);
+        if (result !== 'delete') return;
+        deleteAnimProfile(loadedAnimName);
+        loadedAnimName = '';
+        refreshLoopEditor();
+    });
+
+    el.animSeed.addEventListener('change', () => {
+        const seed = el.animSeed.value.trim();
+        if (seed) updateAnimProfile(ap => { ap.seed = seed; });
+        else refreshLoopEditor();
+    });
+
+    el.animMorphSeeds.addEventListener('change', () => {
+        updateAnimProfile(ap => { ap.morphSeeds = el.animMorphSeeds.checked; });
+    });
+
+    el.animDuration.addEventListener('change', () => {
+        const secs = parseFloat(el.animDuration.value);
+        if (Number.isFinite(secs) && secs > 0) {
+            // Rescales every landmark's hold and transition proportionally
+            const ms = Math.min(MAX_LOOP_DURATION_MS, Math.max(MIN_LOOP_DURATION_MS, Math.round(secs * 1000)));
+            updateAnimProfile(ap => {
+                if (ap.landmarks.length > 0) scaleAnimTiming(ap, ms);
+                else ap.durationMs = ms;
+            });
+        } else {
+            refreshLoopEditor();
+        }
+    });
+
+    // Gallery cards carry their profile name (see buildProfileCard)
+    el.loopList.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes(LOOP_DRAG_TYPE)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        el.loopList.classList.add('drag-over');
+    });
+    el.loopList.addEventListener('dragleave', (e) => {
+        if (!el.loopList.contains(e.relatedTarget)) el.loopList.classList.remove('drag-over');
+    });
+    el.loopList.addEventListener('drop', (e) => {
+        e.preventDefault();
+        el.loopList.classList.remove('drag-over');
+        const name = e.dataTransfer.getData(LOOP_DRAG_TYPE);
+        if (name) addLoopLandmark(name);
+    });
+
+    el.animPreviewBtn.addEventListener('click', previewLoop);
+    el.animExportBtn.addEventListener('click', exportLoop);
+    el.animCloseBtn.addEventListener('click', closeLoopPreview);
+
+    el.animPlayBtn.addEventListener('click', () => {
+        if (!animBuild) return;
+        animController.toggle(animBuild.frames, animBuild.durationMs, animT);
+    });
+
+    el.animScrub.addEventListener('input', () => {
+        if (!animBuild) return;
+        if (animController.isPlaying()) animController.pause();
+        animController.seek(parseInt(el.animScrub.value, 10) / 1000);
+    });
+
+    refreshLoopEditor();
+}
+
 /* ---------------------------
  * Import profile
  * ---------------------------
@@ -1676,25 +2709,52 @@ function validateAndImportProfile(raw) {
         return;
     }
 
-    // Validate every entry
+    // Validate every entry (stills and animations may be mixed)
+    const isAnimation = (item) => item?.kind === 'animation';
     for (let i = 0; i < items.length; i++) {
-        const label = items.length > 1 ? `Item ${i + 1}` : 'Profile';
-        const { ok, errors } = validateStillConfig(items[i]);
+        const label = items.length > 1 ? `Item ${i + 1}` : (isAnimation(items[i]) ? 'Animation' : 'Profile');
+        const validate = isAnimation(items[i]) ? validateAnimationConfig : validateStillConfig;
+        const { ok, errors } = validate(items[i]);
         if (!ok) {
             showImportError(`${label}:\n${errors.join('\n')}`);
             return;
         }
     }
 
-    // Convert and save
+    // Convert and save; animations bring the stills their landmarks use
     const profiles = loadProfiles();
+    const animProfiles = loadAnimProfiles();
     let lastName = '';
+    let lastAnimName = '';
+    let stillCount = 0;
+    let animCount = 0;
     for (const item of items) {
-        const { name, profile } = configToProfile(item);
-        profiles[name] = profile;
-        lastName = name;
+        if (isAnimation(item)) {
+            // Stills reuse identical saved profiles; different ones get suffixed names
+            const { name, animProfile, stills } = configToAnimation(item, profiles);
+            for (const still of stills) {
+                adoptProfilePalette(still.profile, paletteLibrary);
+                profiles[still.name] = still.profile;
+            }
+            animProfiles[name] = animProfile;
+            lastName = animProfile.landmarks[0].name;
+            lastAnimName = name;
+            animCount++;
+        } else {
+            const { name, profile } = configToProfile(item);
+            adoptProfilePalette(profile, paletteLibrary);
+            profiles[name] = profile;
+            lastName = name;
+            stillCount++;
+        }
     }
     saveProfiles(profiles);
+    savePaletteLibrary(paletteLibrary);
+    if (animCount > 0) {
+        saveAnimProfiles(animProfiles);
+        loadedAnimName = lastAnimName;
+        refreshLoopEditor();
+    }
 
     // Load the last imported profile into the UI
     captureCurrentBeforeNavigating();
@@ -1705,7 +2765,10 @@ function validateAndImportProfile(raw) {
     setStillRendered(true);
 
     closeImportModal();
-    toast(`Imported ${items.length} profile${items.length > 1 ? 's' : ''}.`);
+    const counts = [];
+    if (stillCount > 0) counts.push(`${stillCount} profile${stillCount > 1 ? 's' : ''}`);
+    if (animCount > 0) counts.push(`${animCount} loop${animCount > 1 ? 's' : ''}`);
+    toast(`Imported ${counts.join(' and ')}.`);
 }
 
 document.getElementById('importBtn').addEventListener('click', openImportModal);
@@ -1713,13 +2776,28 @@ document.getElementById('importModalClose').addEventListener('click', closeImpor
 document.getElementById('importCancelBtn').addEventListener('click', closeImportModal);
 importModal.addEventListener('click', (e) => { if (e.target === importModal) closeImportModal(); });
 
+function isPngFile(file) {
+    return file.type === 'image/png' || /\.png$/i.test(file.name);
+}
+
+/**
+ * Read an import file as config JSON text. PNGs exported by the studio
+ * carry their config in an iTXt chunk; JSON files are read as-is.
+ * @returns {Promise<string>}
+ */
+async function readImportFile(file) {
+    if (!isPngFile(file)) return file.text();
+    const config = await readConfigFromPng(file);
+    if (!config) throw new Error('No embedded configuration found in this PNG.');
+    return JSON.stringify(config, null, 2);
+}
+
 document.getElementById('importConfirmBtn').addEventListener('click', () => {
     // Prefer file if one was selected
     if (importFileInput.files.length > 0) {
-        const reader = new FileReader();
-        reader.onload = () => validateAndImportProfile(reader.result);
-        reader.onerror = () => showImportError('Failed to read file.');
-        reader.readAsText(importFileInput.files[0]);
+        readImportFile(importFileInput.files[0])
+            .then(validateAndImportProfile)
+            .catch(err => showImportError(err.message || 'Failed to read file.'));
     } else if (importJsonArea.value.trim()) {
         validateAndImportProfile(importJsonArea.value.trim());
     } else {
@@ -1731,12 +2809,12 @@ document.getElementById('importConfirmBtn').addEventListener('click', () => {
 importFileInput.addEventListener('change', () => {
     if (importFileInput.files.length > 0) {
         fileDropName.textContent = importFileInput.files[0].name;
-        const reader = new FileReader();
-        reader.onload = () => {
-            importJsonArea.value = reader.result;
-            importError.style.display = 'none';
-        };
-        reader.readAsText(importFileInput.files[0]);
+        readImportFile(importFileInput.files[0])
+            .then((text) => {
+                importJsonArea.value = text;
+                importError.style.display = 'none';
+            })
+            .catch(err => showImportError(err.message || 'Failed to read file.'));
     }
 });
 
@@ -2282,11 +3360,13 @@ function initPanelToggle() {
 initPanelToggle();
 initTopologySelector();
 initPaletteSelector();
+initPaletteLibrary();
 restorePaletteTweaksFromStorage();
 initTheme(document.getElementById('themeSwitcher'));
 createFaviconAnimation().start();
 statementContentReady = loadStatementContent();
 ensureStarterProfiles();
+initLoopEditor();
 
 // Move configControls into the Active card (starts collapsed)
 const configControls = document.getElementById('configControls');
@@ -2294,8 +3374,10 @@ el.activeCard.appendChild(configControls);
 configControls.style.display = '';
 configControls.classList.add('collapsed');
 
-// Random configuration on every page load
+// Random configuration on every page load, unless opened from a deep link
 randomizeUI();
+const linkedPiece = decodeDeepLink(location.hash);
+if (linkedPiece) loadProfileFromData(linkedPiece.name || LINKED_PIECE_NAME, false, linkedPiece);
 refreshProfileGallery();
 
 // Seed history with initial state
@@ -2327,5 +3409,8 @@ if (import.meta.hot) {
         if (workerInitTimer) clearTimeout(workerInitTimer);
         if (renderWorker) { renderWorker.terminate(); renderWorker = null; }
         if (fallbackRenderer) { fallbackRenderer.dispose(); fallbackRenderer = null; }
+        releaseAnimBuild();
+        if (animRenderer) { animRenderer.dispose(); animRenderer = null; }
+        orbitControls.dispose();
     });
 }
@@ -0,0 +1,104 @@
+/**
+ * Advanced panel: every numeric parameter deriveParams() produces, grouped
+ * by section, editable live through tweakpane.
+ *
+ * Each field shows the effective value — the profile's override if the
+ * path is pinned, otherwise what the sliders derive. Editing a field
+ * pins it (label marked with •); setting it back to the derived value or
+ * clearing the overrides unpins it. The panel only edits the overrides
+ * object and reports it through onChange; rendering is the caller's job.
+ */
+
+import { Pane } from 'tweakpane';
+import { deriveParams, overridablePaths, paramAt } from '../core/params.js';
+
+const PIN_MARK = '• ';
+const GENERAL_FOLDER = 'scene';
+
+// Probe controls: paths that derive to integers across the slider range are counts
+const PROBE_VALUES = [0, 0.5, 1];
+
+function probeControls(v) {
+    return { topology: 'flow-field', palette: 'violet-depth', density: v, luminosity: v, fracture: v, depth: v, coherence: v, tension: v };
+}
+
+function integerPaths(paths) {
+    const probes = PROBE_VALUES.map(v => deriveParams(probeControls(v)));
+    return new Set(paths.filter(path => probes.every(p => Number.isInteger(paramAt(p, path)))
+        && probes.some(p => paramAt(p, path) !== 0)));
+}
+
+const sameValue = (a, b) => Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+
+/**
+ * @param {HTMLElement} container - element the pane is mounted in
+ * @param {object} opts
+ * @param {Function} opts.onChange - called with (overrides|null) after a user edit
+ * @returns {{ update(controls: object): void, dispose(): void }}
+ */
+export function createAdvancedPanel(container, { onChange }) {
+    const natural = deriveParams(probeControls(0.5));
+    const paths = overridablePaths(natural);
+    const integers = integerPaths(paths);
+
+    const pane = new Pane({ container });
+    const values = {};                 // path → displayed value (bound by tweakpane)
+    const bindings = new Map();        // path → binding
+    let derived = natural;             // params without overrides, for the current controls
+    let overrides = {};
+    let syncing = false;
+
+    // Folder per top-level group; top-level scalars share one folder
+    const folders = new Map();
+    function folderFor(group) {
+        if (!folders.has(group)) folders.set(group, pane.addFolder({ title: group, expanded: false }));
+        return folders.get(group);
+    }
+
+    function labelFor(path) {
+        const keys = path.split('.');
+        const label = keys.length > 1 ? keys.slice(1).join('.') : keys[0];
+        return (path in overrides ? PIN_MARK : '') + label;
+    }
+
+    for (const path of paths) {
+        values[path] = paramAt(natural, path);
+        const group = path.includes('.') ? path.split('.')[0] : GENERAL_FOLDER;
+        const binding = folderFor(group).addBinding(values, path, integers.has(path)
+            ? { label: labelFor(path), step: 1, min: 0 }
+            : { label: labelFor(path), format: (v) => v.toFixed(4) });
+        binding.on('change', (ev) => {
+            if (syncing) return;
+            if (sameValue(ev.value, paramAt(derived, path))) delete overrides[path];
+            else overrides[path] = ev.value;
+            binding.label = labelFor(path);
+            onChange(Object.keys(overrides).length > 0 ? { ...overrides } : null);
+        });
+        bindings.set(path, binding);
+    }
+
+    /**
+     * Show the effective parameters for a set of controls (their
+     * `overrides` included).
+     */
+    function update(controls) {
+        overrides = { ...controls.overrides };
+        derived = deriveParams({ ...controls, overrides: null });
+        syncing = true;
+        try {
+            for (const [path, binding] of bindings) {
+                values[path] = path in overrides ? overrides[path] : paramAt(derived, path);
+                binding.label = labelFor(path);
+            }
+            pane.refresh();
+        } finally {
+            syncing = false;
+        }
+    }
+
+    function dispose() {
+        pane.dispose();
+    }
+
+    return { update, dispose };
+}
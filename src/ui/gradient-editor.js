@@ -0,0 +1,155 @@
+/**
+ * Gradient stop editor for the palette editor.
+ *
+ * A preview bar shows the gradient with one chip per colour stop. Click
+ * the bar to add a stop (coloured like the gradient at that point), click
+ * a chip to select it; the row below edits the selected stop's colour,
+ * position and weight. The editor only edits the stop list and reports it
+ * through onChange; applying it to a palette is the caller's job.
+ */
+
+import { GRADIENT_MAX_STOPS, GRADIENT_WEIGHT_RANGE, normalizeGradient, gradientHexAt } from '../core/palettes.js';
+
+// Samples per CSS preview, so it shows the OKLab blend and stop weights
+const PREVIEW_SAMPLES = 16;
+
+/**
+ * CSS background showing a gradient as the engine samples it.
+ * @param {Array} stops - normalized stops (see core/palettes.js)
+ * @param {string} [direction='to right']
+ * @returns {string}
+ */
+export function gradientCss(stops, direction = 'to right') {
+    const colors = [];
+    for (let i = 0; i < PREVIEW_SAMPLES; i++) {
+        const t = i / (PREVIEW_SAMPLES - 1);
+        colors.push(`${gradientHexAt(stops, t)} ${(t * 100).toFixed(1)}%`);
+    }
+    return `linear-gradient(${direction}, ${colors.join(', ')})`;
+}
+
+function makeEl(tag, className, attrs = {}) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, v);
+    return node;
+}
+
+/**
+ * @param {HTMLElement} container - element the editor is built in
+ * @param {object} opts
+ * @param {Function} opts.onChange - called with (stops) after a user edit
+ * @returns {{ set(stops: Array|null): void, get(): Array|null }}
+ */
+export function createGradientEditor(container, { onChange }) {
+    let stops = null;
+    let selected = 0;
+
+    const bar = makeEl('div', 'gradient-bar', { 'data-tooltip': 'Click to add a colour stop' });
+    const controls = makeEl('div', 'gradient-stop-controls');
+    const colorInput = makeEl('input', 'gradient-stop-color', { type: 'color', 'aria-label': 'Stop colour' });
+    const posInput = makeEl('input', '', { type: 'range', min: '0', max: '1', step: '0.01', 'aria-label': 'Stop position' });
+    // Weight slider runs on a log scale: 0.1 … 1 … 10
+    const [wMin, wMax] = GRADIENT_WEIGHT_RANGE;
+    const weightInput = makeEl('input', '', {
+        type: 'range', min: String(Math.log10(wMin)), max: String(Math.log10(wMax)), step: '0.05', 'aria-label': 'Stop weight',
+    });
+    const weightLabel = makeEl('span', 'slider-value');
+    const removeBtn = makeEl('button', 'gradient-stop-remove', { type: 'button', 'data-tooltip': 'Remove this stop' });
+    removeBtn.textContent = '×';
+
+    const posWrap = makeEl('label', 'gradient-stop-field');
+    posWrap.append('Pos', posInput);
+    const weightWrap = makeEl('label', 'gradient-stop-field');
+    weightWrap.append('Weight', weightInput, weightLabel);
+    controls.append(colorInput, posWrap, weightWrap, removeBtn);
+    container.append(bar, controls);
+
+    function render() {
+        container.classList.toggle('empty', !stops);
+        bar.replaceChildren();
+        if (!stops) return;
+        bar.style.background = gradientCss(stops);
+        stops.forEach((stop, i) => {
+            const chip = makeEl('button', 'gradient-stop' + (i === selected ? ' active' : ''), {
+                type: 'button', 'aria-label': `Stop ${i + 1}`,
+            });
+            chip.style.left = `${stop.pos * 100}%`;
+            chip.style.background = stop.color;
+            chip.addEventListener('click', (e) => {
+                e.stopPropagation();
+                selected = i;
+                render();
+            });
+            bar.appendChild(chip);
+        });
+        const stop = stops[selected];
+        colorInput.value = stop.color;
+        posInput.value = stop.pos;
+        weightInput.value = Math.log10(stop.weight);
+        weightLabel.textContent = stop.weight.toFixed(2);
+        removeBtn.disabled = stops.length <= 2;
+    }
+
+    function emit() {
+        render();
+        onChange(get());
+    }
+
+    // Re-sort after a position change, keeping the edited stop selected
+    function resort() {
+        const stop = stops[selected];
+        stops.sort((a, b) => a.pos - b.pos);
+        selected = stops.indexOf(stop);
+    }
+
+    bar.addEventListener('click', (e) => {
+        if (!stops || stops.length >= GRADIENT_MAX_STOPS) return;
+        const rect = bar.getBoundingClientRect();
+        const pos = Math.round(Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * 100) / 100;
+        const stop = { color: gradientHexAt(stops, pos), pos, weight: 1 };
+        stops.push(stop);
+        stops.sort((a, b) => a.pos - b.pos);
+        selected = stops.indexOf(stop);
+        emit();
+    });
+
+    colorInput.addEventListener('input', () => {
+        stops[selected].color = colorInput.value.toLowerCase();
+        emit();
+    });
+
+    posInput.addEventListener('input', () => {
+        stops[selected].pos = parseFloat(posInput.value);
+        resort();
+        emit();
+    });
+
+    weightInput.addEventListener('input', () => {
+        stops[selected].weight = Math.round(10 ** parseFloat(weightInput.value) * 100) / 100;
+        emit();
+    });
+
+    removeBtn.addEventListener('click', () => {
+        if (stops.length <= 2) return;
+        stops.splice(selected, 1);
+        selected = Math.min(selected, stops.length - 1);
+        emit();
+    });
+
+    /** Show a stop list (null = no gradient). */
+    function set(next) {
+        const prevCount = stops ? stops.length : 0;
+        stops = normalizeGradient(next);
+        if (!stops || stops.length !== prevCount) selected = 0;
+        render();
+    }
+
+    /** The edited stop list (a copy), or null. */
+    function get() {
+        return stops ? stops.map(s => ({ ...s })) : null;
+    }
+
+    render();
+    return { set, get };
+}
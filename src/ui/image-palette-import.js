@@ -0,0 +1,91 @@
+/**
+ * "Palette from image": pick or drop a reference image, and its colours
+ * are clustered into palette tweaks (see core/image-palette.js).
+ *
+ * The image is decoded and downscaled on a canvas first — clustering a few
+ * thousand pixels is enough to find the dominant colours. The module only
+ * produces the tweaks and a name taken from the file; saving them as a
+ * palette is the caller's job.
+ */
+
+import { extractImagePalette } from '../core/image-palette.js';
+
+const MAX_SIDE = 128;
+const MAX_NAME = 24;
+
+/** "violet-depth_plane-cluster.png" → "Violet depth plane cluster" (shortened). */
+function nameFromFile(fileName) {
+    const stem = fileName.replace(/\.[^.]+$/, '').replace(/[-_.]+/g, ' ').replace(/\s+/g, ' ').trim();
+    const name = stem.length > MAX_NAME ? stem.slice(0, MAX_NAME).trim() : stem;
+    return name ? name[0].toUpperCase() + name.slice(1) : 'Image palette';
+}
+
+async function readImagePixels(file) {
+    const bitmap = await createImageBitmap(file);
+    try {
+        const scale = Math.min(1, MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        return ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * @param {HTMLElement} dropTarget - element that accepts dropped images
+ * @param {object} opts
+ * @param {HTMLElement} opts.button - opens the file picker
+ * @param {Function} opts.onImport - called with (tweaks, name) for a usable image
+ * @param {Function} opts.onError - called with a user-facing message
+ */
+export function createImagePaletteImport(dropTarget, { button, onImport, onError }) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    input.hidden = true;
+    dropTarget.appendChild(input);
+
+    async function importFile(file) {
+        if (!file || !file.type.startsWith('image/')) {
+            onError('Drop an image file (PNG, JPEG, WebP…).');
+            return;
+        }
+        let tweaks;
+        try {
+            tweaks = extractImagePalette(await readImagePixels(file));
+        } catch {
+            onError('Could not read that image.');
+            return;
+        }
+        if (!tweaks) {
+            onError('No colour found — the image is all background.');
+            return;
+        }
+        onImport(tweaks, nameFromFile(file.name));
+    }
+
+    button.addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        if (input.files.length > 0) importFile(input.files[0]);
+        input.value = '';
+    });
+
+    // Only react to drags that carry files, so dragging sliders is unaffected
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+    dropTarget.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dropTarget.classList.add('drag-over');
+    });
+    dropTarget.addEventListener('dragleave', () => { dropTarget.classList.remove('drag-over'); });
+    dropTarget.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dropTarget.classList.remove('drag-over');
+        importFile(e.dataTransfer.files[0]);
+    });
+}
@@ -0,0 +1,177 @@
+/**
+ * Pointer + keyboard orbit/dolly controls for the stage canvas.
+ *
+ * - Drag: orbit (azimuth / elevation); Shift+drag or right-drag: roll
+ * - Wheel or pinch: dolly (distance)
+ * - Arrow keys: orbit; +/-: dolly; Q/E: roll; 0 or Home: reset
+ *
+ * The controls only edit a camera pose (see core/camera-pose.js) and
+ * report it through onChange while the user interacts, then onCommit
+ * once a gesture ends. Rendering is the caller's job.
+ */
+
+import { DEFAULT_CAMERA_POSE, normalizeCameraPose } from '../core/camera-pose.js';
+
+const ORBIT_DEG_PER_PX = 0.35;
+const ROLL_DEG_PER_PX = 0.35;
+const DOLLY_PER_WHEEL_PX = 0.0015;
+const KEY_ORBIT_DEG = 5;
+const KEY_ROLL_DEG = 5;
+const KEY_DOLLY_FACTOR = 1.08;
+const COMMIT_DELAY_MS = 250;
+
+/**
+ * @param {HTMLElement} target - element receiving pointer/keyboard input
+ * @param {object} opts
+ * @param {Function} opts.getPose - returns the current pose
+ * @param {Function} opts.onChange - called with (pose) on every movement
+ * @param {Function} [opts.onCommit] - called with (pose) when a gesture ends
+ * @returns {{ setEnabled(enabled: boolean): void, isEnabled(): boolean, dispose(): void }}
+ */
+export function createOrbitControls(target, { getPose, onChange, onCommit }) {
+    let enabled = false;
+    let drag = null;          // { id, x, y, roll }
+    const pointers = new Map();
+    let pinchDist = 0;
+    let commitTimer = null;
+
+    function update(mutate) {
+        const pose = { ...normalizeCameraPose(getPose()) };
+        mutate(pose);
+        onChange(normalizeCameraPose(pose));
+    }
+
+    function commitSoon() {
+        if (commitTimer) clearTimeout(commitTimer);
+        commitTimer = setTimeout(() => {
+            commitTimer = null;
+            onCommit?.(normalizeCameraPose(getPose()));
+        }, COMMIT_DELAY_MS);
+    }
+
+    function onPointerDown(e) {
+        if (!enabled) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        target.setPointerCapture?.(e.pointerId);
+        target.classList.add('orbit-dragging');
+        if (pointers.size === 2) {
+            const [a, b] = [...pointers.values()];
+            pinchDist = Math.hypot(a.x - b.x, a.y - b.y);
+            drag = null;
+        } else {
+            drag = { id: e.pointerId, x: e.clientX, y: e.clientY, roll: e.shiftKey || e.button === 2 };
+        }
+        e.preventDefault();
+    }
+
+    function onPointerMove(e) {
+        if (!enabled || !pointers.has(e.pointerId)) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (pointers.size === 2) {
+            const [a, b] = [...pointers.values()];
+            const dist = Math.hypot(a.x - b.x, a.y - b.y);
+            if (pinchDist > 0 && dist > 0) {
+                const ratio = pinchDist / dist;
+                update(p => { p.distance *= ratio; });
+            }
+            pinchDist = dist;
+            return;
+        }
+        if (!drag || drag.id !== e.pointerId) return;
+
+        const dx = e.clientX - drag.x;
+        const dy = e.clientY - drag.y;
+        drag.x = e.clientX;
+        drag.y = e.clientY;
+        update(p => {
+            if (drag.roll) {
+                p.roll += dx * ROLL_DEG_PER_PX;
+            } else {
+                p.azimuth -= dx * ORBIT_DEG_PER_PX;
+                p.elevation += dy * ORBIT_DEG_PER_PX;
+            }
+        });
+    }
+
+    function onPointerUp(e) {
+        if (!pointers.has(e.pointerId)) return;
+        pointers.delete(e.pointerId);
+        target.releasePointerCapture?.(e.pointerId);
+        if (pointers.size === 0) {
+            target.classList.remove('orbit-dragging');
+            drag = null;
+            pinchDist = 0;
+            commitSoon();
+        }
+    }
+
+    function onWheel(e) {
+        if (!enabled) return;
+        e.preventDefault();
+        const px = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+        update(p => { p.distance *= Math.exp(px * DOLLY_PER_WHEEL_PX); });
+        commitSoon();
+    }
+
+    function onKeyDown(e) {
+        if (!enabled || e.altKey || e.ctrlKey || e.metaKey) return;
+        const step = e.shiftKey ? 3 : 1;
+        let handled = true;
+        switch (e.key) {
+            case 'ArrowLeft': update(p => { p.azimuth += KEY_ORBIT_DEG * step; }); break;
+            case 'ArrowRight': update(p => { p.azimuth -= KEY_ORBIT_DEG * step; }); break;
+            case 'ArrowUp': update(p => { p.elevation += KEY_ORBIT_DEG * step; }); break;
+            case 'ArrowDown': update(p => { p.elevation -= KEY_ORBIT_DEG * step; }); break;
+            case '+': case '=': update(p => { p.distance /= KEY_DOLLY_FACTOR ** step; }); break;
+            case '-': case '_': update(p => { p.distance *= KEY_DOLLY_FACTOR ** step; }); break;
+            case 'q': case 'Q': update(p => { p.roll -= KEY_ROLL_DEG * step; }); break;
+            case 'e': case 'E': update(p => { p.roll += KEY_ROLL_DEG * step; }); break;
+            case '0': case 'Home': update(p => { Object.assign(p, DEFAULT_CAMERA_POSE); }); break;
+            default: handled = false;
+        }
+        if (handled) {
+            e.preventDefault();
+            commitSoon();
+        }
+    }
+
+    function onContextMenu(e) {
+        if (enabled) e.preventDefault();
+    }
+
+    target.addEventListener('pointerdown', onPointerDown);
+    target.addEventListener('pointermove', onPointerMove);
+    target.addEventListener('pointerup', onPointerUp);
+    target.addEventListener('pointercancel', onPointerUp);
+    target.addEventListener('wheel', onWheel, { passive: false });
+    target.addEventListener('keydown', onKeyDown);
+    target.addEventListener('contextmenu', onContextMenu);
+
+    function setEnabled(value) {
+        enabled = !!value;
+        target.classList.toggle('orbit-enabled', enabled);
+        if (enabled) {
+            target.tabIndex = 0;
+            target.focus({ preventScroll: true });
+        } else {
+            target.removeAttribute('tabindex');
+            pointers.clear();
+            drag = null;
+            target.classList.remove('orbit-dragging');
+        }
+    }
+
+    function dispose() {
+        if (commitTimer) clearTimeout(commitTimer);
+        target.removeEventListener('pointerdown', onPointerDown);
+        target.removeEventListener('pointermove', onPointerMove);
+        target.removeEventListener('pointerup', onPointerUp);
+        target.removeEventListener('pointercancel', onPointerUp);
+        target.removeEventListener('wheel', onWheel);
+        target.removeEventListener('keydown', onKeyDown);
+        target.removeEventListener('contextmenu', onContextMenu);
+    }
+
+    return { setEnabled, isEnabled: () => enabled, dispose };
+}
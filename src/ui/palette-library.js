@@ -0,0 +1,147 @@
+/**
+ * Custom palette library (localStorage) and its strip in the palette editor.
+ *
+ * Entries are { id, name, baseHue, hueRange, saturation, gradient?, harmony? }, kept
+ * as an ordered list. The engine still renders custom palettes through the
+ * single `custom` slot (see core/palettes.js): choosing an entry loads it
+ * into that slot. Profiles reference an entry as `paletteRef: { id, name }`
+ * next to their `paletteTweaks`, which stay an embedded copy — so an export
+ * (or a deleted entry) still has the colours.
+ */
+
+const LS_KEY = 'geo_self_portrait_palette_library_v1';
+const MAX_NAME = 40;
+
+/* ---------------------------
+ * Library CRUD
+ * ---------------------------
+ */
+
+/** Palette tweaks of an entry (or profile copy), without id/name. */
+export function entryTweaks({ baseHue, hueRange, saturation, gradient, harmony }) {
+    const tweaks = { baseHue, hueRange, saturation };
+    if (gradient) tweaks.gradient = gradient.map(s => ({ ...s }));
+    if (harmony) tweaks.harmony = harmony;
+    return tweaks;
+}
+
+function isEntry(e) {
+    return e && typeof e.id === 'string' && typeof e.name === 'string'
+        && [e.baseHue, e.hueRange, e.saturation].every(Number.isFinite);
+}
+
+/** @returns {Array|null} null when no library has been stored yet */
+export function loadPaletteLibrary() {
+    try {
+        const raw = localStorage.getItem(LS_KEY);
+        if (!raw) return null;
+        const parsed = JSON.parse(raw);
+        return Array.isArray(parsed) ? parsed.filter(isEntry) : [];
+    } catch {
+        return [];
+    }
+}
+
+export function savePaletteLibrary(entries) {
+    localStorage.setItem(LS_KEY, JSON.stringify(entries, null, 2));
+}
+
+export function newPaletteId() {
+    return 'pal-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 6);
+}
+
+export function createLibraryEntry(name, tweaks, id = newPaletteId()) {
+    return { id, name: cleanPaletteName(name), ...entryTweaks(tweaks) };
+}
+
+export function cleanPaletteName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME) || 'Untitled palette';
+}
+
+/** "Dusk" → "Dusk 2" (or the next free number) when the name is taken. */
+export function uniquePaletteName(entries, name) {
+    const base = cleanPaletteName(name);
+    const taken = new Set(entries.map(e => e.name));
+    if (!taken.has(base)) return base;
+    let n = 2;
+    while (taken.has(`${base} ${n}`)) n++;
+    return `${base} ${n}`;
+}
+
+/**
+ * Palette tweaks a profile renders with: its library entry's current
+ * colours when it references one that exists, otherwise its embedded copy.
+ */
+export function profilePaletteTweaks(profile, entries) {
+    const entry = profile.paletteRef && entries?.find(e => e.id === profile.paletteRef.id);
+    if (entry) return entryTweaks(entry);
+    const palKey = profile.controls?.palette;
+    return profile.paletteTweaks || (palKey === 'custom' ? profile.customPalette : null) || null;
+}
+
+/** A profile with its paletteTweaks (and reference name) brought up to date from the library. */
+export function withLibraryPalette(profile, entries) {
+    const entry = profile.paletteRef && entries?.find(e => e.id === profile.paletteRef.id);
+    if (!entry) return profile;
+    return { ...profile, paletteTweaks: entryTweaks(entry), paletteRef: { id: entry.id, name: entry.name } };
+}
+
+/**
+ * Make sure an imported profile's palette reference resolves to the
+ * colours it was exported with: an unknown id is added to the library from
+ * the embedded copy; a known id whose colours differ becomes a new entry.
+ * Mutates `entries` and `profile.paletteRef`; returns true if `entries` changed.
+ */
+export function adoptProfilePalette(profile, entries) {
+    const ref = profile.paletteRef;
+    if (!ref || !profile.paletteTweaks) return false;
+    const existing = entries.find(e => e.id === ref.id);
+    if (existing && JSON.stringify(entryTweaks(existing)) === JSON.stringify(entryTweaks(profile.paletteTweaks))) {
+        return false;
+    }
+    const entry = createLibraryEntry(uniquePaletteName(entries, ref.name), profile.paletteTweaks,
+        existing ? newPaletteId() : ref.id);
+    entries.push(entry);
+    profile.paletteRef = { id: entry.id, name: entry.name };
+    return true;
+}
+
+/* ---------------------------
+ * Library strip UI
+ * ---------------------------
+ */
+
+/**
+ * Render the library as a row of swatches; the active one is highlighted.
+ * @param {HTMLElement} listEl
+ * @param {Array} entries
+ * @param {string|null} activeId
+ * @param {object} callbacks
+ * @param {Function} callbacks.onSelect - called with (entry) when a swatch is clicked
+ * @param {Function} callbacks.swatchCss - (entry) → CSS background for its swatch
+ */
+export function renderPaletteLibrary(listEl, entries, activeId, { onSelect, swatchCss }) {
+    listEl.innerHTML = '';
+    if (entries.length === 0) {
+        const d = document.createElement('div');
+        d.className = 'small';
+        d.textContent = 'No saved palettes yet — New or Duplicate keeps this one.';
+        listEl.appendChild(d);
+        return;
+    }
+    for (const entry of entries) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'pal-lib-entry' + (entry.id === activeId ? ' active' : '');
+        btn.title = entry.name;
+        const swatch = document.createElement('span');
+        swatch.className = 'pal-lib-swatch';
+        swatch.style.background = swatchCss(entry);
+        const nm = document.createElement('span');
+        nm.className = 'pal-lib-name';
+        nm.textContent = entry.name;
+        btn.append(swatch, nm);
+        btn.addEventListener('click', () => onSelect(entry));
+        listEl.appendChild(btn);
+    }
+}
@@ -3,6 +3,9 @@
  */
 
 import starterProfiles from '../core/starter-profiles.json';
+import { migrateProfile } from '../core/config-schema.js';
+import { NEUTRAL_TENSION } from '../core/mappings.js';
+import { EASING_NAMES, DEFAULT_EASING, DEFAULT_HOLD_MS, DEFAULT_TRANSITION_MS, loopDurationMs, parseCubicBezier } from '../core/interpolation.js';
 
 const LS_KEY = 'geo_self_portrait_profiles_v3';
 const ORDER_KEY = 'geo_self_portrait_profile_order_v1';
@@ -19,15 +22,12 @@ export function loadProfiles() {
         if (!raw) return {};
         const parsed = JSON.parse(raw);
         if (!parsed || typeof parsed !== 'object') return {};
-        // Migrate: move note → seed for legacy profiles
+        // Upgrade legacy profiles (see migrateProfile)
         let migrated = false;
-        for (const p of Object.values(parsed)) {
-            if (p.note && !p.seed) {
-                p.seed = p.note;
-                migrated = true;
-            }
-            if ('note' in p) {
-                delete p.note;
+        for (const [name, p] of Object.entries(parsed)) {
+            const result = migrateProfile(p);
+            if (result.migrated) {
+                parsed[name] = result.profile;
                 migrated = true;
             }
         }
@@ -104,18 +104,94 @@ export function refreshProfileSelect(selectEl) {
  * ---------------------------
  */
 
+/** Loop duration range, matching the #animDuration input (2–60 s). */
+export const MIN_LOOP_DURATION_MS = 2000;
+export const MAX_LOOP_DURATION_MS = 60000;
+
+/**
+ * Landmark entries are { name, holdMs, transitionMs, easing }.
+ * Spread `durationMs` evenly over the named landmarks as transitions
+ * with no holds — the timing legacy name-only loops had.
+ */
+function evenLandmarkTiming(names, durationMs) {
+    const n = names.length;
+    const base = n > 0 ? Math.floor(durationMs / n) : 0;
+    return names.map((name, i) => ({
+        name,
+        holdMs: DEFAULT_HOLD_MS,
+        transitionMs: i === n - 1 ? durationMs - base * (n - 1) : base,
+        easing: DEFAULT_EASING,
+    }));
+}
+
+/** New landmark entry with default timing. */
+export function createLandmark(name) {
+    return { name, holdMs: DEFAULT_HOLD_MS, transitionMs: DEFAULT_TRANSITION_MS, easing: DEFAULT_EASING };
+}
+
+/**
+ * Recompute an anim profile's durationMs from its landmark timing. Timing
+ * that adds up to more or less than the duration input's range is rescaled
+ * to the nearest limit, so the stored holds and transitions always sum to
+ * the loop's length.
+ */
+export function syncAnimDuration(ap) {
+    if (ap.landmarks.length === 0) return ap;
+    const total = loopDurationMs(ap.landmarks);
+    const clamped = Math.min(MAX_LOOP_DURATION_MS, Math.max(MIN_LOOP_DURATION_MS, total));
+    if (clamped !== total) scaleLandmarkTiming(ap, clamped);
+    ap.durationMs = loopDurationMs(ap.landmarks);
+    return ap;
+}
+
+/** Scale every landmark's hold and transition so the loop lasts `durationMs`. */
+export function scaleAnimTiming(ap, durationMs) {
+    scaleLandmarkTiming(ap, durationMs);
+    return syncAnimDuration(ap);
+}
+
+/**
+ * Scale ap.landmarks' timing to sum to exactly `durationMs`: rounding
+ * error goes to the longest hold or transition.
+ */
+function scaleLandmarkTiming(ap, durationMs) {
+    const current = loopDurationMs(ap.landmarks);
+    if (current <= 0) {
+        ap.landmarks = evenLandmarkTiming(ap.landmarks.map(l => l.name), durationMs)
+            .map((l, i) => ({ ...l, easing: ap.landmarks[i].easing }));
+        return;
+    }
+    const k = durationMs / current;
+    let longest = null, longestKey = 'transitionMs';
+    for (const l of ap.landmarks) {
+        l.holdMs = Math.round((l.holdMs ?? DEFAULT_HOLD_MS) * k);
+        l.transitionMs = Math.round((l.transitionMs ?? DEFAULT_TRANSITION_MS) * k);
+        for (const key of ['holdMs', 'transitionMs']) {
+            if (!longest || l[key] > longest[longestKey]) { longest = l; longestKey = key; }
+        }
+    }
+    longest[longestKey] += durationMs - loopDurationMs(ap.landmarks);
+}
+
 export function loadAnimProfiles() {
     try {
         const raw = localStorage.getItem(ANIM_LS_KEY);
         if (!raw) return {};
         const parsed = JSON.parse(raw);
         if (!parsed || typeof parsed !== 'object') return {};
-        // Migrate: move note → seed for legacy profiles
+        // Upgrade legacy profiles (see migrateProfile)
         let migrated = false;
-        for (const ap of Object.values(parsed)) {
-            if (ap.note && !ap.seed) {
-                ap.seed = ap.note;
-                delete ap.note;
+        for (const [name, p] of Object.entries(parsed)) {
+            const result = migrateProfile(p);
+            if (result.migrated) {
+                parsed[name] = result.profile;
+                migrated = true;
+            }
+            const ap = parsed[name];
+            // Migrate: name-only landmarks → timed landmark entries
+            if (ap.landmarks?.some(l => typeof l === 'string')) {
+                const names = ap.landmarks.map(l => (typeof l === 'string' ? l : l.name));
+                ap.landmarks = evenLandmarkTiming(names, ap.durationMs || 7000);
                 migrated = true;
             }
         }
@@ -140,7 +216,7 @@ export function findAnimProfilesReferencingImage(imageName) {
     const animProfiles = loadAnimProfiles();
     const results = [];
     for (const [animName, profile] of Object.entries(animProfiles)) {
-        if (profile.landmarks.includes(imageName)) {
+        if (profile.landmarks.some(l => l.name === imageName)) {
             results.push({ animName, profile });
         }
     }
@@ -151,9 +227,10 @@ export function removeImageFromAnimProfiles(imageName) {
     const animProfiles = loadAnimProfiles();
     let changed = false;
     for (const profile of Object.values(animProfiles)) {
-        const filtered = profile.landmarks.filter(n => n !== imageName);
+        const filtered = profile.landmarks.filter(l => l.name !== imageName);
         if (filtered.length !== profile.landmarks.length) {
             profile.landmarks = filtered;
+            syncAnimDuration(profile);
             changed = true;
         }
     }
@@ -197,7 +274,10 @@ export function ensureStarterProfiles() {
     if (Object.keys(animProfiles).length === 0) {
         saveAnimProfiles({
             'Chromatic Cycle': {
-                landmarks: ['Verdant Stream', 'Prismatic Abyss', 'Rose Quartz', 'Sapphire Lattice', 'Spectral Drift', 'Violet Sanctum'],
+                landmarks: evenLandmarkTiming(
+                    ['Verdant Stream', 'Prismatic Abyss', 'Rose Quartz', 'Sapphire Lattice', 'Spectral Drift', 'Violet Sanctum'],
+                    7000,
+                ),
                 durationMs: 7000,
                 seed: 'The space where radiant emptiness begins to sing.',
             }
@@ -205,12 +285,82 @@ export function ensureStarterProfiles() {
     }
 }
 
+const EASING_LABELS = {
+    'linear': 'Linear',
+    'cosine': 'Cosine',
+    'smootherstep': 'Smootherstep',
+    'cubic-bezier': 'Custom bezier',
+};
+const DEFAULT_BEZIER = 'cubic-bezier(0.25, 0.1, 0.25, 1)';
+
+/**
+ * Hold / transition / easing inputs for one landmark.
+ * Changes are reported as partial landmark patches via onChange.
+ */
+function buildTimingEditor(landmark, onChange) {
+    const wrap = document.createElement('div');
+    wrap.className = 'timing';
+
+    function secondsField(label, title, ms, key) {
+        const lbl = document.createElement('label');
+        lbl.title = title;
+        lbl.append(label + ' ');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = '0.1';
+        input.value = (ms / 1000).toFixed(1);
+        input.addEventListener('change', () => {
+            const secs = parseFloat(input.value);
+            if (Number.isFinite(secs) && secs >= 0) onChange({ [key]: Math.round(secs * 1000) });
+            else input.value = (ms / 1000).toFixed(1);
+        });
+        lbl.appendChild(input);
+        lbl.append(' s');
+        return lbl;
+    }
+
+    wrap.appendChild(secondsField('Hold', 'Time resting on this landmark', landmark.holdMs, 'holdMs'));
+    wrap.appendChild(secondsField('Move', 'Time travelling to the next landmark', landmark.transitionMs, 'transitionMs'));
+
+    const isBezier = !!parseCubicBezier(landmark.easing);
+    const select = document.createElement('select');
+    select.title = 'Easing into the next landmark';
+    for (const name of EASING_NAMES) {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = EASING_LABELS[name];
+        select.appendChild(opt);
+    }
+    select.value = isBezier ? 'cubic-bezier' : landmark.easing;
+    select.addEventListener('change', () => {
+        onChange({ easing: select.value === 'cubic-bezier' ? DEFAULT_BEZIER : select.value });
+    });
+    wrap.appendChild(select);
+
+    if (isBezier) {
+        const bezier = document.createElement('input');
+        bezier.type = 'text';
+        bezier.className = 'timing-bezier';
+        bezier.value = landmark.easing;
+        bezier.spellcheck = false;
+        bezier.addEventListener('change', () => {
+            const pts = parseCubicBezier(bezier.value);
+            if (pts) onChange({ easing: `cubic-bezier(${pts.join(', ')})` });
+            else bezier.value = landmark.easing;
+        });
+        wrap.appendChild(bezier);
+    }
+
+    return wrap;
+}
+
 /**
  * Render the loop landmarks list into the given container element.
  * @param {HTMLElement} listEl - Container element for the list
- * @param {string[]} landmarks - Array of profile names in order
+ * @param {Array<{name: string, holdMs: number, transitionMs: number, easing: string}>} landmarks - landmark entries in order
  * @param {object} profiles - Current profiles object from loadProfiles()
- * @param {object} callbacks - { onReorder(newLandmarks), onRemove(index) }
+ * @param {object} callbacks - { onReorder(newLandmarks), onRemove(index), onTimingChange(index, patch) }
  * @param {function|null} [renderThumbnail] - optional (seed, controls, destImg) => void
  */
 export function renderLoopList(listEl, landmarks, profiles, callbacks, renderThumbnail = null) {
@@ -224,7 +374,8 @@ export function renderLoopList(listEl, landmarks, profiles, callbacks, renderThu
         return;
     }
 
-    landmarks.forEach((name, idx) => {
+    landmarks.forEach((landmark, idx) => {
+        const { name } = landmark;
         const p = profiles[name];
         const div = document.createElement('div');
         div.className = 'item';
@@ -255,7 +406,7 @@ export function renderLoopList(listEl, landmarks, profiles, callbacks, renderThu
             summary.textContent = 'Details';
             const sub = document.createElement('div');
             sub.className = 'subline';
-            sub.textContent = `${c.topology} \u00b7 ${c.palette} \u00b7 den ${c.density.toFixed(2)} \u00b7 lum ${c.luminosity.toFixed(2)} \u00b7 frc ${c.fracture.toFixed(2)} \u00b7 dep ${c.depth.toFixed(2)} \u00b7 coh ${c.coherence.toFixed(2)}`;
+            sub.textContent = `${c.topology} \u00b7 ${c.palette} \u00b7 den ${c.density.toFixed(2)} \u00b7 lum ${c.luminosity.toFixed(2)} \u00b7 frc ${c.fracture.toFixed(2)} \u00b7 dep ${c.depth.toFixed(2)} \u00b7 coh ${c.coherence.toFixed(2)} \u00b7 ten ${(c.tension ?? NEUTRAL_TENSION).toFixed(2)}`;
             detailsEl.appendChild(summary);
             detailsEl.appendChild(sub);
         } else {
@@ -303,6 +454,7 @@ export function renderLoopList(listEl, landmarks, profiles, callbacks, renderThu
 
         div.appendChild(left);
         div.appendChild(right);
+        div.appendChild(buildTimingEditor(landmark, (patch) => callbacks.onTimingChange(idx, patch)));
         listEl.appendChild(div);
     });
 }
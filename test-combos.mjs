@@ -0,0 +1,28 @@
+/**
+ * Control combos shared by test-render.mjs (visual spot checks) and
+ * test-determinism.mjs (seed-determinism goldens).
+ */
+
+export const COMBOS = [
+    // Midpoint: all sliders at 0.5 = exact demo defaults
+    { name: 'midpoint', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.50, depth: 0.50, coherence: 0.50, tension: 0.50 },
+    // Extremes: each slider at 0 or 1, others at 0.5
+    { name: 'density-lo', topology: 'flow-field', palette: 'violet-depth', density: 0.00, luminosity: 0.50, fracture: 0.50, depth: 0.50, coherence: 0.50, tension: 0.50 },
+    { name: 'density-hi', topology: 'flow-field', palette: 'violet-depth', density: 1.00, luminosity: 0.50, fracture: 0.50, depth: 0.50, coherence: 0.50, tension: 0.50 },
+    { name: 'luminosity-lo', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.00, fracture: 0.50, depth: 0.50, coherence: 0.50, tension: 0.50 },
+    { name: 'luminosity-hi', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 1.00, fracture: 0.50, depth: 0.50, coherence: 0.50, tension: 0.50 },
+    { name: 'fracture-lo', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.00, depth: 0.50, coherence: 0.50, tension: 0.50 },
+    { name: 'fracture-hi', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 1.00, depth: 0.50, coherence: 0.50, tension: 0.50 },
+    { name: 'depth-lo', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.50, depth: 0.00, coherence: 0.50, tension: 0.50 },
+    { name: 'depth-hi', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.50, depth: 1.00, coherence: 0.50, tension: 0.50 },
+    { name: 'coherence-lo', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.50, depth: 0.50, coherence: 0.00, tension: 0.50 },
+    { name: 'coherence-hi', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.50, depth: 0.50, coherence: 1.00, tension: 0.50 },
+    { name: 'tension-lo', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.50, depth: 0.50, coherence: 0.50, tension: 0.00 },
+    { name: 'tension-hi', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.50, depth: 0.50, coherence: 0.50, tension: 1.00 },
+    // All extremes
+    { name: 'all-zero', topology: 'flow-field', palette: 'violet-depth', density: 0.00, luminosity: 0.00, fracture: 0.00, depth: 0.00, coherence: 0.00, tension: 0.00 },
+    { name: 'all-one', topology: 'flow-field', palette: 'violet-depth', density: 1.00, luminosity: 1.00, fracture: 1.00, depth: 1.00, coherence: 1.00, tension: 1.00 },
+    // Starter profiles
+    { name: 'warm-flow', topology: 'flow-field', palette: 'warm-spectrum', density: 0.70, luminosity: 0.75, fracture: 0.40, depth: 0.35, coherence: 0.45, tension: 0.50 },
+    { name: 'prismatic-attractor', topology: 'multi-attractor', palette: 'prismatic', density: 0.60, luminosity: 0.65, fracture: 0.55, depth: 0.35, coherence: 0.45, tension: 0.50 },
+];
@@ -1,27 +1,6 @@
 import { chromium } from 'playwright';
 import { unlinkSync } from 'fs';
-
-const COMBOS = [
-    // Midpoint: all sliders at 0.5 = exact demo defaults
-    { name: 'midpoint', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.50, depth: 0.50, coherence: 0.50 },
-    // Extremes: each slider at 0 or 1, others at 0.5
-    { name: 'density-lo', topology: 'flow-field', palette: 'violet-depth', density: 0.00, luminosity: 0.50, fracture: 0.50, depth: 0.50, coherence: 0.50 },
-    { name: 'density-hi', topology: 'flow-field', palette: 'violet-depth', density: 1.00, luminosity: 0.50, fracture: 0.50, depth: 0.50, coherence: 0.50 },
-    { name: 'luminosity-lo', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.00, fracture: 0.50, depth: 0.50, coherence: 0.50 },
-    { name: 'luminosity-hi', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 1.00, fracture: 0.50, depth: 0.50, coherence: 0.50 },
-    { name: 'fracture-lo', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.00, depth: 0.50, coherence: 0.50 },
-    { name: 'fracture-hi', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 1.00, depth: 0.50, coherence: 0.50 },
-    { name: 'depth-lo', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.50, depth: 0.00, coherence: 0.50 },
-    { name: 'depth-hi', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.50, depth: 1.00, coherence: 0.50 },
-    { name: 'coherence-lo', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.50, depth: 0.50, coherence: 0.00 },
-    { name: 'coherence-hi', topology: 'flow-field', palette: 'violet-depth', density: 0.50, luminosity: 0.50, fracture: 0.50, depth: 0.50, coherence: 1.00 },
-    // All extremes
-    { name: 'all-zero', topology: 'flow-field', palette: 'violet-depth', density: 0.00, luminosity: 0.00, fracture: 0.00, depth: 0.00, coherence: 0.00 },
-    { name: 'all-one', topology: 'flow-field', palette: 'violet-depth', density: 1.00, luminosity: 1.00, fracture: 1.00, depth: 1.00, coherence: 1.00 },
-    // Starter profiles
-    { name: 'warm-flow', topology: 'flow-field', palette: 'warm-spectrum', density: 0.70, luminosity: 0.75, fracture: 0.40, depth: 0.35, coherence: 0.45 },
-    { name: 'prismatic-attractor', topology: 'multi-attractor', palette: 'prismatic', density: 0.60, luminosity: 0.65, fracture: 0.55, depth: 0.35, coherence: 0.45 },
-];
+import { COMBOS } from './test-combos.mjs';
 
 const browser = await chromium.launch({ headless: false, args: ['--use-gl=angle'] });
 const page = await browser.newPage({ viewport: { width: 1400, height: 900 } });
@@ -49,6 +28,7 @@ for (const combo of COMBOS) {
         document.getElementById('fracture').value = c.fracture;
         document.getElementById('depth').value = c.depth;
         document.getElementById('coherence').value = c.coherence;
+        document.getElementById('tension').value = c.tension;
 
         // Trigger topology/palette UI selection
         document.querySelectorAll('.topo-tile').forEach(t => t.classList.toggle('active', t.dataset.value === c.topology));